@@ -0,0 +1,190 @@
+// Classification of a site into a fixed industry taxonomy, keywords, target
+// audience and business model. The schema is sent to the model and used to
+// validate its answer; the keyword rules below classify without AI.
+
+const INDUSTRIES = {
+    software_saas: ['software', 'saas', 'platform', 'app', 'cloud', 'api', 'developers', 'integration', 'automation', 'dashboard'],
+    ecommerce_retail: ['shop', 'store', 'cart', 'buy', 'products', 'shipping', 'sale', 'checkout', 'order', 'collection'],
+    finance_banking: ['bank', 'banking', 'finance', 'payments', 'loan', 'credit', 'invest', 'investment', 'trading', 'crypto'],
+    insurance: ['insurance', 'policy', 'coverage', 'claims', 'insure', 'premium'],
+    healthcare_medical: ['health', 'medical', 'clinic', 'patients', 'doctor', 'care', 'hospital', 'therapy', 'pharmacy', 'dental'],
+    education: ['learn', 'learning', 'courses', 'school', 'students', 'education', 'training', 'university', 'teachers', 'tutoring'],
+    real_estate: ['property', 'properties', 'real', 'estate', 'rent', 'homes', 'apartments', 'mortgage', 'realtor', 'listings'],
+    travel_hospitality: ['travel', 'hotel', 'booking', 'flights', 'vacation', 'tours', 'resort', 'trip', 'destinations', 'rooms'],
+    food_beverage: ['food', 'restaurant', 'menu', 'recipes', 'coffee', 'delivery', 'kitchen', 'wine', 'beer', 'dining'],
+    media_entertainment: ['news', 'music', 'video', 'movies', 'streaming', 'podcast', 'magazine', 'entertainment', 'stories', 'watch'],
+    marketing_advertising: ['marketing', 'advertising', 'seo', 'agency', 'campaigns', 'brand', 'social', 'ads', 'leads', 'content'],
+    professional_services: ['consulting', 'legal', 'law', 'accounting', 'services', 'advisory', 'firm', 'attorneys', 'audit', 'tax'],
+    manufacturing_industrial: ['manufacturing', 'industrial', 'machinery', 'factory', 'engineering', 'components', 'equipment', 'production'],
+    automotive: ['car', 'cars', 'vehicle', 'vehicles', 'automotive', 'dealer', 'parts', 'motors', 'electric'],
+    energy_utilities: ['energy', 'solar', 'power', 'electricity', 'utility', 'renewable', 'gas', 'grid', 'battery'],
+    telecommunications: ['mobile', 'internet', 'broadband', 'network', 'telecom', 'fiber', 'wireless', 'plans', 'carrier'],
+    logistics_transportation: ['logistics', 'freight', 'shipping', 'transport', 'fleet', 'warehouse', 'delivery', 'supply', 'cargo'],
+    construction: ['construction', 'building', 'contractor', 'renovation', 'architecture', 'roofing', 'materials', 'projects'],
+    nonprofit: ['donate', 'charity', 'nonprofit', 'foundation', 'volunteer', 'mission', 'community', 'support'],
+    government_public: ['government', 'city', 'county', 'public', 'official', 'citizens', 'department', 'ministry'],
+    home_living: ['furniture', 'home', 'decor', 'garden', 'interior', 'bedding', 'lighting', 'vintage'],
+    fashion_beauty: ['fashion', 'clothing', 'beauty', 'skincare', 'cosmetics', 'apparel', 'jewelry', 'style', 'wear'],
+    sports_fitness: ['fitness', 'gym', 'sports', 'workout', 'training', 'yoga', 'athletes', 'team', 'running'],
+    gaming: ['game', 'games', 'gaming', 'play', 'players', 'esports', 'console'],
+    agriculture: ['farm', 'farming', 'agriculture', 'crops', 'seeds', 'livestock', 'harvest', 'organic'],
+    other: []
+};
+
+const INDUSTRY_NAMES = Object.keys(INDUSTRIES);
+const BUSINESS_MODELS = ['B2B', 'B2C', 'marketplace'];
+const MAX_KEYWORDS = 10;
+
+const CLASSIFICATION_SCHEMA = {
+    type: 'object',
+    required: ['industry', 'keywords', 'audience', 'businessModel'],
+    additionalProperties: false,
+    properties: {
+        industry: { type: 'string', enum: INDUSTRY_NAMES },
+        keywords: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_KEYWORDS,
+            items: { type: 'string', minLength: 2, maxLength: 40 }
+        },
+        audience: { type: 'string', minLength: 3, maxLength: 200 },
+        businessModel: { type: 'string', enum: BUSINESS_MODELS }
+    }
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Validates the subset of JSON Schema used above. Returns a list of errors.
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        return [`${path} must be of type ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength} characters`);
+        if (schema.maxLength && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength} characters`);
+    }
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+        if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+    if (schema.type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (schema.properties[field]) {
+                errors.push(...validateSchema(fieldValue, schema.properties[field], `${path}.${field}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${field} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Pull the JSON object out of a model answer, which may be wrapped in a code
+// fence or surrounded by prose. Returns null when there is none.
+function parseClassification(text) {
+    if (!text) return null;
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return JSON.parse(text.substring(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+}
+
+const normalizeKeywords = (keywords) => [...new Set(
+    keywords.map(keyword => keyword.toLowerCase().trim()).filter(Boolean)
+)];
+
+const STOPWORDS = new Set([
+    'about', 'after', 'also', 'and', 'are', 'been', 'best', 'both', 'but', 'can', 'each', 'every', 'for', 'from',
+    'get', 'has', 'have', 'here', 'how', 'into', 'its', 'just', 'more', 'most', 'new', 'not', 'now', 'one', 'only',
+    'our', 'out', 'over', 'own', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'through', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'you', 'your', 'all', 'any',
+    'make', 'makes', 'help', 'helps', 'like', 'use', 'used', 'using', 'way', 'well', 'was', 'were', 'day', 'days'
+]);
+
+const AUDIENCE_RULES = [
+    { pattern: /\b(small business|smbs?|small and medium)/i, audience: 'Small and medium-sized businesses' },
+    { pattern: /\benterprises?\b/i, audience: 'Enterprises and large organizations' },
+    { pattern: /\bdevelopers?\b/i, audience: 'Software developers' },
+    { pattern: /\b(students?|learners?)\b/i, audience: 'Students and learners' },
+    { pattern: /\b(families|parents|kids|children)\b/i, audience: 'Families and parents' },
+    { pattern: /\bpatients?\b/i, audience: 'Patients' },
+    { pattern: /\b(travell?ers|guests)\b/i, audience: 'Travelers' }
+];
+
+const DEFAULT_AUDIENCES = {
+    B2B: 'Businesses',
+    B2C: 'Consumers',
+    marketplace: 'Buyers and sellers'
+};
+
+// Keyword-based classification, used when no AI provider is available or the
+// model's answer does not validate
+function fallbackClassification(text = '', technologies = []) {
+    const words = (text.toLowerCase().match(/\p{L}[\p{L}\p{N}-]+/gu) || []);
+    const counts = {};
+    words.forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+
+    const scores = Object.fromEntries(INDUSTRY_NAMES.map(industry => [
+        industry,
+        INDUSTRIES[industry].reduce((sum, keyword) => sum + (counts[keyword] || 0), 0)
+    ]));
+
+    // A detected shop platform is strong evidence of online retail
+    if (technologies.some(technology => technology.category === 'E-commerce')) {
+        scores.ecommerce_retail += 3;
+    }
+
+    const [bestIndustry, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const industry = bestScore > 0 ? bestIndustry : 'other';
+
+    let businessModel = 'B2C';
+    if (/\b(marketplace|sellers|vendors|buyers and sellers)\b/i.test(text)) {
+        businessModel = 'marketplace';
+    } else if (/\b(b2b|businesses|enterprises?|teams|companies|clients|organizations)\b/i.test(text) ||
+        ['software_saas', 'professional_services', 'manufacturing_industrial', 'logistics_transportation', 'marketing_advertising'].includes(industry)) {
+        businessModel = 'B2B';
+    }
+
+    const audienceRule = AUDIENCE_RULES.find(rule => rule.pattern.test(text));
+
+    const keywords = Object.entries(counts)
+        .filter(([word]) => word.length >= 4 && !STOPWORDS.has(word))
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 8)
+        .map(([word]) => word);
+
+    return {
+        industry,
+        keywords,
+        audience: audienceRule ? audienceRule.audience : DEFAULT_AUDIENCES[businessModel],
+        businessModel
+    };
+}
+
+module.exports = {
+    INDUSTRY_NAMES,
+    BUSINESS_MODELS,
+    CLASSIFICATION_SCHEMA,
+    validateSchema,
+    parseClassification,
+    normalizeKeywords,
+    fallbackClassification
+};
@@ -0,0 +1,31 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+// Google Gemini through the official SDK
+class GeminiProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.apiKey = options.apiKey;
+        this.defaultModel = options.model || DEFAULT_MODEL;
+        this.timeoutMs = options.timeoutMs;
+        this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    async generate(prompt, options = {}) {
+        const model = this.client.getGenerativeModel(
+            { model: options.model || this.defaultModel },
+            { timeout: this.timeoutMs }
+        );
+
+        const result = await model.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    }
+}
+
+module.exports = GeminiProvider;
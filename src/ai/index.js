@@ -0,0 +1,53 @@
+const logger = require('../utils/logger');
+
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000;
+const DEFAULT_PROVIDER_ORDER = 'gemini,openai';
+
+// Providers are required lazily so unused SDKs are never loaded
+const providers = {
+    gemini: () => new (require('./geminiProvider'))({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL,
+        timeoutMs: AI_TIMEOUT_MS
+    }),
+    openai: () => new (require('./openAICompatibleProvider'))({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL,
+        model: process.env.OPENAI_MODEL,
+        timeoutMs: AI_TIMEOUT_MS
+    }),
+    mock: () => new (require('./mockProvider'))({
+        response: process.env.AI_MOCK_RESPONSE,
+        fail: process.env.AI_MOCK_FAIL === 'true'
+    })
+};
+
+const AI_PROVIDERS = Object.keys(providers);
+
+const createAIProvider = (name) => {
+    if (!providers[name]) {
+        throw new Error(`Unknown AI provider "${name}"`);
+    }
+    return providers[name]();
+};
+
+// Providers named in AI_PROVIDERS, in failover order. Providers without
+// credentials are left out.
+const createConfiguredProviders = (order = process.env.AI_PROVIDERS || DEFAULT_PROVIDER_ORDER) => {
+    return order.split(',')
+        .map(name => name.trim())
+        .filter(name => {
+            if (name && !providers[name]) {
+                logger.warn(`Unknown AI provider "${name}" in AI_PROVIDERS, skipping`);
+            }
+            return providers[name];
+        })
+        .map(createAIProvider)
+        .filter(provider => provider.isConfigured());
+};
+
+module.exports = {
+    AI_PROVIDERS,
+    createAIProvider,
+    createConfiguredProviders
+};
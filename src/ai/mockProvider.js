@@ -0,0 +1,31 @@
+// Deterministic provider for tests and local development. It answers with the
+// first quoted text in the prompt (the description or collected text), or with
+// a fixed response, and can be told to fail to exercise failover.
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.defaultModel = options.model || 'mock-1';
+        this.response = options.response;
+        this.fail = options.fail === true;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async generate(prompt, options = {}) {
+        if (this.fail) {
+            throw new Error('Mock provider failure');
+        }
+
+        if (this.response !== undefined) {
+            return this.response;
+        }
+
+        const quoted = prompt.match(/"([\s\S]+?)"/);
+        const text = (quoted ? quoted[1] : prompt).replace(/\s+/g, ' ').trim();
+        return `[${options.model || this.defaultModel}] ${text}`;
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Any server that implements the OpenAI chat completions API: OpenAI itself,
+// or local servers such as Ollama (http://localhost:11434/v1) and llama.cpp.
+// Local servers usually need no API key, so setting a base URL is enough.
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.defaultModel = options.model || DEFAULT_MODEL;
+        this.timeoutMs = options.timeoutMs;
+        this.configured = !!(options.apiKey || options.baseUrl);
+    }
+
+    isConfigured() {
+        return this.configured;
+    }
+
+    async generate(prompt, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: options.model || this.defaultModel,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.3
+        }, {
+            headers,
+            timeout: this.timeoutMs
+        });
+
+        const choice = response.data && response.data.choices && response.data.choices[0];
+        return choice && choice.message ? choice.message.content || '' : '';
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,106 @@
+// Named output styles for AI descriptions. Limits are checked after
+// generation; chars and words are both inclusive bounds.
+const ENHANCEMENT_PRESETS = {
+    directory: {
+        label: 'Business directory paragraph',
+        instructions: 'A clear, professional paragraph suitable for a business directory or search results.',
+        tone: 'professional and neutral',
+        minWords: 20,
+        maxWords: 200
+    },
+    seoMeta: {
+        label: 'SEO meta description',
+        instructions: 'A meta description for search engine results that states what the business offers and invites the click.',
+        tone: 'informative and compelling',
+        minChars: 70,
+        maxChars: 160,
+        singleLine: true
+    },
+    tagline: {
+        label: 'One-line tagline',
+        instructions: 'A memorable one-line tagline. No trailing period unless it is part of the phrase.',
+        tone: 'punchy and confident',
+        maxChars: 80,
+        maxWords: 12,
+        singleLine: true
+    },
+    socialPost: {
+        label: 'Social media post',
+        instructions: 'A short social media post introducing the business, ending with a call to action. At most two hashtags, no emoji spam.',
+        tone: 'friendly and engaging',
+        minChars: 80,
+        maxChars: 280
+    },
+    about: {
+        label: 'Long-form About blurb',
+        instructions: 'An About section in two to four paragraphs covering what the business does, for whom, and what sets it apart. Separate paragraphs with a blank line.',
+        tone: 'warm and credible',
+        minWords: 120,
+        maxWords: 400,
+        paragraphs: true
+    }
+};
+
+const ENHANCEMENT_PRESET_NAMES = Object.keys(ENHANCEMENT_PRESETS);
+const MAX_VARIANTS = 5;
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Violations of a preset's length and shape rules; empty when the text fits
+function checkPresetLimits(text, preset) {
+    const chars = text.length;
+    const words = countWords(text);
+    const violations = [];
+
+    if (preset.minChars && chars < preset.minChars) violations.push(`shorter than ${preset.minChars} characters`);
+    if (preset.maxChars && chars > preset.maxChars) violations.push(`longer than ${preset.maxChars} characters`);
+    if (preset.minWords && words < preset.minWords) violations.push(`fewer than ${preset.minWords} words`);
+    if (preset.maxWords && words > preset.maxWords) violations.push(`more than ${preset.maxWords} words`);
+    if (preset.singleLine && /\n/.test(text)) violations.push('more than one line');
+
+    return { chars, words, violations };
+}
+
+// Human-readable length rules for prompts
+function describePresetLimits(preset) {
+    const rules = [];
+
+    if (preset.minChars || preset.maxChars) {
+        rules.push(preset.minChars
+            ? `between ${preset.minChars} and ${preset.maxChars} characters`
+            : `at most ${preset.maxChars} characters`);
+    }
+    if (preset.minWords || preset.maxWords) {
+        rules.push(preset.minWords
+            ? `between ${preset.minWords} and ${preset.maxWords} words`
+            : `at most ${preset.maxWords} words`);
+    }
+    if (preset.singleLine) rules.push('a single line');
+
+    return rules.join(', ');
+}
+
+// Cut text to a preset's maximums at a word boundary
+function trimToPresetLimits(text, preset) {
+    let trimmed = text;
+
+    if (preset.maxWords && countWords(trimmed) > preset.maxWords) {
+        trimmed = trimmed.split(/\s+/).slice(0, preset.maxWords).join(' ');
+    }
+    if (preset.maxChars && trimmed.length > preset.maxChars) {
+        const cut = trimmed.substring(0, preset.maxChars + 1);
+        const lastSpace = cut.lastIndexOf(' ');
+        trimmed = (lastSpace > preset.maxChars / 2 ? cut.substring(0, lastSpace) : cut.substring(0, preset.maxChars));
+    }
+
+    return trimmed.replace(/[\s,;:\-]+$/, '');
+}
+
+module.exports = {
+    ENHANCEMENT_PRESETS,
+    ENHANCEMENT_PRESET_NAMES,
+    MAX_VARIANTS,
+    checkPresetLimits,
+    describePresetLimits,
+    trimToPresetLimits
+};
@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+
+// A backend implements get(key), set(key, value, ttlMs), delete(key) and getStats().
+const backends = {
+    memory: () => new (require('./memoryCache'))({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000 }),
+    supabase: () => new (require('./supabaseCache'))({ table: process.env.CACHE_TABLE })
+};
+
+const createCache = (name = process.env.CACHE_BACKEND || 'memory') => {
+    if (!backends[name]) {
+        logger.warn(`Unknown cache backend "${name}", using in-memory cache`);
+        return backends.memory();
+    }
+    if (name === 'supabase' && !(process.env.SUPABASE_URL && process.env.SUPABASE_KEY)) {
+        logger.warn('CACHE_BACKEND=supabase needs SUPABASE_URL and SUPABASE_KEY, using in-memory cache');
+        return backends.memory();
+    }
+    return backends[name]();
+};
+
+const cache = createCache();
+
+module.exports = {
+    createCache,
+    cache
+};
@@ -0,0 +1,50 @@
+// Process-local cache with per-entry expiry. Oldest entries are evicted
+// first once maxEntries is reached. Entries are lost on restart and are not
+// shared between instances; use the Supabase backend for that.
+class MemoryCache {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return null;
+        }
+
+        this.hits++;
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,69 @@
+const supabase = require('../supabaseClient');
+
+// Stores entries in the cache_entries table so they survive restarts and are
+// shared between instances. Expired rows are ignored on read and replaced on
+// write; delete them periodically to keep the table small.
+class SupabaseCache {
+    constructor(options = {}) {
+        this.name = 'supabase';
+        this.table = options.table || 'cache_entries';
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async get(key) {
+        const { data, error } = await supabase
+            .from(this.table)
+            .select('value')
+            .eq('key', key)
+            .gt('expires_at', new Date().toISOString())
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Cache read failed: ${error.message}`);
+        }
+
+        if (data.length === 0) {
+            this.misses++;
+            return null;
+        }
+
+        this.hits++;
+        return data[0].value;
+    }
+
+    async set(key, value, ttlMs) {
+        const { error } = await supabase
+            .from(this.table)
+            .upsert({
+                key,
+                value,
+                expires_at: new Date(Date.now() + ttlMs).toISOString()
+            }, { onConflict: 'key' });
+
+        if (error) {
+            throw new Error(`Cache write failed: ${error.message}`);
+        }
+    }
+
+    async delete(key) {
+        const { error } = await supabase
+            .from(this.table)
+            .delete()
+            .eq('key', key);
+
+        if (error) {
+            throw new Error(`Cache delete failed: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = SupabaseCache;
@@ -0,0 +1,51 @@
+// Create an API key from the command line, e.g. to bootstrap the first admin
+// key of a tenant:
+//   npm run create-api-key -- --name ops --tenant acme --scopes admin
+require('dotenv').config();
+const { parseArgs } = require('util');
+const ApiKeyService = require('../services/apiKeyService');
+const { apiKeyRepository } = require('../repositories');
+
+const SCOPES = ['read', 'analyze', 'enhance', 'admin'];
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            name: { type: 'string' },
+            tenant: { type: 'string' },
+            scopes: { type: 'string', default: 'read' },
+            quota: { type: 'string' },
+            'rate-limit': { type: 'string' }
+        }
+    });
+
+    const scopes = values.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+
+    // A memory repository lives in the server process, not in this one
+    if (apiKeyRepository.name === 'memory') {
+        throw new Error('REPOSITORY_BACKEND=memory keeps API keys in the server process; use the key it prints at startup');
+    }
+    if (!values.name || !values.tenant) {
+        throw new Error('--name and --tenant are required');
+    }
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        throw new Error(`--scopes must be a comma-separated list of: ${SCOPES.join(', ')}`);
+    }
+
+    const { key, record } = await ApiKeyService.create({
+        name: values.name,
+        tenantId: values.tenant,
+        scopes,
+        dailyAnalysisQuota: values.quota ? parseInt(values.quota, 10) : undefined,
+        rateLimitPerMinute: values['rate-limit'] ? parseInt(values['rate-limit'], 10) : undefined
+    });
+
+    console.log(`Created API key ${record.id} for tenant "${record.tenant_id}" with scopes: ${record.scopes.join(', ')}`);
+    console.log('Store this key now; it is not shown again:');
+    console.log(key);
+}
+
+main().catch(error => {
+    console.error(`Failed to create API key: ${error.message}`);
+    process.exit(1);
+});
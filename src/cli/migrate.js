@@ -0,0 +1,68 @@
+// Apply, roll back or list database migrations:
+//   npm run migrate                       apply every pending migration
+//   npm run migrate -- --to 3             apply pending migrations up to version 3
+//   npm run migrate:down                  roll back the newest migration
+//   npm run migrate:down -- --steps 2     roll back the two newest migrations
+//   npm run migrate:status                list applied and pending migrations
+// SUPABASE_KEY must be the service role key to apply or roll back.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const Migrator = require('../database/migrator');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+const parseVersion = (value, option) => {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${option} must be a non-negative integer`);
+    }
+    return parseInt(value, 10);
+};
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            to: { type: 'string' },
+            steps: { type: 'string' }
+        }
+    });
+
+    const command = positionals[0] || 'status';
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}"; use one of: ${COMMANDS.join(', ')}`);
+    }
+
+    const to = parseVersion(values.to, 'to');
+    const steps = parseVersion(values.steps, 'steps');
+
+    if (command === 'up') {
+        const applied = await Migrator.up({ to });
+        console.log(applied.length > 0
+            ? `Applied ${applied.length} migration(s): ${applied.map(item => `${item.version}_${item.name}`).join(', ')}`
+            : 'Database schema is up to date');
+        return;
+    }
+
+    if (command === 'down') {
+        if (to !== undefined && steps !== undefined) {
+            throw new Error('Use either --to or --steps, not both');
+        }
+        const rolledBack = await Migrator.down({ to, steps: steps === undefined ? 1 : steps });
+        console.log(rolledBack.length > 0
+            ? `Rolled back ${rolledBack.length} migration(s): ${rolledBack.map(item => `${item.version}_${item.name}`).join(', ')}`
+            : 'Nothing to roll back');
+        return;
+    }
+
+    const status = await Migrator.status();
+    console.log(`Schema version ${status.current} (latest ${status.latest})`);
+    status.applied.forEach(row => console.log(`  applied  ${row.version}_${row.name}  ${row.applied_at}`));
+    status.pending.forEach(row => console.log(`  pending  ${row.version}_${row.name}`));
+    status.unknown.forEach(row => console.log(`  unknown  ${row.version}_${row.name} (no migration file)`));
+}
+
+main().catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+-- Run once in the Supabase SQL editor before the first `npm run migrate`.
+-- Migrations are applied through apply_migration, which runs a migration
+-- and records it in schema_migrations in the same transaction.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  applied_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION apply_migration(p_version INTEGER, p_name VARCHAR, p_sql TEXT, p_direction VARCHAR)
+RETURNS VOID AS $$
+BEGIN
+  EXECUTE p_sql;
+
+  IF p_direction = 'up' THEN
+    INSERT INTO schema_migrations (version, name) VALUES (p_version, p_name);
+  ELSE
+    DELETE FROM schema_migrations WHERE version = p_version;
+  END IF;
+
+  NOTIFY pgrst, 'reload schema';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- apply_migration runs arbitrary SQL, so only the service role may call it
+REVOKE EXECUTE ON FUNCTION apply_migration(INTEGER, VARCHAR, TEXT, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_migration(INTEGER, VARCHAR, TEXT, VARCHAR) TO service_role;
@@ -0,0 +1,21 @@
+// The analysis table as it was before migrations. Like every migration here it
+// uses IF NOT EXISTS, so a database created from the SQL in an older README
+// is adopted as is and only gets what it is missing.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS website_analysis (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(500) NOT NULL,
+  brand_name VARCHAR(255),
+  description TEXT,
+  raw_description TEXT,
+  enhanced BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+`,
+
+    down: `
+DROP TABLE IF EXISTS website_analysis;
+`
+};
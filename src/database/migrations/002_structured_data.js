@@ -0,0 +1,10 @@
+// JSON-LD, microdata and Open Graph found on the page
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS structured_data JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS structured_data;
+`
+};
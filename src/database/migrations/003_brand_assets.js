@@ -0,0 +1,10 @@
+// Logo candidates, favicons and theme colors
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS brand_assets JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS brand_assets;
+`
+};
@@ -0,0 +1,10 @@
+// Stored screenshot locations; the images themselves live in file storage
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS screenshots JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS screenshots;
+`
+};
@@ -0,0 +1,13 @@
+// Detected technologies, indexed for the technology and techCategory filters
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS technologies JSONB;
+
+CREATE INDEX IF NOT EXISTS website_analysis_technologies_idx ON website_analysis USING GIN (technologies jsonb_path_ops);
+`,
+
+    down: `
+DROP INDEX IF EXISTS website_analysis_technologies_idx;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS technologies;
+`
+};
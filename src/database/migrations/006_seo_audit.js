@@ -0,0 +1,10 @@
+// SEO audit reports
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS seo_audit JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS seo_audit;
+`
+};
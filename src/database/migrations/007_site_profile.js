@@ -0,0 +1,10 @@
+// Merged profile of crawled sites
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS site_profile JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS site_profile;
+`
+};
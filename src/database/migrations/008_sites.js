@@ -0,0 +1,24 @@
+// Sites that group the analyses of one normalized URL into a snapshot history
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS sites (
+  id SERIAL PRIMARY KEY,
+  normalized_url VARCHAR(500) UNIQUE NOT NULL,
+  domain VARCHAR(255),
+  first_analyzed_at TIMESTAMP DEFAULT NOW(),
+  last_analyzed_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS site_id INTEGER REFERENCES sites(id) ON DELETE SET NULL;
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS content_hashes JSONB;
+
+CREATE INDEX IF NOT EXISTS website_analysis_site_idx ON website_analysis (site_id, created_at);
+`,
+
+    down: `
+DROP INDEX IF EXISTS website_analysis_site_idx;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS content_hashes;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS site_id;
+DROP TABLE IF EXISTS sites;
+`
+};
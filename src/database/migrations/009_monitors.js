@@ -0,0 +1,41 @@
+// Monitors and the change events they record
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS monitors (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(500) NOT NULL,
+  site_id INTEGER REFERENCES sites(id) ON DELETE SET NULL,
+  interval_minutes INTEGER NOT NULL,
+  watch_fields JSONB,
+  mode VARCHAR(10) DEFAULT 'auto',
+  enhance_description BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_status VARCHAR(20),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS change_events (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER REFERENCES monitors(id) ON DELETE CASCADE,
+  site_id INTEGER REFERENCES sites(id) ON DELETE SET NULL,
+  url VARCHAR(500) NOT NULL,
+  from_snapshot_id INTEGER,
+  to_snapshot_id INTEGER,
+  changed_fields JSONB,
+  changes JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS monitors_due_idx ON monitors (active, next_run_at);
+CREATE INDEX IF NOT EXISTS change_events_monitor_idx ON change_events (monitor_id, created_at);
+`,
+
+    down: `
+DROP TABLE IF EXISTS change_events;
+DROP TABLE IF EXISTS monitors;
+`
+};
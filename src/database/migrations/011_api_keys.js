@@ -0,0 +1,73 @@
+// API keys with their daily usage, and the tenant that owns each row
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  tenant_id VARCHAR(100),
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes JSONB,
+  rate_limit_per_minute INTEGER,
+  daily_analysis_quota INTEGER,
+  active BOOLEAN DEFAULT TRUE,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  analyses INTEGER DEFAULT 0,
+  PRIMARY KEY (api_key_id, usage_date)
+);
+
+-- Adds to today's count unless that would exceed the quota; returns the new
+-- count, or NULL when the quota is exhausted
+CREATE OR REPLACE FUNCTION consume_analysis_quota(p_api_key_id INTEGER, p_amount INTEGER, p_quota INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  used INTEGER;
+BEGIN
+  INSERT INTO api_key_usage (api_key_id, usage_date, analyses)
+  VALUES (p_api_key_id, CURRENT_DATE, 0)
+  ON CONFLICT (api_key_id, usage_date) DO NOTHING;
+
+  UPDATE api_key_usage
+  SET analyses = analyses + p_amount
+  WHERE api_key_id = p_api_key_id
+    AND usage_date = CURRENT_DATE
+    AND (p_quota IS NULL OR analyses + p_amount <= p_quota)
+  RETURNING analyses INTO used;
+
+  RETURN used;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE change_events ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS website_analysis_tenant_idx ON website_analysis (tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS monitors_tenant_idx ON monitors (tenant_id);
+CREATE INDEX IF NOT EXISTS webhooks_tenant_idx ON webhooks (tenant_id);
+`,
+
+    down: `
+DROP INDEX IF EXISTS webhooks_tenant_idx;
+DROP INDEX IF EXISTS monitors_tenant_idx;
+DROP INDEX IF EXISTS website_analysis_tenant_idx;
+ALTER TABLE webhooks DROP COLUMN IF EXISTS tenant_id;
+ALTER TABLE change_events DROP COLUMN IF EXISTS tenant_id;
+ALTER TABLE monitors DROP COLUMN IF EXISTS api_key_id;
+ALTER TABLE monitors DROP COLUMN IF EXISTS tenant_id;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS tenant_id;
+DROP FUNCTION IF EXISTS consume_analysis_quota(INTEGER, INTEGER, INTEGER);
+DROP TABLE IF EXISTS api_key_usage;
+DROP TABLE IF EXISTS api_keys;
+`
+};
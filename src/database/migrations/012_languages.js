@@ -0,0 +1,12 @@
+// Detected page language and descriptions in the requested languages
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS language VARCHAR(20);
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS localized_descriptions JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS localized_descriptions;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS language;
+`
+};
@@ -0,0 +1,10 @@
+// Alternative descriptions written for an enhancement preset
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS description_variants JSONB;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS description_variants;
+`
+};
@@ -0,0 +1,21 @@
+// Industry, business model, keywords and audience, indexed for the listing filters
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS industry VARCHAR(50);
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS business_model VARCHAR(20);
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS keywords JSONB;
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS classification JSONB;
+
+CREATE INDEX IF NOT EXISTS website_analysis_industry_idx ON website_analysis (industry);
+CREATE INDEX IF NOT EXISTS website_analysis_keywords_idx ON website_analysis USING GIN (keywords);
+`,
+
+    down: `
+DROP INDEX IF EXISTS website_analysis_keywords_idx;
+DROP INDEX IF EXISTS website_analysis_industry_idx;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS classification;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS keywords;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS business_model;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS industry;
+`
+};
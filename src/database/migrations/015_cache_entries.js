@@ -0,0 +1,14 @@
+// Only used with CACHE_BACKEND=supabase
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS cache_entries (
+  key VARCHAR(200) PRIMARY KEY,
+  value JSONB,
+  expires_at TIMESTAMP NOT NULL
+);
+`,
+
+    down: `
+DROP TABLE IF EXISTS cache_entries;
+`
+};
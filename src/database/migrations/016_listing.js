@@ -0,0 +1,25 @@
+// Sort indexes and the full-text search of the record listing
+module.exports = {
+    up: `
+-- Computed field for the listing's q search; not part of select *. The index
+-- is on the same expression PostgREST filters on.
+CREATE OR REPLACE FUNCTION search_vector(website_analysis) RETURNS tsvector AS $$
+  SELECT to_tsvector('simple', coalesce($1.brand_name, '') || ' ' || coalesce($1.description, '') || ' ' || coalesce($1.raw_description, ''));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS website_analysis_search_idx ON website_analysis USING GIN (search_vector(website_analysis));
+CREATE INDEX IF NOT EXISTS website_analysis_created_idx ON website_analysis (created_at, id);
+CREATE INDEX IF NOT EXISTS website_analysis_updated_idx ON website_analysis (updated_at, id);
+CREATE INDEX IF NOT EXISTS website_analysis_brand_name_idx ON website_analysis (brand_name, id);
+CREATE INDEX IF NOT EXISTS sites_domain_idx ON sites (domain);
+`,
+
+    down: `
+DROP INDEX IF EXISTS sites_domain_idx;
+DROP INDEX IF EXISTS website_analysis_brand_name_idx;
+DROP INDEX IF EXISTS website_analysis_updated_idx;
+DROP INDEX IF EXISTS website_analysis_created_idx;
+DROP INDEX IF EXISTS website_analysis_search_idx;
+DROP FUNCTION IF EXISTS search_vector(website_analysis);
+`
+};
@@ -0,0 +1,44 @@
+// CSV imports with their rows, and the tags imported records carry
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS tags JSONB;
+
+CREATE TABLE IF NOT EXISTS imports (
+  id SERIAL PRIMARY KEY,
+  tenant_id VARCHAR(100),
+  api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+  file_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  valid_rows INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS import_rows (
+  id SERIAL PRIMARY KEY,
+  import_id INTEGER REFERENCES imports(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  url TEXT,
+  brand_name VARCHAR(255),
+  tags JSONB,
+  status VARCHAR(20) NOT NULL,
+  errors JSONB,
+  error_category VARCHAR(50),
+  analysis_id INTEGER REFERENCES website_analysis(id) ON DELETE SET NULL,
+  attempts INTEGER DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS website_analysis_tags_idx ON website_analysis USING GIN (tags);
+CREATE INDEX IF NOT EXISTS imports_tenant_idx ON imports (tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS import_rows_import_idx ON import_rows (import_id, row_number);
+`,
+
+    down: `
+DROP TABLE IF EXISTS import_rows;
+DROP TABLE IF EXISTS imports;
+DROP INDEX IF EXISTS website_analysis_tags_idx;
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS tags;
+`
+};
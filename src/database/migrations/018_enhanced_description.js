@@ -0,0 +1,11 @@
+// PUT /api/websites/:id accepts enhanced_description, but the column was
+// never part of the schema, so those updates failed
+module.exports = {
+    up: `
+ALTER TABLE website_analysis ADD COLUMN IF NOT EXISTS enhanced_description TEXT;
+`,
+
+    down: `
+ALTER TABLE website_analysis DROP COLUMN IF EXISTS enhanced_description;
+`
+};
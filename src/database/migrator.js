@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const supabase = require('../supabaseClient');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BOOTSTRAP_FILE = path.join(__dirname, 'bootstrap.sql');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Errors for a table or function that PostgREST can't find
+const MISSING_CODES = ['42P01', '42883', 'PGRST202', 'PGRST205'];
+
+const notInstalled = (error) => MISSING_CODES.includes(error.code);
+
+const bootstrapError = () => new Error(`Migrations are not set up in this database; run ${path.relative(path.join(__dirname, '..', '..'), BOOTSTRAP_FILE)} once in the Supabase SQL editor`);
+
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js and exports up and down SQL. Applied versions are
+// recorded in schema_migrations by the apply_migration function from
+// bootstrap.sql, which needs the service role key.
+class Migrator {
+
+    // Migration files ordered by version
+    static loadMigrations(dir = MIGRATIONS_DIR) {
+        const migrations = fs.readdirSync(dir)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({
+                version: parseInt(match[1], 10),
+                name: match[2],
+                ...require(path.join(dir, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migration.version === migrations[index - 1].version) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+            if (typeof migration.up !== 'string') {
+                throw new Error(`Migration ${migration.version}_${migration.name} has no up SQL`);
+            }
+        });
+
+        return migrations;
+    }
+
+    static async appliedVersions() {
+        const { data, error } = await supabase
+            .from('schema_migrations')
+            .select('version, name, applied_at')
+            .order('version', { ascending: true });
+
+        if (error) {
+            if (notInstalled(error)) throw bootstrapError();
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Applied and pending migrations. unknown lists applied versions without a
+    // file here, e.g. after rolling back to an older release.
+    static async status() {
+        const migrations = Migrator.loadMigrations();
+        const applied = await Migrator.appliedVersions();
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const known = new Set(migrations.map(migration => migration.version));
+
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied,
+            pending: migrations
+                .filter(migration => !appliedVersions.has(migration.version))
+                .map(({ version, name }) => ({ version, name })),
+            unknown: applied.filter(row => !known.has(row.version))
+        };
+    }
+
+    // Apply pending migrations in order, up to and including version to
+    static async up({ to } = {}) {
+        const migrations = Migrator.loadMigrations();
+        const applied = new Set((await Migrator.appliedVersions()).map(row => row.version));
+        const pending = migrations.filter(migration => !applied.has(migration.version) && (to === undefined || migration.version <= to));
+
+        for (const migration of pending) {
+            await Migrator.apply(migration, 'up');
+        }
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    // Roll back the newest applied migrations: the last steps of them, or all
+    // above version to
+    static async down({ steps = 1, to } = {}) {
+        const migrations = Migrator.loadMigrations();
+        const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+        const applied = (await Migrator.appliedVersions()).reverse();
+        const targets = to !== undefined
+            ? applied.filter(row => row.version > to)
+            : applied.slice(0, steps);
+
+        for (const row of targets) {
+            const migration = byVersion.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+            }
+            if (typeof migration.down !== 'string') {
+                throw new Error(`Migration ${row.version}_${row.name} cannot be rolled back`);
+            }
+            await Migrator.apply(migration, 'down');
+        }
+
+        return targets.map(({ version, name }) => ({ version, name }));
+    }
+
+    // Run one migration and record it, in a single transaction
+    static async apply(migration, direction) {
+        logger.info(`Migrating ${direction}: ${migration.version}_${migration.name}`);
+
+        const { error } = await supabase.rpc('apply_migration', {
+            p_version: migration.version,
+            p_name: migration.name,
+            p_sql: direction === 'up' ? migration.up : migration.down,
+            p_direction: direction
+        });
+
+        if (error) {
+            if (notInstalled(error)) throw bootstrapError();
+            if (error.code === '42501') {
+                throw new Error('Migrations must be run with the service role key; set SUPABASE_KEY to it');
+            }
+            throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = Migrator;
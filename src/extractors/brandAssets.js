@@ -0,0 +1,180 @@
+// Finds logo candidates, favicons and brand colors. All URLs are resolved
+// against the page URL so they can be used directly by clients.
+
+const resolveUrl = (value, baseUrl) => {
+    if (!value || typeof value !== 'string') return null;
+    try {
+        const resolved = new URL(value.trim(), baseUrl);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+    } catch (_) {
+        return null;
+    }
+};
+
+const HEADER_LOGO_SELECTORS = [
+    'header img[class*="logo" i]',
+    'header img[id*="logo" i]',
+    'header img[alt*="logo" i]',
+    'header [class*="logo" i] img',
+    'img.logo',
+    '[class*="logo" i] img',
+    'img[src*="logo" i]'
+];
+
+const extractLogoCandidates = ($, baseUrl, structuredData) => {
+    const candidates = [];
+    const add = (url, source) => {
+        const resolved = resolveUrl(url, baseUrl);
+        if (resolved && !candidates.some(candidate => candidate.url === resolved)) {
+            candidates.push({ url: resolved, source });
+        }
+    };
+
+    if (structuredData && structuredData.logo) {
+        add(structuredData.logo, 'json-ld');
+    }
+
+    add($('meta[property="og:image"]').attr('content'), 'og:image');
+
+    $('link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"]').each((_, element) => {
+        add($(element).attr('href'), 'apple-touch-icon');
+    });
+
+    for (const selector of HEADER_LOGO_SELECTORS) {
+        const image = $(selector).first();
+        if (image.length > 0) {
+            add(image.attr('src') || image.attr('data-src'), 'header-img');
+            break;
+        }
+    }
+
+    return candidates;
+};
+
+const extractFavicons = ($, baseUrl) => {
+    const favicons = [];
+
+    $('link[rel~="icon"], link[rel="shortcut icon"], link[rel~="mask-icon"], link[rel~="apple-touch-icon"]').each((_, element) => {
+        const url = resolveUrl($(element).attr('href'), baseUrl);
+        if (url && !favicons.some(favicon => favicon.url === url)) {
+            favicons.push({
+                url,
+                rel: $(element).attr('rel'),
+                sizes: $(element).attr('sizes') || null,
+                type: $(element).attr('type') || null
+            });
+        }
+    });
+
+    // Browsers fall back to /favicon.ico when nothing is declared
+    if (favicons.length === 0) {
+        favicons.push({ url: resolveUrl('/favicon.ico', baseUrl), rel: 'icon', sizes: null, type: null });
+    }
+
+    return favicons;
+};
+
+const extractThemeColors = ($) => {
+    const themeColors = [];
+
+    $('meta[name="theme-color"]').each((_, element) => {
+        const color = ($(element).attr('content') || '').trim();
+        if (color) {
+            themeColors.push({ color, media: $(element).attr('media') || null });
+        }
+    });
+
+    return {
+        themeColor: themeColors.length > 0 ? themeColors[0].color : null,
+        themeColors,
+        tileColor: ($('meta[name="msapplication-TileColor"]').attr('content') || '').trim() || null
+    };
+};
+
+function extractBrandAssets($, baseUrl, structuredData = null) {
+    const logoCandidates = extractLogoCandidates($, baseUrl, structuredData);
+    const { themeColor, themeColors, tileColor } = extractThemeColors($);
+
+    return {
+        logo: logoCandidates.length > 0 ? logoCandidates[0].url : null,
+        logoCandidates,
+        favicons: extractFavicons($, baseUrl),
+        manifestUrl: resolveUrl($('link[rel="manifest"]').attr('href'), baseUrl),
+        colors: {
+            themeColor,
+            themeColors,
+            tileColor,
+            manifestThemeColor: null,
+            manifestBackgroundColor: null,
+            headerColors: []
+        }
+    };
+}
+
+// Merge a fetched web app manifest into previously extracted assets
+function applyManifest(assets, manifest) {
+    if (!manifest || typeof manifest !== 'object') return assets;
+
+    assets.colors.manifestThemeColor = manifest.theme_color || null;
+    assets.colors.manifestBackgroundColor = manifest.background_color || null;
+    if (!assets.colors.themeColor && manifest.theme_color) {
+        assets.colors.themeColor = manifest.theme_color;
+    }
+
+    (Array.isArray(manifest.icons) ? manifest.icons : []).forEach(icon => {
+        const url = resolveUrl(icon.src, assets.manifestUrl);
+        if (url && !assets.favicons.some(favicon => favicon.url === url)) {
+            assets.favicons.push({
+                url,
+                rel: 'manifest',
+                sizes: icon.sizes || null,
+                type: icon.type || null
+            });
+        }
+    });
+
+    return assets;
+}
+
+// Runs inside the browser: weighs the computed colors of header elements by
+// their rendered area and returns the most prominent ones as hex strings
+function sampleHeaderColors() {
+    const header = document.querySelector('header, [role="banner"], #header, .header, nav');
+    if (!header) return [];
+
+    const weights = {};
+    const toHex = (value) => {
+        const match = value.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+        if (!match || (match[4] !== undefined && parseFloat(match[4]) === 0)) return null;
+        return '#' + [match[1], match[2], match[3]]
+            .map(channel => parseInt(channel, 10).toString(16).padStart(2, '0'))
+            .join('');
+    };
+    const add = (value, weight) => {
+        const hex = toHex(value);
+        if (hex && weight > 0) {
+            weights[hex] = (weights[hex] || 0) + weight;
+        }
+    };
+
+    [header, ...Array.from(header.querySelectorAll('*')).slice(0, 300)].forEach(element => {
+        const rect = element.getBoundingClientRect();
+        const area = rect.width * rect.height;
+        const style = window.getComputedStyle(element);
+        add(style.backgroundColor, area);
+        if (element.childNodes.length && element.textContent.trim()) {
+            add(style.color, Math.min(area, 5000));
+        }
+    });
+
+    return Object.entries(weights)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([color]) => color);
+}
+
+module.exports = {
+    extractBrandAssets,
+    applyManifest,
+    sampleHeaderColors
+};
@@ -0,0 +1,32 @@
+const { sha256 } = require('../utils/hash');
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Hashes of the parts of a page that matter for change detection. Comparing
+// hashes keeps snapshots small while still showing what changed.
+function computeContentHashes($, { brandName, rawDescription, structuredData, brandAssets } = {}) {
+    const body = $('body').clone();
+    body.find('script, style, noscript, template, svg').remove();
+
+    const headings = $('h1, h2, h3')
+        .map((_, element) => `${element.tagName}:${normalizeText($(element).text())}`)
+        .get();
+    const navigation = $('nav a, header a')
+        .map((_, element) => `${normalizeText($(element).text())}|${$(element).attr('href') || ''}`)
+        .get();
+
+    return {
+        title: sha256(normalizeText($('title').first().text())),
+        brandName: sha256(brandName || ''),
+        description: sha256(rawDescription || ''),
+        headings: sha256(headings.join('\n')),
+        navigation: sha256(navigation.join('\n')),
+        bodyText: sha256(normalizeText(body.text())),
+        structuredData: sha256(structuredData || null),
+        logo: sha256((brandAssets && brandAssets.logo) || '')
+    };
+}
+
+module.exports = {
+    computeContentHashes
+};
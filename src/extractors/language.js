@@ -0,0 +1,114 @@
+const { normalizeLanguageTag, primaryLanguage } = require('../utils/languages');
+
+// Page language from the declared values (<html lang>, Content-Language,
+// og:locale) and a text heuristic. Declarations win unless the text clearly
+// says otherwise, because many templates ship with a stale lang="en".
+
+const SAMPLE_LENGTH = 5000;
+const MIN_STOPWORD_HITS = 5;
+const OVERRIDE_CONFIDENCE = 0.8;
+
+// Scripts that identify a language (or close enough) on their own
+const SCRIPTS = [
+    { language: 'ja', pattern: /[\u3040-\u30ff]/g },
+    { language: 'ko', pattern: /[\uac00-\ud7af]/g },
+    { language: 'zh', pattern: /[\u4e00-\u9fff]/g },
+    { language: 'ru', pattern: /[\u0400-\u04ff]/g },
+    { language: 'el', pattern: /[\u0370-\u03ff]/g },
+    { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+    { language: 'he', pattern: /[\u0590-\u05ff]/g },
+    { language: 'hi', pattern: /[\u0900-\u097f]/g },
+    { language: 'th', pattern: /[\u0e00-\u0e7f]/g }
+];
+
+// Frequent short words that are rare in the other listed languages
+const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'for', 'with', 'that', 'are', 'your', 'you', 'this', 'from', 'our', 'we'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'für', 'auf', 'sie', 'ein', 'eine', 'wir', 'ihre', 'zu'],
+    es: ['el', 'los', 'las', 'que', 'y', 'para', 'con', 'una', 'por', 'del', 'es', 'su', 'nuestro', 'más', 'como'],
+    fr: ['le', 'les', 'des', 'et', 'est', 'pour', 'une', 'dans', 'vous', 'nous', 'sur', 'avec', 'pas', 'du', 'au'],
+    it: ['il', 'che', 'di', 'per', 'con', 'una', 'sono', 'gli', 'della', 'non', 'anche', 'nel', 'alla', 'questo', 'più'],
+    pt: ['o', 'os', 'que', 'para', 'com', 'uma', 'não', 'do', 'da', 'dos', 'em', 'seu', 'sua', 'mais', 'você'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'niet', 'zijn', 'op', 'wij', 'uw', 'ons', 'ook', 'naar']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+const pageText = ($) => {
+    const body = $('body').clone();
+    body.find('script, style, noscript, template, svg, code, pre').remove();
+    return body.text().replace(/\s+/g, ' ').trim().substring(0, SAMPLE_LENGTH);
+};
+
+function detectTextLanguage(text) {
+    if (!text) return null;
+
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return null;
+
+    // Kana decides Japanese even when Han characters dominate
+    const kana = (text.match(SCRIPTS[0].pattern) || []).length;
+    if (kana / letters > 0.05) {
+        return { language: 'ja', confidence: Math.min(1, kana / letters * 5) };
+    }
+
+    for (const { language, pattern } of SCRIPTS.slice(1)) {
+        const share = (text.match(pattern) || []).length / letters;
+        if (share > 0.3) {
+            return { language, confidence: Math.min(1, share * 1.5) };
+        }
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = {};
+    for (const word of words) {
+        for (const [language, set] of Object.entries(STOPWORD_SETS)) {
+            if (set.has(word)) hits[language] = (hits[language] || 0) + 1;
+        }
+    }
+
+    const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || ranked[0][1] < MIN_STOPWORD_HITS) return null;
+
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+    return {
+        language: ranked[0][0],
+        confidence: Math.round(ranked[0][1] / total * 100) / 100
+    };
+}
+
+function detectLanguage($, headers = {}) {
+    const contentLanguageHeader = headers['content-language'] || $('meta[http-equiv="content-language" i]').attr('content');
+    const declared = {
+        htmlLang: normalizeLanguageTag($('html').attr('lang') || $('html').attr('xml:lang')),
+        contentLanguage: normalizeLanguageTag((contentLanguageHeader || '').split(',')[0]),
+        ogLocale: normalizeLanguageTag($('meta[property="og:locale"]').attr('content'))
+    };
+    const detected = detectTextLanguage(pageText($));
+
+    const [source, declaredLanguage] = Object.entries(declared).find(([, value]) => value) || [];
+
+    let language = declaredLanguage || null;
+    let chosenSource = source || null;
+
+    if (detected && (!language || (
+        primaryLanguage(language) !== detected.language && detected.confidence >= OVERRIDE_CONFIDENCE
+    ))) {
+        language = detected.language;
+        chosenSource = 'text';
+    }
+
+    return {
+        language,
+        source: chosenSource,
+        declared,
+        detected
+    };
+}
+
+module.exports = {
+    detectLanguage,
+    detectTextLanguage
+};
@@ -0,0 +1,251 @@
+// On-page SEO audit. Every check produces a finding with a severity; the
+// overall score starts at 100 and loses points per problem found.
+
+const SEVERITY_PENALTIES = {
+    error: 15,
+    warning: 7,
+    notice: 2,
+    pass: 0
+};
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+const REQUIRED_OPEN_GRAPH = ['og:title', 'og:description', 'og:image', 'og:url', 'og:type'];
+
+const normalizeHost = (hostname) => hostname.replace(/^www\./i, '').toLowerCase();
+
+const lengthFinding = (check, label, value, limits) => {
+    if (!value) {
+        return { check, severity: 'error', message: `Missing ${label}` };
+    }
+    if (value.length < limits.min) {
+        return { check, severity: 'warning', message: `${label} is short (${value.length} chars, aim for ${limits.min}-${limits.max})`, details: { length: value.length } };
+    }
+    if (value.length > limits.max) {
+        return { check, severity: 'warning', message: `${label} is long (${value.length} chars, aim for ${limits.min}-${limits.max})`, details: { length: value.length } };
+    }
+    return { check, severity: 'pass', message: `${label} length is good (${value.length} chars)`, details: { length: value.length } };
+};
+
+const checkCanonical = ($, url) => {
+    const canonicals = $('link[rel="canonical"]').map((_, element) => $(element).attr('href')).get().filter(Boolean);
+
+    if (canonicals.length === 0) {
+        return { check: 'canonical', severity: 'warning', message: 'No canonical URL declared' };
+    }
+    if (canonicals.length > 1) {
+        return { check: 'canonical', severity: 'error', message: `${canonicals.length} canonical tags declared`, details: { canonicals } };
+    }
+
+    try {
+        const canonical = new URL(canonicals[0], url);
+        if (normalizeHost(canonical.hostname) !== normalizeHost(new URL(url).hostname)) {
+            return { check: 'canonical', severity: 'notice', message: 'Canonical URL points to another host', details: { canonical: canonical.href } };
+        }
+        return { check: 'canonical', severity: 'pass', message: 'Canonical URL declared', details: { canonical: canonical.href } };
+    } catch (_) {
+        return { check: 'canonical', severity: 'error', message: 'Canonical URL is invalid', details: { canonical: canonicals[0] } };
+    }
+};
+
+const checkHreflang = ($) => {
+    const alternates = $('link[rel="alternate"][hreflang]').map((_, element) => ({
+        hreflang: $(element).attr('hreflang'),
+        href: $(element).attr('href')
+    })).get();
+
+    if (alternates.length === 0) {
+        return { check: 'hreflang', severity: 'pass', message: 'No hreflang alternates (single-language page)', details: { alternates } };
+    }
+
+    const invalid = alternates.filter(alternate =>
+        !/^(x-default|[a-z]{2,3}(-[A-Za-z0-9]{2,4})?)$/i.test(alternate.hreflang || '') ||
+        !/^https?:\/\//i.test(alternate.href || ''));
+
+    if (invalid.length > 0) {
+        return { check: 'hreflang', severity: 'warning', message: `${invalid.length} hreflang tags have an invalid code or a relative URL`, details: { alternates, invalid } };
+    }
+    if (!alternates.some(alternate => alternate.hreflang.toLowerCase() === 'x-default')) {
+        return { check: 'hreflang', severity: 'notice', message: 'hreflang alternates have no x-default', details: { alternates } };
+    }
+    return { check: 'hreflang', severity: 'pass', message: `${alternates.length} valid hreflang alternates`, details: { alternates } };
+};
+
+const checkHeadings = ($) => {
+    const headings = $('h1, h2, h3, h4, h5, h6').map((_, element) => ({
+        level: parseInt(element.tagName.substring(1), 10),
+        text: $(element).text().replace(/\s+/g, ' ').trim().substring(0, 120)
+    })).get();
+    const h1Count = headings.filter(heading => heading.level === 1).length;
+
+    const skipped = [];
+    headings.forEach((heading, index) => {
+        const previous = index > 0 ? headings[index - 1].level : 0;
+        if (heading.level > previous + 1) {
+            skipped.push({ from: previous ? `h${previous}` : 'start', to: `h${heading.level}`, text: heading.text });
+        }
+    });
+
+    const findings = [];
+    if (h1Count === 0) {
+        findings.push({ check: 'headings', severity: 'error', message: 'Page has no h1 heading' });
+    } else if (h1Count > 1) {
+        findings.push({ check: 'headings', severity: 'warning', message: `Page has ${h1Count} h1 headings`, details: { h1Count } });
+    }
+    if (skipped.length > 0) {
+        findings.push({ check: 'headings', severity: 'notice', message: `Heading levels are skipped ${skipped.length} time(s)`, details: { skipped: skipped.slice(0, 10) } });
+    }
+    if (findings.length === 0) {
+        findings.push({ check: 'headings', severity: 'pass', message: 'Heading hierarchy is well formed', details: { count: headings.length } });
+    }
+
+    return { findings, outline: headings.slice(0, 50) };
+};
+
+const checkImageAlt = ($, url) => {
+    const images = $('img');
+    const missing = images.filter((_, element) => $(element).attr('alt') === undefined)
+        .map((_, element) => {
+            const src = $(element).attr('src') || $(element).attr('data-src') || '';
+            try {
+                return new URL(src, url).href;
+            } catch (_) {
+                return src;
+            }
+        }).get();
+
+    if (missing.length === 0) {
+        return { check: 'imageAlt', severity: 'pass', message: `All ${images.length} images have alt text` };
+    }
+    return {
+        check: 'imageAlt',
+        severity: missing.length > images.length / 2 ? 'warning' : 'notice',
+        message: `${missing.length} of ${images.length} images are missing alt text`,
+        details: { missing: missing.length, total: images.length, examples: missing.slice(0, 10) }
+    };
+};
+
+const checkRobots = ($, headers) => {
+    const robotsMeta = [
+        $('meta[name="robots"]').attr('content'),
+        $('meta[name="googlebot"]').attr('content'),
+        headers['x-robots-tag']
+    ].filter(Boolean).join(', ').toLowerCase();
+
+    if (/\bnoindex\b|\bnone\b/.test(robotsMeta)) {
+        return { check: 'robots', severity: 'error', message: 'Page is marked noindex', details: { directives: robotsMeta } };
+    }
+    if (/\bnofollow\b/.test(robotsMeta)) {
+        return { check: 'robots', severity: 'warning', message: 'Page is marked nofollow', details: { directives: robotsMeta } };
+    }
+    return { check: 'robots', severity: 'pass', message: 'Page is indexable', details: { directives: robotsMeta || null } };
+};
+
+const checkOpenGraph = ($) => {
+    const missing = REQUIRED_OPEN_GRAPH.filter(property => !$(`meta[property="${property}"]`).attr('content'));
+    const completeness = Math.round(((REQUIRED_OPEN_GRAPH.length - missing.length) / REQUIRED_OPEN_GRAPH.length) * 100);
+
+    if (missing.length === 0) {
+        return { check: 'openGraph', severity: 'pass', message: 'Open Graph tags are complete', details: { completeness } };
+    }
+    return {
+        check: 'openGraph',
+        severity: missing.length === REQUIRED_OPEN_GRAPH.length ? 'warning' : 'notice',
+        message: `Missing Open Graph tags: ${missing.join(', ')}`,
+        details: { completeness, missing }
+    };
+};
+
+const countLinks = ($, url) => {
+    const pageHost = normalizeHost(new URL(url).hostname);
+    const counts = { internal: 0, external: 0, nofollow: 0 };
+
+    $('a[href]').each((_, element) => {
+        const href = $(element).attr('href').trim();
+        if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href)) return;
+
+        try {
+            const link = new URL(href, url);
+            if (link.protocol !== 'http:' && link.protocol !== 'https:') return;
+
+            if (normalizeHost(link.hostname) === pageHost) {
+                counts.internal++;
+            } else {
+                counts.external++;
+            }
+            if (/\bnofollow\b/i.test($(element).attr('rel') || '')) {
+                counts.nofollow++;
+            }
+        } catch (_) {
+            // Ignore unparseable hrefs
+        }
+    });
+
+    return counts;
+};
+
+function auditSeo($, url, headers = {}) {
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+    const description = ($('meta[name="description"]').attr('content') || '').trim();
+    const headings = checkHeadings($);
+    const links = countLinks($, url);
+
+    const findings = [
+        lengthFinding('title', 'Title', title, TITLE_LENGTH),
+        lengthFinding('metaDescription', 'Meta description', description, DESCRIPTION_LENGTH),
+        checkCanonical($, url),
+        checkHreflang($),
+        ...headings.findings,
+        checkImageAlt($, url),
+        checkRobots($, headers),
+        checkOpenGraph($)
+    ];
+
+    if (links.internal === 0) {
+        findings.push({ check: 'links', severity: 'warning', message: 'Page has no internal links', details: links });
+    } else {
+        findings.push({ check: 'links', severity: 'pass', message: `${links.internal} internal and ${links.external} external links`, details: links });
+    }
+
+    const penalty = findings.reduce((sum, finding) => sum + SEVERITY_PENALTIES[finding.severity], 0);
+    const summary = { error: 0, warning: 0, notice: 0, pass: 0 };
+    findings.forEach(finding => summary[finding.severity]++);
+
+    return {
+        score: Math.max(0, 100 - penalty),
+        summary,
+        findings,
+        metrics: {
+            title,
+            titleLength: title.length,
+            metaDescription: description,
+            metaDescriptionLength: description.length,
+            headings: headings.outline,
+            links
+        },
+        auditedAt: new Date().toISOString()
+    };
+}
+
+// Compare two audits of the same URL: score change plus findings that
+// appeared or were resolved between them
+function compareSeoAudits(current, previous) {
+    if (!previous) return null;
+
+    const issueKey = finding => `${finding.check}:${finding.severity}:${finding.message}`;
+    const issues = audit => audit.findings.filter(finding => finding.severity !== 'pass');
+    const currentKeys = new Set(issues(current).map(issueKey));
+    const previousKeys = new Set(issues(previous).map(issueKey));
+
+    return {
+        previousScore: previous.score,
+        scoreChange: current.score - previous.score,
+        newIssues: issues(current).filter(finding => !previousKeys.has(issueKey(finding))),
+        resolvedIssues: issues(previous).filter(finding => !currentKeys.has(issueKey(finding)))
+    };
+}
+
+module.exports = {
+    auditSeo,
+    compareSeoAudits
+};
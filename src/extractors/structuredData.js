@@ -0,0 +1,209 @@
+// Parses JSON-LD, schema.org microdata and Open Graph/Twitter card tags into
+// one normalized object that is stored as website_analysis.structured_data.
+
+const ORGANIZATION_TYPES = [
+    'Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'OnlineStore',
+    'Store', 'Restaurant', 'NGO', 'EducationalOrganization', 'MedicalOrganization',
+    'NewsMediaOrganization', 'SportsOrganization', 'ProfessionalService', 'Brand'
+];
+const PREFERRED_TYPES = [...ORGANIZATION_TYPES, 'Product', 'SoftwareApplication', 'WebSite'];
+
+const toArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+const typesOf = (entity) => toArray(entity['@type'] || entity.type)
+    .map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+
+const resolveUrl = (value, baseUrl) => {
+    if (!value || typeof value !== 'string') return null;
+    try {
+        return new URL(value.trim(), baseUrl).href;
+    } catch (_) {
+        return null;
+    }
+};
+
+const textValue = (value) => {
+    const first = toArray(value)[0];
+    if (first === undefined || first === null) return null;
+    if (typeof first === 'object') {
+        return textValue(first.name || first['@value'] || first.text);
+    }
+    const text = String(first).replace(/\s+/g, ' ').trim();
+    return text || null;
+};
+
+const imageValue = (value, baseUrl) => {
+    const first = toArray(value)[0];
+    if (!first) return null;
+    if (typeof first === 'object') {
+        return resolveUrl(first.url || first.contentUrl || first['@id'], baseUrl);
+    }
+    return resolveUrl(first, baseUrl);
+};
+
+const addressValue = (value) => {
+    const first = toArray(value)[0];
+    if (!first) return null;
+    if (typeof first === 'string') return first.trim() || null;
+
+    const address = {};
+    ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode'].forEach(field => {
+        const text = textValue(first[field]);
+        if (text) address[field] = text;
+    });
+    const country = textValue(first.addressCountry);
+    if (country) address.addressCountry = country;
+
+    return Object.keys(address).length > 0 ? address : null;
+};
+
+// Flatten arrays and @graph containers into a list of entities
+const flattenJsonLd = (node, entities = []) => {
+    if (Array.isArray(node)) {
+        node.forEach(item => flattenJsonLd(item, entities));
+    } else if (node && typeof node === 'object') {
+        if (node['@graph']) {
+            flattenJsonLd(node['@graph'], entities);
+        }
+        if (node['@type']) {
+            entities.push(node);
+        }
+    }
+    return entities;
+};
+
+const parseJsonLd = ($) => {
+    const entities = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        const raw = $(element).contents().text().trim();
+        if (!raw) return;
+
+        try {
+            flattenJsonLd(JSON.parse(raw), entities);
+        } catch (_) {
+            // Sites routinely ship broken JSON-LD; skip the block
+        }
+    });
+
+    return entities;
+};
+
+const microdataValue = ($, element) => {
+    const $element = $(element);
+
+    if ($element.is('[itemscope]')) {
+        return parseMicrodataScope($, element);
+    }
+    if ($element.is('meta')) return $element.attr('content');
+    if ($element.is('a, link, area')) return $element.attr('href');
+    if ($element.is('img, audio, video, source, iframe, embed')) return $element.attr('src');
+    if ($element.is('time')) return $element.attr('datetime') || $element.text();
+    if ($element.is('data, meter')) return $element.attr('value');
+
+    return $element.text();
+};
+
+const parseMicrodataScope = ($, scope) => {
+    const entity = {};
+    const itemType = $(scope).attr('itemtype');
+    if (itemType) {
+        entity['@type'] = itemType.split(/\s+/)[0].replace(/^https?:\/\/schema\.org\//, '');
+    }
+
+    $(scope).find('[itemprop]').each((_, element) => {
+        // Only direct properties; nested scopes own their own properties
+        if ($(element).parent().closest('[itemscope]').get(0) !== scope) return;
+
+        const value = microdataValue($, element);
+        $(element).attr('itemprop').split(/\s+/).forEach(name => {
+            entity[name] = entity[name] === undefined ? value : [...toArray(entity[name]), value];
+        });
+    });
+
+    return entity;
+};
+
+const parseMicrodata = ($) => {
+    const entities = [];
+
+    $('[itemscope][itemtype]').each((_, element) => {
+        if ($(element).is('[itemprop]')) return; // Nested in another item
+        entities.push(parseMicrodataScope($, element));
+    });
+
+    return entities;
+};
+
+const parseMetaPrefix = ($, attribute, prefix) => {
+    const tags = {};
+
+    $(`meta[${attribute}^="${prefix}:"]`).each((_, element) => {
+        const key = $(element).attr(attribute).slice(prefix.length + 1);
+        const content = ($(element).attr('content') || '').trim();
+        if (key && content && tags[key] === undefined) {
+            tags[key] = content;
+        }
+    });
+
+    return tags;
+};
+
+const pickPrimaryEntity = (entities) => {
+    for (const preferred of PREFERRED_TYPES) {
+        const match = entities.find(entity => typesOf(entity).includes(preferred));
+        if (match) {
+            // A WebSite often carries the real organization as its publisher
+            if (preferred === 'WebSite' && match.publisher && typeof match.publisher === 'object') {
+                const publisher = toArray(match.publisher)[0];
+                if (typesOf(publisher).some(type => ORGANIZATION_TYPES.includes(type))) {
+                    return publisher;
+                }
+            }
+            return match;
+        }
+    }
+    return entities[0] || null;
+};
+
+function extractStructuredData($, baseUrl) {
+    const jsonLd = parseJsonLd($);
+    const microdata = parseMicrodata($);
+    const openGraph = parseMetaPrefix($, 'property', 'og');
+    const twitter = parseMetaPrefix($, 'name', 'twitter');
+
+    const entity = pickPrimaryEntity([...jsonLd, ...microdata]) || {};
+    const types = [...new Set([entity, ...jsonLd, ...microdata].flatMap(typesOf))];
+
+    const sources = [];
+    if (jsonLd.length > 0) sources.push('json-ld');
+    if (microdata.length > 0) sources.push('microdata');
+    if (Object.keys(openGraph).length > 0) sources.push('opengraph');
+    if (Object.keys(twitter).length > 0) sources.push('twitter');
+
+    return {
+        type: typesOf(entity)[0] || null,
+        types,
+        name: textValue(entity.name) || textValue(entity.alternateName),
+        legalName: textValue(entity.legalName),
+        description: textValue(entity.description),
+        url: resolveUrl(textValue(entity.url), baseUrl),
+        logo: imageValue(entity.logo, baseUrl) || (entity.brand ? imageValue(toArray(entity.brand)[0].logo, baseUrl) : null),
+        image: imageValue(entity.image, baseUrl),
+        foundingDate: textValue(entity.foundingDate),
+        address: addressValue(entity.address || (entity.location && toArray(entity.location)[0].address)),
+        telephone: textValue(entity.telephone),
+        email: textValue(entity.email),
+        sameAs: toArray(entity.sameAs).map(link => resolveUrl(link, baseUrl)).filter(Boolean),
+        openGraph,
+        twitter,
+        sources
+    };
+}
+
+module.exports = {
+    extractStructuredData
+};
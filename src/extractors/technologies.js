@@ -0,0 +1,122 @@
+const rules = require('./technologyRules');
+
+// How much each kind of evidence contributes to a detection's confidence
+const EVIDENCE_WEIGHTS = {
+    meta: 100,
+    headers: 80,
+    globals: 70,
+    cookies: 60,
+    scripts: 60,
+    html: 40
+};
+
+const GLOBAL_PATHS = [...new Set(rules.flatMap(rule => rule.globals || []))];
+
+const matchVersion = (pattern, value) => {
+    const match = pattern.exec(value);
+    if (!match) return null;
+    return { version: match[1] || null };
+};
+
+// Runs inside the browser: resolves window property paths and reports the
+// ones that exist. String and number values are returned so they can be used
+// as versions; anything else is reported as true.
+function detectGlobals(paths) {
+    const found = {};
+
+    paths.forEach(path => {
+        let value = window;
+        for (const part of path.split('.')) {
+            if (value === null || value === undefined || !(part in Object(value))) {
+                return;
+            }
+            value = value[part];
+        }
+        found[path] = typeof value === 'string' || typeof value === 'number' ? String(value) : true;
+    });
+
+    return found;
+}
+
+// signals: { headers, cookies, globals } gathered while loading the page
+function detectTechnologies($, html, signals = {}) {
+    const headers = signals.headers || {};
+    const cookies = signals.cookies || [];
+    const globals = signals.globals || {};
+
+    const scripts = $('script[src]').map((_, element) => $(element).attr('src')).get();
+    const metaTags = {};
+    $('meta[name]').each((_, element) => {
+        const name = $(element).attr('name').toLowerCase();
+        metaTags[name] = metaTags[name] || $(element).attr('content') || '';
+    });
+
+    const detected = [];
+
+    for (const rule of rules) {
+        const evidence = [];
+        let version = null;
+        const record = (type, detail, match) => {
+            evidence.push({ type, detail });
+            if (!version && match && match.version) {
+                version = match.version;
+            }
+        };
+
+        Object.entries(rule.headers || {}).forEach(([name, pattern]) => {
+            const value = headers[name];
+            const match = value !== undefined && matchVersion(pattern, Array.isArray(value) ? value.join(', ') : String(value));
+            if (match) record('headers', name, match);
+        });
+
+        Object.entries(rule.meta || {}).forEach(([name, pattern]) => {
+            const match = metaTags[name] !== undefined && matchVersion(pattern, metaTags[name]);
+            if (match) record('meta', name, match);
+        });
+
+        (rule.scripts || []).forEach(pattern => {
+            for (const src of scripts) {
+                const match = matchVersion(pattern, src);
+                if (match) {
+                    record('scripts', src, match);
+                    break;
+                }
+            }
+        });
+
+        (rule.html || []).forEach(pattern => {
+            const match = matchVersion(pattern, html);
+            if (match) record('html', pattern.source, match);
+        });
+
+        (rule.globals || []).forEach(path => {
+            if (globals[path] !== undefined) {
+                record('globals', path, { version: typeof globals[path] === 'string' ? globals[path] : null });
+            }
+        });
+
+        (rule.cookies || []).forEach(pattern => {
+            const name = cookies.find(cookie => pattern.test(cookie));
+            if (name) record('cookies', name);
+        });
+
+        if (evidence.length > 0) {
+            const confidence = Math.min(100, evidence.reduce((sum, item) => sum + EVIDENCE_WEIGHTS[item.type], 0));
+            detected.push({
+                name: rule.name,
+                category: rule.category,
+                version,
+                confidence,
+                evidence
+            });
+        }
+    }
+
+    return detected.sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    GLOBAL_PATHS,
+    detectGlobals,
+    detectTechnologies
+};
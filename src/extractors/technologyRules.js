@@ -0,0 +1,289 @@
+// Fingerprint rules for technology detection. Each rule may match on:
+//   headers - response header name -> pattern
+//   meta    - meta tag name -> pattern (usually "generator")
+//   scripts - patterns tested against script src URLs
+//   html    - patterns tested against the raw HTML
+//   globals - window property paths; a string value is taken as the version
+//   cookies - patterns tested against cookie names
+// The first capture group of a matching pattern is used as the version.
+
+module.exports = [
+    // CMS
+    {
+        name: 'WordPress',
+        category: 'CMS',
+        meta: { generator: /WordPress ?([\d.]+)?/i },
+        headers: { link: /rel="https:\/\/api\.w\.org\/"/i },
+        scripts: [/\/wp-(?:content|includes)\//i],
+        html: [/\/wp-content\//i],
+        globals: ['wp', 'wpApiSettings'],
+        cookies: [/^wordpress_/, /^wp-settings-/]
+    },
+    {
+        name: 'Drupal',
+        category: 'CMS',
+        meta: { generator: /Drupal ?(\d+)?/i },
+        headers: { 'x-generator': /Drupal ?(\d+)?/i, 'x-drupal-cache': /.*/ },
+        scripts: [/\/sites\/(?:default|all)\/|drupal\.js/i],
+        globals: ['Drupal']
+    },
+    {
+        name: 'Joomla',
+        category: 'CMS',
+        meta: { generator: /Joomla!? ?([\d.]+)?/i },
+        scripts: [/\/media\/jui\/|\/media\/system\/js\//i],
+        globals: ['Joomla']
+    },
+    {
+        name: 'Ghost',
+        category: 'CMS',
+        meta: { generator: /Ghost ?([\d.]+)?/i },
+        headers: { 'x-ghost-cache-status': /.*/ }
+    },
+    {
+        name: 'Wix',
+        category: 'CMS',
+        meta: { generator: /Wix\.com/i },
+        headers: { 'x-wix-request-id': /.*/ },
+        scripts: [/static\.parastorage\.com/i],
+        globals: ['wixBiSession']
+    },
+    {
+        name: 'Squarespace',
+        category: 'CMS',
+        headers: { server: /Squarespace/i },
+        scripts: [/static1?\.squarespace\.com/i],
+        globals: ['Static.SQUARESPACE_CONTEXT']
+    },
+    {
+        name: 'Webflow',
+        category: 'CMS',
+        meta: { generator: /Webflow/i },
+        html: [/data-wf-(?:page|site)=/i],
+        globals: ['Webflow']
+    },
+    {
+        name: 'HubSpot CMS',
+        category: 'CMS',
+        headers: { 'x-hs-hub-id': /.*/ },
+        meta: { generator: /HubSpot/i }
+    },
+
+    // E-commerce
+    {
+        name: 'Shopify',
+        category: 'E-commerce',
+        headers: { 'x-shopid': /.*/, 'x-shopify-stage': /.*/ },
+        scripts: [/cdn\.shopify\.com/i],
+        globals: ['Shopify', 'ShopifyAnalytics'],
+        cookies: [/^_shopify_/]
+    },
+    {
+        name: 'WooCommerce',
+        category: 'E-commerce',
+        meta: { generator: /WooCommerce ?([\d.]+)?/i },
+        scripts: [/\/wp-content\/plugins\/woocommerce\//i],
+        globals: ['woocommerce_params'],
+        cookies: [/^woocommerce_/]
+    },
+    {
+        name: 'Magento',
+        category: 'E-commerce',
+        scripts: [/\/static\/version\d+\/frontend\/|mage\/cookies\.js/i],
+        html: [/Mage\.Cookies|data-mage-init/i],
+        globals: ['Mage'],
+        cookies: [/^mage-/]
+    },
+    {
+        name: 'BigCommerce',
+        category: 'E-commerce',
+        scripts: [/cdn\d*\.bigcommerce\.com/i],
+        globals: ['BCData']
+    },
+    {
+        name: 'PrestaShop',
+        category: 'E-commerce',
+        meta: { generator: /PrestaShop/i },
+        globals: ['prestashop']
+    },
+
+    // Analytics
+    {
+        name: 'Google Analytics',
+        category: 'Analytics',
+        scripts: [/google-analytics\.com\/(?:ga|analytics)\.js|googletagmanager\.com\/gtag\/js/i],
+        globals: ['ga', 'gtag'],
+        cookies: [/^_ga$/, /^_gid$/]
+    },
+    {
+        name: 'Google Tag Manager',
+        category: 'Tag manager',
+        scripts: [/googletagmanager\.com\/gtm\.js/i],
+        html: [/googletagmanager\.com\/ns\.html/i],
+        globals: ['google_tag_manager']
+    },
+    {
+        name: 'Segment',
+        category: 'Analytics',
+        scripts: [/cdn\.segment\.(?:com|io)\/analytics\.js/i],
+        globals: ['analytics.SNIPPET_VERSION']
+    },
+    {
+        name: 'Mixpanel',
+        category: 'Analytics',
+        scripts: [/cdn\.mxpnl\.com|mixpanel-[\d.-]+\.min\.js/i],
+        globals: ['mixpanel']
+    },
+    {
+        name: 'Hotjar',
+        category: 'Analytics',
+        scripts: [/static\.hotjar\.com/i],
+        globals: ['hj'],
+        cookies: [/^_hjSession/]
+    },
+    {
+        name: 'Plausible',
+        category: 'Analytics',
+        scripts: [/plausible\.io\/js\//i],
+        globals: ['plausible']
+    },
+    {
+        name: 'Matomo',
+        category: 'Analytics',
+        scripts: [/matomo\.js|piwik\.js/i],
+        globals: ['Matomo', '_paq'],
+        cookies: [/^_pk_id/]
+    },
+    {
+        name: 'Facebook Pixel',
+        category: 'Advertising',
+        scripts: [/connect\.facebook\.net\/[^/]+\/fbevents\.js/i],
+        globals: ['fbq'],
+        cookies: [/^_fbp$/]
+    },
+
+    // JavaScript frameworks and libraries
+    {
+        name: 'React',
+        category: 'JavaScript framework',
+        scripts: [/react(?:-dom)?(?:\.production)?(?:\.min)?\.js/i],
+        html: [/data-reactroot/i],
+        globals: ['React.version']
+    },
+    {
+        name: 'Next.js',
+        category: 'JavaScript framework',
+        headers: { 'x-powered-by': /Next\.js ?([\d.]+)?/i },
+        scripts: [/\/_next\/static\//i],
+        html: [/id="__next"/i],
+        globals: ['next.version', '__NEXT_DATA__']
+    },
+    {
+        name: 'Vue.js',
+        category: 'JavaScript framework',
+        scripts: [/vue(?:\.runtime)?(?:\.global)?(?:\.prod)?(?:\.min)?\.js/i],
+        html: [/data-v-[0-9a-f]{8}/i],
+        globals: ['Vue.version']
+    },
+    {
+        name: 'Nuxt.js',
+        category: 'JavaScript framework',
+        scripts: [/\/_nuxt\//i],
+        html: [/id="__nuxt"/i],
+        globals: ['__NUXT__', '$nuxt']
+    },
+    {
+        name: 'Angular',
+        category: 'JavaScript framework',
+        html: [/ng-version="([\d.]+)"/i],
+        globals: ['ng', 'angular.version.full']
+    },
+    {
+        name: 'Svelte',
+        category: 'JavaScript framework',
+        html: [/class="[^"]*svelte-[a-z0-9]+/i]
+    },
+    {
+        name: 'Gatsby',
+        category: 'Static site generator',
+        meta: { generator: /Gatsby ?([\d.]+)?/i },
+        html: [/id="___gatsby"/i]
+    },
+    {
+        name: 'jQuery',
+        category: 'JavaScript library',
+        scripts: [/jquery[.-]?([\d.]+)?(?:\.min)?\.js/i],
+        globals: ['jQuery.fn.jquery']
+    },
+    {
+        name: 'Bootstrap',
+        category: 'UI framework',
+        scripts: [/bootstrap(?:\.bundle)?(?:\.min)?\.js/i],
+        html: [/bootstrap(?:\.min)?\.css/i]
+    },
+
+    // Web servers, hosting and CDN
+    {
+        name: 'Nginx',
+        category: 'Web server',
+        headers: { server: /nginx(?:\/([\d.]+))?/i }
+    },
+    {
+        name: 'Apache',
+        category: 'Web server',
+        headers: { server: /Apache(?:\/([\d.]+))?/i }
+    },
+    {
+        name: 'Express',
+        category: 'Web framework',
+        headers: { 'x-powered-by': /^Express$/i }
+    },
+    {
+        name: 'PHP',
+        category: 'Programming language',
+        headers: { 'x-powered-by': /PHP(?:\/([\d.]+))?/i },
+        cookies: [/^PHPSESSID$/]
+    },
+    {
+        name: 'Cloudflare',
+        category: 'CDN',
+        headers: { server: /cloudflare/i, 'cf-ray': /.*/ },
+        cookies: [/^__cf_bm$/, /^__cfduid$/]
+    },
+    {
+        name: 'Vercel',
+        category: 'Hosting',
+        headers: { server: /Vercel/i, 'x-vercel-id': /.*/ }
+    },
+    {
+        name: 'Netlify',
+        category: 'Hosting',
+        headers: { server: /Netlify/i, 'x-nf-request-id': /.*/ }
+    },
+    {
+        name: 'Amazon CloudFront',
+        category: 'CDN',
+        headers: { via: /CloudFront/i, 'x-amz-cf-id': /.*/ }
+    },
+
+    // Other services
+    {
+        name: 'Stripe',
+        category: 'Payment processor',
+        scripts: [/js\.stripe\.com/i],
+        globals: ['Stripe.version']
+    },
+    {
+        name: 'Intercom',
+        category: 'Live chat',
+        scripts: [/widget\.intercom\.io|js\.intercomcdn\.com/i],
+        globals: ['Intercom']
+    },
+    {
+        name: 'HubSpot',
+        category: 'Marketing automation',
+        scripts: [/js\.hs-scripts\.com|js\.hs-analytics\.net/i],
+        globals: ['_hsq'],
+        cookies: [/^hubspotutk$/]
+    }
+];
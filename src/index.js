@@ -2,13 +2,30 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
-const { generalRateLimit, requestTimeout } = require('./middleware/RateLimit');
+const { generalRateLimit, apiKeyRateLimit, authFailureRateLimit, requestTimeout } = require('./middleware/RateLimit');
+const { authenticate, AUTH_REQUIRED } = require('./middleware/auth');
 const logger = require('./utils/logger');
 const websiteRoutes = require('./routes/websiteRoutes');
+const monitorRoutes = require('./routes/monitorRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const importRoutes = require('./routes/importRoutes');
+const { analysisQueue } = require('./services/jobQueue');
+const { browserPool } = require('./services/browserPool');
+const { robotsService } = require('./services/robotsService');
+const { monitorScheduler } = require('./services/monitorScheduler');
+const { webhookQueue } = require('./services/webhookService');
+const { ImportService, importQueue } = require('./services/importService');
+const { cache } = require('./cache');
+const { websiteRepository, apiKeyRepository } = require('./repositories');
+const ApiKeyService = require('./services/apiKeyService');
+const Migrator = require('./database/migrator');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
+// Resolve the API key first so rate limits can be counted per key
+app.use('/api', authFailureRateLimit, authenticate, apiKeyRateLimit);
 app.use(generalRateLimit);
 app.use(requestTimeout(45000));
 app.use(express.json({ limit: '10mb' }));
@@ -47,27 +64,92 @@ app.get('/health', (req, res) => {
         uptime: process.uptime(),
         memory: memUsage,
         memoryMB: memMB,
+        jobs: analysisQueue.getStats(),
+        browserPool: browserPool.getStats(),
+        crawler: robotsService.getStats(),
+        monitors: monitorScheduler.getStats(),
+        webhooks: webhookQueue.getStats(),
+        imports: importQueue.getStats(),
+        cache: cache.getStats(),
         environment: process.env.NODE_ENV || 'development'
     });
 });
 
+app.use('/api/websites', importRoutes);
 app.use('/api/websites', websiteRoutes);
 app.use('/api/websites', websiteRoutes);
+app.use('/api/monitors', monitorRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/keys', apiKeyRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
+    monitorScheduler.stop();
+    await browserPool.close();
     process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     logger.info('SIGINT received. Shutting down gracefully...');
+    monitorScheduler.stop();
+    await browserPool.close();
     process.exit(0);
 });
 
-app.listen(PORT, () => {
-    logger.info(`Server is running on port ${PORT}`);
-    console.log(`Server is running on port ${PORT}`);
+// Refuse to serve when the database schema is behind the migrations. Without
+// Supabase (REPOSITORY_BACKEND=memory) there is no schema to check.
+const checkSchema = async () => {
+    const usesSupabase = websiteRepository.name === 'supabase' || (process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
+    if (process.env.SCHEMA_CHECK === 'false' || !usesSupabase) return true;
+
+    try {
+        const status = await Migrator.status();
+
+        if (status.unknown.length > 0) {
+            logger.warn(`Database has migrations this release doesn't know: ${status.unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+        }
+        if (status.pending.length > 0) {
+            logger.error(`Database schema is behind (version ${status.current}, latest ${status.latest}); pending: ${status.pending.map(row => `${row.version}_${row.name}`).join(', ')}. Run npm run migrate.`);
+            return false;
+        }
+
+        logger.info(`Database schema is up to date (version ${status.current})`);
+        return true;
+    } catch (error) {
+        logger.error(`Database schema check failed: ${error.message}`);
+        return false;
+    }
+};
+
+// The memory repository starts without API keys. With BOOTSTRAP_ADMIN_KEY=true
+// this process gets an admin key of its own; it is only printed, never logged,
+// and is gone after a restart.
+const createStartupKey = async () => {
+    if (apiKeyRepository.name !== 'memory' || !AUTH_REQUIRED) return;
+    if (process.env.BOOTSTRAP_ADMIN_KEY !== 'true') {
+        logger.warn('REPOSITORY_BACKEND=memory has no API keys; set BOOTSTRAP_ADMIN_KEY=true to print an admin key on startup');
+        return;
+    }
+
+    const { key } = await ApiKeyService.create({ name: 'startup', scopes: ['admin'] });
+    console.log(`Admin API key for this process (REPOSITORY_BACKEND=memory): ${key}`);
+};
+
+checkSchema().then(async (schemaReady) => {
+    if (!schemaReady) {
+        process.exit(1);
+    }
+
+    await createStartupKey();
+
+    app.listen(PORT, () => {
+        logger.info(`Server is running on port ${PORT}`);
+        console.log(`Server is running on port ${PORT}`);
+        monitorScheduler.start();
+        ImportService.recoverUnfinished()
+            .catch(error => logger.error(`Failed to recover unfinished imports: ${error.message}`));
+    });
 });
@@ -1,20 +1,35 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 
-const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
+// Count requests per API key when one was presented, so clients sharing a
+// NAT don't share a limit; anonymous requests fall back to the IP
+const clientKey = (req) => req.apiKey ? `key:${req.apiKey.id}` : ipKeyGenerator(req.ip);
+
+const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100, options = {}) => {
     return rateLimit({
         windowMs,
         max,
+        keyGenerator: clientKey,
         message: {
-            error: 'Too many requests from this IP, please try again later.',
+            error: 'Too many requests, please try again later.',
             retryAfter: Math.ceil(windowMs / 1000)
         },
         standardHeaders: true,
         legacyHeaders: false,
+        ...options
     });
 };
 
 const analysisRateLimit = createRateLimit(10 * 60 * 1000, 5); // Reduced to 5 requests per 10 minutes
-const generalRateLimit = createRateLimit(15 * 60 * 1000, 50); // Reduced to 50 requests per 15 minutes
+// Anonymous traffic only; requests with an API key are limited per key instead
+const generalRateLimit = createRateLimit(15 * 60 * 1000, 50, { skip: req => !!req.apiKey }); // Reduced to 50 requests per 15 minutes
+const apiKeyRateLimit = createRateLimit(60 * 1000, req => req.apiKey.rateLimitPerMinute, { skip: req => !req.apiKey });
+
+// Slow down key guessing: only rejected keys count against the IP
+const authFailureRateLimit = createRateLimit(15 * 60 * 1000, 20, {
+    keyGenerator: req => ipKeyGenerator(req.ip),
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    skipSuccessfulRequests: true
+});
 
 const requestTimeout = (timeout = 30000) => {
     return (req, res, next) => {
@@ -27,8 +42,20 @@ const requestTimeout = (timeout = 30000) => {
     };
 };
 
+// Raise the socket timeout for long-running routes; the handler registered by
+// requestTimeout still fires, just later
+const extendTimeout = (timeout) => {
+    return (req, res, next) => {
+        req.setTimeout(timeout);
+        next();
+    };
+};
+
 module.exports = {
     analysisRateLimit,
     generalRateLimit,
-    requestTimeout
+    apiKeyRateLimit,
+    authFailureRateLimit,
+    requestTimeout,
+    extendTimeout
 };
@@ -0,0 +1,103 @@
+const ApiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// With AUTH_REQUIRED=false requests without a key are let through without a
+// tenant, which is only meant for local development
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+
+const readApiKey = (req) => {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+};
+
+// Resolve the API key of the request into req.apiKey and req.tenantId
+const authenticate = async (req, res, next) => {
+    req.apiKey = null;
+    req.tenantId = null;
+
+    const key = readApiKey(req);
+
+    if (!key) {
+        if (!AUTH_REQUIRED) return next();
+        return res.status(401).json({ error: 'API key required. Send it in the X-API-Key header.' });
+    }
+
+    try {
+        const principal = await ApiKeyService.authenticate(key);
+
+        if (!principal) {
+            logger.warn(`Rejected invalid API key from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        req.apiKey = principal;
+        req.tenantId = principal.tenantId;
+        next();
+    } catch (error) {
+        logger.error(`API key lookup failed: ${error.message}`);
+        res.status(503).json({ error: 'Unable to verify API key, please try again later' });
+    }
+};
+
+// The admin scope grants every other scope
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return AUTH_REQUIRED
+                ? res.status(401).json({ error: 'API key required' })
+                : next();
+        }
+
+        if (!ApiKeyService.hasScope(req.apiKey, scope)) {
+            return res.status(403).json({ error: `This API key lacks the "${scope}" scope` });
+        }
+
+        next();
+    };
+};
+
+// Count the analyses a request will run against the key's daily quota.
+// countAnalyses(req) returns how many analyses the request starts.
+const checkAnalysisQuota = (countAnalyses = () => 1) => {
+    return async (req, res, next) => {
+        if (!req.apiKey) return next();
+
+        const amount = countAnalyses(req);
+
+        try {
+            const used = await ApiKeyService.consumeAnalysisQuota(req.apiKey, amount);
+
+            if (used === null) {
+                return res.status(429).json({
+                    error: 'Daily analysis quota exceeded',
+                    details: {
+                        quota: req.apiKey.dailyAnalysisQuota,
+                        requested: amount
+                    }
+                });
+            }
+
+            if (req.apiKey.dailyAnalysisQuota) {
+                res.set('X-Analysis-Quota-Limit', String(req.apiKey.dailyAnalysisQuota));
+                res.set('X-Analysis-Quota-Remaining', String(Math.max(0, req.apiKey.dailyAnalysisQuota - used)));
+            }
+
+            next();
+        } catch (error) {
+            logger.error(`Analysis quota check failed for API key ${req.apiKey.id}: ${error.message}`);
+            res.status(503).json({ error: 'Unable to check analysis quota, please try again later' });
+        }
+    };
+};
+
+module.exports = {
+    AUTH_REQUIRED,
+    readApiKey,
+    authenticate,
+    requireScope,
+    checkAnalysisQuota
+};
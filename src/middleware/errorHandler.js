@@ -44,6 +44,9 @@ const errorHandler = (err, req, res, next) => {
     if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
         error = new AppError('Unable to connect to the website', 422);
     }
+    if (err.type === 'entity.too.large') {
+        error = new AppError(`Request body is larger than ${err.limit} bytes`, 413);
+    }
 
     res.status(error.statusCode || 500).json({
         success: false,
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { readApiKey } = require('./auth');
+const logger = require('../utils/logger');
+
+// Kept apart from the key scopes: not even admin keys may skip robots.txt
+// unless they are listed here
+const allowListedKeys = (process.env.ROBOTS_OVERRIDE_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Only allow-listed API keys may skip robots.txt for a request
+const checkRobotsOverride = (req, res, next) => {
+    req.robotsOverride = false;
+
+    if (req.body.ignoreRobots !== true && req.body.ignoreRobots !== 'true') {
+        return next();
+    }
+
+    const apiKey = readApiKey(req);
+    if (!apiKey || !allowListedKeys.some(key => safeEqual(key, apiKey))) {
+        logger.warn(`Rejected robots.txt override from ${req.apiKey ? `API key ${req.apiKey.id}` : req.ip}`);
+        return res.status(403).json({ error: 'ignoreRobots requires an allow-listed API key' });
+    }
+
+    req.robotsOverride = true;
+    next();
+};
+
+module.exports = {
+    checkRobotsOverride
+};
@@ -1,16 +1,219 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { normalizeLanguageTag } = require('../utils/languages');
+const { ENHANCEMENT_PRESET_NAMES, MAX_VARIANTS } = require('../ai/presets');
+const { INDUSTRY_NAMES, BUSINESS_MODELS } = require('../ai/classification');
+const { decodeCursor } = require('../utils/pagination');
+const { parseCsv } = require('../utils/csv');
+const { normalizeUrl } = require('../utils/urlNormalizer');
+
+const SCRAPE_MODES = ['auto', 'static', 'browser'];
+const SCREENSHOT_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 200;
+const WATCH_FIELDS = ['brand_name', 'raw_description', 'structured_data', 'content_hashes'];
+const MIN_MONITOR_INTERVAL = parseInt(process.env.MONITOR_MIN_INTERVAL_MINUTES, 10) || 15;
+const API_KEY_SCOPES = ['read', 'analyze', 'enhance', 'admin'];
+const AI_PROVIDERS = ['gemini', 'openai', 'mock'];
+const MAX_TARGET_LANGUAGES = 5;
+const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'description.enhanced', 'record.updated', 'record.deleted', 'monitor.changed'];
+const LIST_SORT_FIELDS = ['createdAt', 'updatedAt', 'id', 'brandName', 'industry'];
+const MAX_PAGE_SIZE = 100;
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 1000;
+const MAX_TAGS = 10;
+const IMPORT_COLUMNS = {
+    url: ['url', 'website'],
+    brandName: ['brand_name', 'brandname', 'brand'],
+    tags: ['tags', 'tag']
+};
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const EXPORT_COLUMNS = [
+    'id', 'tenant_id', 'url', 'site_id', 'brand_name', 'description', 'raw_description', 'enhanced_description',
+    'structured_data', 'brand_assets', 'screenshots', 'technologies', 'seo_audit', 'site_profile', 'content_hashes',
+    'language', 'localized_descriptions', 'description_variants', 'industry', 'business_model', 'keywords',
+    'classification', 'enhanced', 'tags', 'created_at', 'updated_at'
+];
+
+const urlRule = (field) => body(field)
+    .notEmpty()
+    .withMessage('URL is required')
+    .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true
+    })
+    .withMessage('Valid HTTP/HTTPS URL is required')
+    .isLength({ max: 500 })
+    .withMessage('URL must be less than 500 characters');
 
 const validateUrl = [
-    body('url')
-        .notEmpty()
-        .withMessage('URL is required')
-        .isURL({
-            protocols: ['http', 'https'],
-            require_protocol: true
-        })
-        .withMessage('Valid HTTP/HTTPS URL is required')
-        .isLength({ max: 500 })
-        .withMessage('URL must be less than 500 characters'),
+    urlRule('url'),
+];
+
+// Per-request AI provider and model, shared by analyze, batch and enhance
+const aiOptionRules = [
+    body('aiProvider')
+        .optional()
+        .isIn(AI_PROVIDERS)
+        .withMessage(`aiProvider must be one of: ${AI_PROVIDERS.join(', ')}`),
+    body('aiModel')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('aiModel must be a string of 1 to 100 characters'),
+];
+
+// Languages to write localized descriptions in, e.g. ["de", "es", "pt-BR"]
+const targetLanguageRules = [
+    body('targetLanguages')
+        .optional()
+        .isArray({ min: 1, max: MAX_TARGET_LANGUAGES })
+        .withMessage(`targetLanguages must be an array of 1 to ${MAX_TARGET_LANGUAGES} language codes`),
+    body('targetLanguages.*')
+        .custom(value => normalizeLanguageTag(value) !== null)
+        .withMessage('targetLanguages entries must be language codes such as "de" or "pt-BR"')
+        .customSanitizer(normalizeLanguageTag),
+];
+
+// Preset variants to write, e.g. [{ "preset": "seoMeta", "variants": 3 }]
+const enhancementRules = [
+    body('enhancements')
+        .optional()
+        .isArray({ min: 1, max: ENHANCEMENT_PRESET_NAMES.length })
+        .withMessage(`enhancements must be an array of 1 to ${ENHANCEMENT_PRESET_NAMES.length} items`),
+    body('enhancements.*.preset')
+        .isIn(ENHANCEMENT_PRESET_NAMES)
+        .withMessage(`enhancements preset must be one of: ${ENHANCEMENT_PRESET_NAMES.join(', ')}`),
+    body('enhancements.*.variants')
+        .optional()
+        .isInt({ min: 1, max: MAX_VARIANTS })
+        .withMessage(`enhancements variants must be an integer between 1 and ${MAX_VARIANTS}`)
+        .toInt(),
+];
+
+const wantsScreenshot = (value) => value !== undefined && value !== false && value !== 'false';
+
+// Options that shape one scrape. POST /analyze/batch accepts them for the
+// whole batch and, with prefix "urls.*.", for each item.
+const scrapeOptionRules = (prefix = '') => [
+    body(`${prefix}enhanceDescription`)
+        .optional()
+        .isBoolean()
+        .withMessage('enhanceDescription must be a boolean')
+        .toBoolean(),
+    body(`${prefix}mode`)
+        .optional()
+        .isIn(SCRAPE_MODES)
+        .withMessage(`mode must be one of: ${SCRAPE_MODES.join(', ')}`),
+    body(`${prefix}captureScreenshot`)
+        .optional()
+        .isIn(['true', 'false', 'viewport', 'fullPage', 'both'])
+        .withMessage('captureScreenshot must be a boolean or one of: viewport, fullPage, both'),
+    body(`${prefix}screenshotFormat`)
+        .optional()
+        .isIn(SCREENSHOT_FORMATS)
+        .withMessage(`screenshotFormat must be one of: ${SCREENSHOT_FORMATS.join(', ')}`),
+    body(`${prefix}screenshotQuality`)
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('screenshotQuality must be an integer between 1 and 100')
+        .toInt(),
+    body(`${prefix}crawl`)
+        .optional()
+        .isBoolean()
+        .withMessage('crawl must be a boolean')
+        .toBoolean(),
+    body(`${prefix}crawlMaxPages`)
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('crawlMaxPages must be an integer between 1 and 20')
+        .toInt(),
+    body(`${prefix}crawlMaxDepth`)
+        .optional()
+        .isInt({ min: 0, max: 3 })
+        .withMessage('crawlMaxDepth must be an integer between 0 and 3')
+        .toInt(),
+    body(`${prefix}seoAudit`)
+        .optional()
+        .isBoolean()
+        .withMessage('seoAudit must be a boolean')
+        .toBoolean(),
+];
+
+const STATIC_SCREENSHOT_MESSAGE = 'captureScreenshot requires browser rendering and cannot be used with mode "static"';
+
+const validateAnalyzeOptions = [
+    ...aiOptionRules,
+    ...targetLanguageRules,
+    ...enhancementRules,
+    ...scrapeOptionRules(),
+    body('captureScreenshot')
+        .custom((value, { req }) => !wantsScreenshot(value) || req.body.mode !== 'static')
+        .withMessage(STATIC_SCREENSHOT_MESSAGE),
+    body('classify')
+        .optional()
+        .isBoolean()
+        .withMessage('classify must be a boolean'),
+    body('force')
+        .optional()
+        .isBoolean()
+        .withMessage('force must be a boolean'),
+    body('ignoreRobots')
+        .optional()
+        .isBoolean()
+        .withMessage('ignoreRobots must be a boolean'),
+    body('async')
+        .optional()
+        .isBoolean()
+        .withMessage('async must be a boolean')
+        .toBoolean(),
+    body('maxAttempts')
+        .optional()
+        .isInt({ min: 1, max: 5 })
+        .withMessage('maxAttempts must be an integer between 1 and 5')
+        .toInt(),
+];
+
+// Items inherit the batch's options, so an item's screenshot and mode are
+// checked together with the batch defaults
+const validateBatchUrls = [
+    body('urls')
+        .isArray({ min: 1, max: MAX_BATCH_SIZE })
+        .withMessage(`urls must be an array of 1 to ${MAX_BATCH_SIZE} items`)
+        .bail()
+        .custom((urls, { req }) => urls.every(item => {
+            if (!item || typeof item !== 'object') return true;
+            const screenshot = item.captureScreenshot !== undefined ? item.captureScreenshot : req.body.captureScreenshot;
+            return !wantsScreenshot(screenshot) || (item.mode || req.body.mode) !== 'static';
+        }))
+        .withMessage(STATIC_SCREENSHOT_MESSAGE),
+    urlRule('urls.*.url'),
+    ...scrapeOptionRules('urls.*.'),
+    ...scrapeOptionRules(),
+    body('ignoreRobots')
+        .optional()
+        .isBoolean()
+        .withMessage('ignoreRobots must be a boolean'),
+    body('concurrency')
+        .optional()
+        .isInt({ min: 1, max: 5 })
+        .withMessage('concurrency must be an integer between 1 and 5')
+        .toInt(),
+    ...aiOptionRules,
+    ...targetLanguageRules,
+    ...enhancementRules,
+    body('classify')
+        .optional()
+        .isBoolean()
+        .withMessage('classify must be a boolean'),
+];
+
+const validateEnhanceOptions = [
+    ...aiOptionRules,
+    ...targetLanguageRules,
+    ...enhancementRules,
+    body('force')
+        .optional()
+        .isBoolean()
+        .withMessage('force must be a boolean'),
 ];
 
 const validateId = [
@@ -18,6 +221,307 @@ const validateId = [
         .isInt({ min: 1 })
         .withMessage('Valid positive integer ID is required'),
 ];
+const validateJobId = [
+    param('jobId')
+        .isUUID()
+        .withMessage('Valid job ID is required'),
+];
+
+const validateSiteId = [
+    param('siteId')
+        .isInt({ min: 1 })
+        .withMessage('Valid positive integer site ID is required'),
+];
+
+const validateDiffQuery = [
+    query('from')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('from must be a snapshot ID'),
+    query('to')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('to must be a snapshot ID'),
+];
+
+// Filters and sort shared by the listing and the export
+const listFilterRules = [
+    query('technology')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('technology must be between 1 and 100 characters'),
+    query('techCategory')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('techCategory must be between 1 and 100 characters'),
+    query('industry')
+        .optional()
+        .isIn(INDUSTRY_NAMES)
+        .withMessage(`industry must be one of: ${INDUSTRY_NAMES.join(', ')}`),
+    query('businessModel')
+        .optional()
+        .isIn(BUSINESS_MODELS)
+        .withMessage(`businessModel must be one of: ${BUSINESS_MODELS.join(', ')}`),
+    query('tag')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('tag must be between 1 and 50 characters'),
+    query('keyword')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 40 })
+        .withMessage('keyword must be between 1 and 40 characters'),
+    query('audience')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('audience must be between 1 and 100 characters'),
+    query('enhanced')
+        .optional()
+        .isBoolean()
+        .withMessage('enhanced must be a boolean')
+        .toBoolean(),
+    query('domain')
+        .optional()
+        .isFQDN()
+        .withMessage('domain must be a host name such as example.com')
+        .toLowerCase(),
+    query(['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'])
+        .optional()
+        .isISO8601()
+        .withMessage('Date filters must be ISO 8601 dates'),
+    query('noSeoErrors')
+        .optional()
+        .isBoolean()
+        .withMessage('noSeoErrors must be a boolean')
+        .toBoolean(),
+    query('q')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('q must be between 1 and 200 characters'),
+    query('sort')
+        .optional()
+        .isIn(LIST_SORT_FIELDS)
+        .withMessage(`sort must be one of: ${LIST_SORT_FIELDS.join(', ')}`),
+    query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('order must be asc or desc'),
+];
+
+const validateListQuery = [
+    ...listFilterRules,
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE })
+        .withMessage(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`)
+        .toInt(),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('offset must be a non-negative integer')
+        .toInt(),
+    query('cursor')
+        .optional()
+        .custom((value, { req }) => req.query.offset === undefined)
+        .withMessage('Use either cursor or offset, not both')
+        .custom((value, { req }) => {
+            // A cursor only continues the sort it was issued for
+            const cursor = decodeCursor(value);
+            return cursor !== null &&
+                cursor.sort === (req.query.sort || 'createdAt') &&
+                cursor.order === (req.query.order || 'desc');
+        })
+        .withMessage('cursor is invalid or was issued for a different sort'),
+];
+
+const validateExportQuery = [
+    ...listFilterRules,
+    query('format')
+        .optional()
+        .isIn(EXPORT_FORMATS)
+        .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('columns')
+        .optional()
+        .isString()
+        .withMessage('columns must be a comma-separated list')
+        .bail()
+        .customSanitizer(value => [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))])
+        .custom(columns => columns.length > 0 && columns.every(column => EXPORT_COLUMNS.includes(column)))
+        .withMessage(`columns must be a comma-separated list of: ${EXPORT_COLUMNS.join(', ')}`),
+];
+
+// Fields shared by monitor creation and update
+const monitorFieldRules = [
+    body('intervalMinutes')
+        .optional()
+        .isInt({ min: MIN_MONITOR_INTERVAL, max: 7 * 24 * 60 })
+        .withMessage(`intervalMinutes must be an integer between ${MIN_MONITOR_INTERVAL} and 10080`)
+        .toInt(),
+    body('watchFields')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('watchFields must be a non-empty array'),
+    body('watchFields.*')
+        .isIn(WATCH_FIELDS)
+        .withMessage(`watchFields entries must be one of: ${WATCH_FIELDS.join(', ')}`),
+    body('mode')
+        .optional()
+        .isIn(SCRAPE_MODES)
+        .withMessage(`mode must be one of: ${SCRAPE_MODES.join(', ')}`),
+    body('enhanceDescription')
+        .optional()
+        .isBoolean()
+        .withMessage('enhanceDescription must be a boolean')
+        .toBoolean(),
+    body('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+        .toBoolean(),
+];
+
+const validateMonitor = [
+    urlRule('url'),
+    body('intervalMinutes')
+        .notEmpty()
+        .withMessage('intervalMinutes is required'),
+    ...monitorFieldRules,
+];
+
+const validateMonitorUpdate = [
+    urlRule('url').optional(),
+    ...monitorFieldRules,
+];
+
+const validateEventsQuery = [
+    query('monitorId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('monitorId must be a positive integer')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('limit must be an integer between 1 and 200')
+        .toInt(),
+];
+
+// Fields shared by webhook creation and update
+const webhookFieldRules = [
+    body('events')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('events must be a non-empty array'),
+    body('events.*')
+        .isIn(WEBHOOK_EVENTS)
+        .withMessage(`events entries must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('description must be less than 255 characters')
+        .trim(),
+    body('secret')
+        .optional()
+        .isString()
+        .isLength({ min: 16, max: 255 })
+        .withMessage('secret must be between 16 and 255 characters'),
+    body('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+        .toBoolean(),
+];
+
+const validateWebhook = [
+    urlRule('url'),
+    ...webhookFieldRules,
+];
+
+const validateWebhookUpdate = [
+    urlRule('url').optional(),
+    ...webhookFieldRules,
+];
+
+const validateDeliveryId = [
+    param('deliveryId')
+        .isInt({ min: 1 })
+        .withMessage('Valid positive integer delivery ID is required'),
+];
+
+const validateLimitQuery = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('limit must be an integer between 1 and 200')
+        .toInt(),
+];
+
+// Fields shared by API key creation and update
+const apiKeyFieldRules = [
+    body('scopes')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('scopes must be a non-empty array'),
+    body('scopes.*')
+        .isIn(API_KEY_SCOPES)
+        .withMessage(`scopes entries must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('rateLimitPerMinute')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 10000 })
+        .withMessage('rateLimitPerMinute must be an integer between 1 and 10000')
+        .toInt(),
+    body('dailyAnalysisQuota')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 1000000 })
+        .withMessage('dailyAnalysisQuota must be a positive integer or null for no quota')
+        .toInt(),
+];
+
+const validateApiKey = [
+    body('name')
+        .notEmpty()
+        .withMessage('name is required')
+        .isLength({ max: 100 })
+        .withMessage('name must be less than 100 characters')
+        .trim(),
+    ...apiKeyFieldRules,
+];
+
+const validateApiKeyUpdate = [
+    body('name')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('name must be between 1 and 100 characters')
+        .trim(),
+    body('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+        .toBoolean(),
+    ...apiKeyFieldRules,
+];
+
+const validateUsageQuery = [
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 90 })
+        .withMessage('days must be an integer between 1 and 90')
+        .toInt(),
+];
+
+const validateScreenshotQuery = [
+    query('kind')
+        .optional()
+        .isIn(['viewport', 'fullPage'])
+        .withMessage('kind must be one of: viewport, fullPage'),
+];
+
 const validateUpdateFields = [
     body('brand_name')
         .optional()
@@ -36,6 +540,92 @@ const validateUpdateFields = [
         .trim(),
 ];
 
+const validateImportId = [
+    param('importId')
+        .isInt({ min: 1 })
+        .withMessage('Valid positive integer import ID is required'),
+];
+
+const validateReportQuery = [
+    query('format')
+        .optional()
+        .isIn(['csv', 'json'])
+        .withMessage('format must be csv or json'),
+];
+
+// Check one row of an import file; returns the row with its status and
+// the reasons it can't be imported
+async function checkImportRow(row, seenUrls) {
+    const errors = [];
+
+    // Same rules as the url field of POST /analyze
+    const urlResult = await urlRule('url').run({ body: { url: row.url } }, { dryRun: true });
+    errors.push(...urlResult.array().map(error => error.msg));
+
+    if (row.brandName && row.brandName.length > 255) {
+        errors.push('brand_name must be less than 256 characters');
+    }
+    if (row.tags.length > MAX_TAGS) {
+        errors.push(`At most ${MAX_TAGS} tags are allowed`);
+    }
+    if (row.tags.some(tag => tag.length > 50)) {
+        errors.push('Tags must be at most 50 characters');
+    }
+
+    if (errors.length > 0) {
+        return { ...row, status: 'invalid', errors };
+    }
+
+    const normalized = normalizeUrl(row.url);
+    if (seenUrls.has(normalized)) {
+        return { ...row, status: 'duplicate', errors: [`Same page as row ${seenUrls.get(normalized)}`] };
+    }
+    seenUrls.set(normalized, row.rowNumber);
+
+    return { ...row, status: 'queued', errors: null };
+}
+
+// Parse the CSV body of POST /import into req.importRows. Problems with the
+// file as a whole are rejected; problems with single rows are reported per row.
+const validateImportFile = async (req, res, next) => {
+    if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+
+    const rows = parseCsv(req.body);
+    if (rows.length < 2) {
+        return res.status(400).json({ error: 'Validation failed', details: [{ field: 'file', message: 'CSV needs a header row and at least one data row' }] });
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const columnIndex = (names) => header.findIndex(name => names.includes(name));
+    const urlIndex = columnIndex(IMPORT_COLUMNS.url);
+    const brandIndex = columnIndex(IMPORT_COLUMNS.brandName);
+    const tagsIndex = columnIndex(IMPORT_COLUMNS.tags);
+
+    if (urlIndex === -1) {
+        return res.status(400).json({ error: 'Validation failed', details: [{ field: 'file', message: 'CSV header needs a url column' }] });
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: 'Validation failed', details: [{ field: 'file', message: `CSV may contain at most ${MAX_IMPORT_ROWS} rows` }] });
+    }
+
+    const cell = (row, index) => (index === -1 || row[index] === undefined ? '' : row[index].trim());
+    const seenUrls = new Map();
+    req.importRows = [];
+
+    for (const [index, row] of rows.slice(1).entries()) {
+        req.importRows.push(await checkImportRow({
+            rowNumber: index + 1,
+            url: cell(row, urlIndex).substring(0, 2000),
+            brandName: cell(row, brandIndex) || null,
+            tags: [...new Set(cell(row, tagsIndex).split(/[;,|]/).map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+        }, seenUrls));
+    }
+
+    next();
+};
+
 const checkValidationResult = (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -53,7 +643,29 @@ const checkValidationResult = (req, res, next) => {
 
 module.exports = {
     validateUrl,
+    validateAnalyzeOptions,
+    validateBatchUrls,
+    validateEnhanceOptions,
     validateId,
+    validateJobId,
+    validateSiteId,
+    validateDiffQuery,
+    validateListQuery,
+    validateExportQuery,
+    validateImportFile,
+    validateImportId,
+    validateReportQuery,
+    validateScreenshotQuery,
+    validateMonitor,
+    validateMonitorUpdate,
+    validateEventsQuery,
+    validateWebhook,
+    validateWebhookUpdate,
+    validateDeliveryId,
+    validateLimitQuery,
+    validateApiKey,
+    validateApiKeyUpdate,
+    validateUsageQuery,
     validateUpdateFields,
     checkValidationResult
 };
@@ -0,0 +1,50 @@
+const logger = require('../utils/logger');
+
+// Each backend has one repository per kind of data:
+//   website  - the website_analysis records and the sites they belong to
+//   apiKey   - API keys and their daily usage
+//   monitor  - monitors and their change events
+//   webhook  - webhooks, their deliveries and delivery attempts
+//   import   - CSV imports and their rows
+const backends = {
+    memory: {
+        website: () => new (require('./memoryWebsiteRepository'))(),
+        apiKey: () => new (require('./memoryApiKeyRepository'))(),
+        monitor: () => new (require('./memoryMonitorRepository'))(),
+        webhook: () => new (require('./memoryWebhookRepository'))(),
+        import: () => new (require('./memoryImportRepository'))()
+    },
+    supabase: {
+        website: () => new (require('./supabaseWebsiteRepository'))(),
+        apiKey: () => new (require('./supabaseApiKeyRepository'))(),
+        monitor: () => new (require('./supabaseMonitorRepository'))(),
+        webhook: () => new (require('./supabaseWebhookRepository'))(),
+        import: () => new (require('./supabaseImportRepository'))()
+    }
+};
+
+const createRepository = (kind, name = process.env.REPOSITORY_BACKEND || 'supabase') => {
+    if (!backends[name]) {
+        logger.warn(`Unknown repository backend "${name}", using Supabase`);
+        return backends.supabase[kind]();
+    }
+    return backends[name][kind]();
+};
+
+const createWebsiteRepository = (name) => createRepository('website', name);
+
+const websiteRepository = createWebsiteRepository();
+const apiKeyRepository = createRepository('apiKey');
+const monitorRepository = createRepository('monitor');
+const webhookRepository = createRepository('webhook');
+const importRepository = createRepository('import');
+
+module.exports = {
+    createRepository,
+    createWebsiteRepository,
+    websiteRepository,
+    apiKeyRepository,
+    monitorRepository,
+    webhookRepository,
+    importRepository
+};
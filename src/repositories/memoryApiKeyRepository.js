@@ -0,0 +1,67 @@
+const { MemoryTable } = require('./memoryTable');
+const { inTenant } = require('../utils/tenant');
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+// API keys and their daily usage kept in process memory. Keys are lost on
+// restart, so the server creates an admin key at startup when it needs one.
+class MemoryApiKeyRepository {
+    constructor() {
+        this.name = 'memory';
+        this.keys = new MemoryTable(() => {
+            const now = new Date().toISOString();
+            return { tenant_id: null, active: true, last_used_at: null, revoked_at: null, created_at: now, updated_at: now };
+        });
+        // "<api key id>:<YYYY-MM-DD>" -> analyses
+        this.usage = new Map();
+    }
+
+    async insertKey(record) {
+        return this.keys.insert(record);
+    }
+
+    async listKeys(tenantId) {
+        return this.keys.select(row => inTenant(row, tenantId)).reverse();
+    }
+
+    async getKey(id, tenantId) {
+        return this.keys.get(id, row => inTenant(row, tenantId));
+    }
+
+    async updateKey(id, fields, tenantId) {
+        return this.keys.update(id, fields, row => inTenant(row, tenantId));
+    }
+
+    async findActiveKeyByHash(keyHash) {
+        return this.keys.find(row => row.key_hash === keyHash && row.active);
+    }
+
+    async touchKey(id, lastUsedAt) {
+        this.keys.update(id, { last_used_at: lastUsedAt });
+    }
+
+    // Same contract as consume_analysis_quota: the new total, or null when
+    // the quota would be exceeded
+    async consumeQuota(apiKeyId, amount, quota) {
+        const key = `${apiKeyId}:${today()}`;
+        const used = (this.usage.get(key) || 0) + amount;
+
+        if (quota && used > quota) return null;
+
+        this.usage.set(key, used);
+        return used;
+    }
+
+    async getUsage(apiKeyId, since) {
+        return [...this.usage.entries()]
+            .map(([key, analyses]) => {
+                const [id, usageDate] = key.split(':');
+                return { id: Number(id), usage_date: usageDate, analyses };
+            })
+            .filter(row => row.id === Number(apiKeyId) && row.usage_date >= since)
+            .sort((a, b) => b.usage_date.localeCompare(a.usage_date))
+            .map(({ usage_date, analyses }) => ({ usage_date, analyses }));
+    }
+}
+
+module.exports = MemoryApiKeyRepository;
@@ -0,0 +1,69 @@
+const { MemoryTable } = require('./memoryTable');
+const { inTenant } = require('../utils/tenant');
+
+// CSV imports and their rows kept in process memory
+class MemoryImportRepository {
+    constructor() {
+        this.name = 'memory';
+        this.imports = new MemoryTable(() => ({
+            tenant_id: null,
+            api_key_id: null,
+            file_name: null,
+            status: 'processing',
+            total_rows: 0,
+            valid_rows: 0,
+            created_at: new Date().toISOString(),
+            completed_at: null
+        }));
+        this.rows = new MemoryTable(() => ({
+            url: null,
+            brand_name: null,
+            tags: null,
+            errors: null,
+            error_category: null,
+            analysis_id: null,
+            attempts: 0,
+            updated_at: new Date().toISOString()
+        }));
+    }
+
+    async insertImport(record) {
+        return this.imports.insert(record);
+    }
+
+    async getImport(id, tenantId) {
+        return this.imports.get(id, row => inTenant(row, tenantId));
+    }
+
+    async listImportsWithStatus(status) {
+        return this.imports.select(row => row.status === status);
+    }
+
+    async completeImport(id, completedAt) {
+        this.imports.update(id, { status: 'completed', completed_at: completedAt }, row => row.status === 'processing');
+    }
+
+    async insertRows(rows) {
+        return rows.map(row => this.rows.insert(row));
+    }
+
+    async listRows(importId) {
+        return this.rows
+            .select(row => row.import_id === Number(importId))
+            .sort((a, b) => a.row_number - b.row_number);
+    }
+
+    async listRowStatuses(importId) {
+        return this.rows.select(row => row.import_id === Number(importId)).map(row => row.status);
+    }
+
+    async hasRowsWithStatus(importId, statuses) {
+        return this.rows.find(row => row.import_id === Number(importId) && statuses.includes(row.status)) !== null;
+    }
+
+    async updateRow(id, fields) {
+        this.rows.update(id, fields);
+    }
+}
+
+module.exports = MemoryImportRepository;
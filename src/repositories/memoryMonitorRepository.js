@@ -0,0 +1,79 @@
+const { MemoryTable } = require('./memoryTable');
+const { inTenant } = require('../utils/tenant');
+
+// Monitors and their change events kept in process memory
+class MemoryMonitorRepository {
+    constructor() {
+        this.name = 'memory';
+        this.monitors = new MemoryTable(() => {
+            const now = new Date().toISOString();
+            return {
+                tenant_id: null,
+                api_key_id: null,
+                site_id: null,
+                mode: 'auto',
+                enhance_description: false,
+                active: true,
+                next_run_at: null,
+                last_run_at: null,
+                last_status: null,
+                last_error: null,
+                created_at: now,
+                updated_at: now
+            };
+        });
+        this.events = new MemoryTable(() => ({ tenant_id: null, created_at: new Date().toISOString() }));
+    }
+
+    async insertMonitor(record) {
+        return this.monitors.insert(record);
+    }
+
+    async listMonitors(tenantId) {
+        return this.monitors.select(row => inTenant(row, tenantId)).reverse();
+    }
+
+    async getMonitor(id, tenantId) {
+        return this.monitors.get(id, row => inTenant(row, tenantId));
+    }
+
+    async updateMonitor(id, fields, tenantId) {
+        return this.monitors.update(id, fields, row => inTenant(row, tenantId));
+    }
+
+    async deleteMonitor(id, tenantId) {
+        const monitor = this.monitors.delete(id, row => inTenant(row, tenantId));
+        if (monitor) {
+            this.events.deleteWhere(event => event.monitor_id === monitor.id);
+        }
+        return monitor;
+    }
+
+    async findDueMonitors(now, limit) {
+        return this.monitors
+            .select(row => row.active && row.next_run_at && Date.parse(row.next_run_at) <= Date.parse(now))
+            .sort((a, b) => Date.parse(a.next_run_at) - Date.parse(b.next_run_at) || a.id - b.id)
+            .slice(0, limit);
+    }
+
+    async claimMonitor(id, expectedNextRunAt, nextRunAt) {
+        return this.monitors.update(id, { next_run_at: nextRunAt }, row => row.next_run_at === expectedNextRunAt) !== null;
+    }
+
+    async recordMonitorRun(id, fields) {
+        this.monitors.update(id, fields);
+    }
+
+    async insertChangeEvent(event) {
+        return this.events.insert(event);
+    }
+
+    async listChangeEvents({ monitorId, limit, tenantId }) {
+        return this.events
+            .select(row => inTenant(row, tenantId) && (!monitorId || row.monitor_id === Number(monitorId)))
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+module.exports = MemoryMonitorRepository;
@@ -0,0 +1,64 @@
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// One table kept in process memory for the memory repositories. Rows get a
+// serial id and the column defaults on insert, and are copied in and out so
+// callers never hold a stored row. Rows are kept in id order, which is also
+// the order they were created in.
+class MemoryTable {
+    constructor(defaults = () => ({})) {
+        this.rows = new Map();
+        this.nextId = 1;
+        this.defaults = defaults;
+    }
+
+    insert(row) {
+        const stored = { id: this.nextId++, ...this.defaults(), ...clone(row) };
+        this.rows.set(stored.id, stored);
+        return clone(stored);
+    }
+
+    get(id, predicate = () => true) {
+        const row = this.rows.get(Number(id));
+        return row && predicate(row) ? clone(row) : null;
+    }
+
+    // Matching rows, oldest first
+    select(predicate = () => true) {
+        return [...this.rows.values()].filter(predicate).map(clone);
+    }
+
+    // The first matching row, without copying the others
+    find(predicate) {
+        for (const row of this.rows.values()) {
+            if (predicate(row)) return clone(row);
+        }
+        return null;
+    }
+
+    update(id, fields, predicate = () => true) {
+        const row = this.rows.get(Number(id));
+        if (!row || !predicate(row)) return null;
+
+        Object.assign(row, clone(fields));
+        return clone(row);
+    }
+
+    delete(id, predicate = () => true) {
+        const row = this.rows.get(Number(id));
+        if (!row || !predicate(row)) return null;
+
+        this.rows.delete(row.id);
+        return clone(row);
+    }
+
+    deleteWhere(predicate) {
+        for (const row of [...this.rows.values()]) {
+            if (predicate(row)) this.rows.delete(row.id);
+        }
+    }
+}
+
+module.exports = {
+    MemoryTable,
+    clone
+};
@@ -0,0 +1,77 @@
+const { MemoryTable } = require('./memoryTable');
+const { inTenant } = require('../utils/tenant');
+
+const timestamps = () => {
+    const now = new Date().toISOString();
+    return { created_at: now, updated_at: now };
+};
+
+// Webhooks, their deliveries and delivery attempts kept in process memory
+class MemoryWebhookRepository {
+    constructor() {
+        this.name = 'memory';
+        this.webhooks = new MemoryTable(() => ({ tenant_id: null, description: null, active: true, ...timestamps() }));
+        this.deliveries = new MemoryTable(() => ({
+            attempts: 0,
+            response_status: null,
+            last_error: null,
+            delivered_at: null,
+            ...timestamps()
+        }));
+        this.attempts = new MemoryTable(() => ({ created_at: new Date().toISOString() }));
+    }
+
+    async insertWebhook(record) {
+        return this.webhooks.insert(record);
+    }
+
+    async listWebhooks(tenantId, { activeOnly = false } = {}) {
+        return this.webhooks.select(row => inTenant(row, tenantId) && (!activeOnly || row.active)).reverse();
+    }
+
+    async getWebhook(id, tenantId) {
+        return this.webhooks.get(id, row => inTenant(row, tenantId));
+    }
+
+    async updateWebhook(id, fields, tenantId) {
+        return this.webhooks.update(id, fields, row => inTenant(row, tenantId));
+    }
+
+    async deleteWebhook(id, tenantId) {
+        const webhook = this.webhooks.delete(id, row => inTenant(row, tenantId));
+        if (webhook) {
+            const deliveryIds = new Set(this.deliveries.select(row => row.webhook_id === webhook.id).map(row => row.id));
+            this.attempts.deleteWhere(row => deliveryIds.has(row.delivery_id));
+            this.deliveries.deleteWhere(row => deliveryIds.has(row.id));
+        }
+        return webhook;
+    }
+
+    async insertDelivery(record) {
+        return this.deliveries.insert(record);
+    }
+
+    async getDelivery(id) {
+        return this.deliveries.get(id);
+    }
+
+    async listDeliveries(webhookId, limit) {
+        return this.deliveries.select(row => row.webhook_id === Number(webhookId)).reverse().slice(0, limit);
+    }
+
+    async updateDelivery(id, fields) {
+        this.deliveries.update(id, fields);
+    }
+
+    async insertAttempt(record) {
+        this.attempts.insert(record);
+    }
+
+    async listAttempts(deliveryId) {
+        return this.attempts
+            .select(row => row.delivery_id === Number(deliveryId))
+            .sort((a, b) => a.attempt - b.attempt);
+    }
+}
+
+module.exports = MemoryWebhookRepository;
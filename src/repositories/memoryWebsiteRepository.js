@@ -0,0 +1,187 @@
+const { MemoryTable, clone } = require('./memoryTable');
+const { DEFAULT_PAGE_SIZE, SNAPSHOT_COLUMNS, sortSpec } = require('./recordQuery');
+const { inTenant } = require('../utils/tenant');
+
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at'];
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : clone(row[column])]));
+const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Compare two rows by the sort column (nulls last) and then by id
+function compareRows(column, ascending) {
+    const direction = ascending ? 1 : -1;
+    const value = (row) => {
+        const raw = row[column];
+        if (raw === null || raw === undefined) return null;
+        return TIMESTAMP_COLUMNS.includes(column) ? Date.parse(raw) : raw;
+    };
+
+    return (a, b) => {
+        const left = value(a);
+        const right = value(b);
+        if (left === null && right !== null) return 1;
+        if (right === null && left !== null) return -1;
+        if (left !== null && left !== right) return (left < right ? -1 : 1) * direction;
+        return (a.id - b.id) * direction;
+    };
+}
+
+// Subset of PostgreSQL's websearch_to_tsquery: every word must occur, words
+// prefixed with - must not
+function matchesSearch(row, q) {
+    const tokens = new Set(words(`${row.brand_name || ''} ${row.description || ''} ${row.raw_description || ''}`));
+    return q.split(/\s+/).filter(Boolean).every(term => {
+        const negated = term.startsWith('-');
+        const termWords = words(negated ? term.substring(1) : term);
+        if (termWords.length === 0) return true;
+        const found = termWords.every(word => tokens.has(word));
+        return negated ? !found : found;
+    });
+}
+
+// Analysis records and sites kept in process memory. Nothing survives a
+// restart; meant for local development, demos and running without Supabase.
+class MemoryWebsiteRepository {
+    constructor() {
+        this.name = 'memory';
+        this.records = new MemoryTable(() => {
+            const now = new Date().toISOString();
+            return { enhanced: false, created_at: now, updated_at: now };
+        });
+        this.sites = new MemoryTable();
+    }
+
+    async insertRecord(record) {
+        return this.records.insert(record);
+    }
+
+    async getRecord(id, tenantId) {
+        return this.records.get(id, row => inTenant(row, tenantId));
+    }
+
+    async updateRecord(id, fields, tenantId) {
+        return this.records.update(id, fields, row => inTenant(row, tenantId));
+    }
+
+    async deleteRecord(id, tenantId) {
+        return this.records.delete(id, row => inTenant(row, tenantId));
+    }
+
+    async findLatestRecord(siteId, tenantId, since) {
+        return this.byCreation(row => row.site_id === siteId && inTenant(row, tenantId) && Date.parse(row.created_at) >= Date.parse(since)).pop() || null;
+    }
+
+    async findPreviousSeoAudit(url, before, tenantId) {
+        const row = this.byCreation(row => row.url === url && inTenant(row, tenantId) && row.seo_audit && Date.parse(row.created_at) < Date.parse(before)).pop();
+        return row ? pick(row, ['id', 'seo_audit', 'created_at']) : null;
+    }
+
+    async getSnapshots(siteId, tenantId) {
+        return this.byCreation(row => row.site_id === siteId && inTenant(row, tenantId))
+            .map(row => pick(row, SNAPSHOT_COLUMNS));
+    }
+
+    async getLatestSnapshot(siteId, tenantId) {
+        const snapshots = await this.getSnapshots(siteId, tenantId);
+        return snapshots[snapshots.length - 1] || null;
+    }
+
+    // Same paging contract as the Supabase repository
+    async listRecords(params = {}, tenantId) {
+        const { column, ascending } = sortSpec(params);
+        const limit = params.limit || DEFAULT_PAGE_SIZE;
+        const cursor = params.cursor;
+        const rows = this.filtered(params, tenantId).sort(compareRows(column, ascending));
+        const total = rows.length;
+
+        if (!cursor) {
+            const offset = params.offset || 0;
+            const records = rows.slice(offset, offset + limit);
+            return { records, total, hasNext: offset + records.length < total, hasPrev: offset > 0 };
+        }
+
+        const compare = compareRows(column, ascending);
+        const boundary = { [column]: cursor.value, id: cursor.id };
+        if (cursor.direction === 'prev') {
+            const before = rows.filter(row => compare(row, boundary) < 0);
+            const records = before.slice(-limit);
+            return { records, total, hasNext: true, hasPrev: before.length > limit };
+        }
+
+        const after = rows.filter(row => compare(row, boundary) > 0);
+        return { records: after.slice(0, limit), total, hasNext: after.length > limit, hasPrev: true };
+    }
+
+    async *iterateRecords(params = {}, tenantId, { columns } = {}) {
+        const { column, ascending } = sortSpec(params);
+        const rows = this.filtered(params, tenantId).sort(compareRows(column, ascending));
+
+        for (const row of rows) {
+            yield columns ? pick(row, [...new Set([...columns, 'id', column])]) : row;
+        }
+    }
+
+    // The listing filters, with the semantics of their PostgREST counterparts
+    filtered(params, tenantId) {
+        const has = (list, predicate) => Array.isArray(list) && list.some(predicate);
+        const domains = params.domain
+            ? [params.domain.replace(/^www\./, ''), `www.${params.domain.replace(/^www\./, '')}`]
+            : null;
+        const siteIds = domains && new Set(this.sites.select(site => domains.includes(site.domain)).map(site => site.id));
+
+        return this.records.select(row => {
+            if (!inTenant(row, tenantId)) return false;
+            if (params.technology && !has(row.technologies, tech => tech && tech.name === params.technology)) return false;
+            if (params.techCategory && !has(row.technologies, tech => tech && tech.category === params.techCategory)) return false;
+            if (params.industry && row.industry !== params.industry) return false;
+            if (params.businessModel && row.business_model !== params.businessModel) return false;
+            if (params.tag && !has(row.tags, tag => tag === params.tag.toLowerCase().trim())) return false;
+            if (params.keyword && !has(row.keywords, keyword => keyword === params.keyword.toLowerCase().trim())) return false;
+            if (params.audience) {
+                const audience = row.classification && row.classification.audience;
+                if (typeof audience !== 'string' || !audience.toLowerCase().includes(params.audience.toLowerCase())) return false;
+            }
+            if (params.enhanced !== undefined && row.enhanced !== params.enhanced) return false;
+            if (siteIds && !siteIds.has(row.site_id)) return false;
+            if (params.createdFrom && Date.parse(row.created_at) < Date.parse(params.createdFrom)) return false;
+            if (params.createdTo && Date.parse(row.created_at) > Date.parse(params.createdTo)) return false;
+            if (params.updatedFrom && Date.parse(row.updated_at) < Date.parse(params.updatedFrom)) return false;
+            if (params.updatedTo && Date.parse(row.updated_at) > Date.parse(params.updatedTo)) return false;
+            if (params.noSeoErrors && row.seo_audit && !(row.seo_audit.summary && Number(row.seo_audit.summary.error) === 0)) return false;
+            if (params.q && !matchesSearch(row, params.q)) return false;
+            return true;
+        });
+    }
+
+    // Matching records, oldest first
+    byCreation(predicate) {
+        return this.records.select(predicate)
+            .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at) || a.id - b.id);
+    }
+
+    async upsertSite(normalizedUrl) {
+        const now = new Date().toISOString();
+        const site = this.sites.find(item => item.normalized_url === normalizedUrl);
+
+        if (site) {
+            return this.sites.update(site.id, { last_analyzed_at: now });
+        }
+
+        return this.sites.insert({
+            normalized_url: normalizedUrl,
+            domain: new URL(normalizedUrl).hostname,
+            first_analyzed_at: now,
+            last_analyzed_at: now
+        });
+    }
+
+    async findSiteByNormalizedUrl(normalizedUrl) {
+        return this.sites.find(item => item.normalized_url === normalizedUrl);
+    }
+
+    async getSite(siteId) {
+        return this.sites.get(siteId);
+    }
+}
+
+module.exports = MemoryWebsiteRepository;
@@ -0,0 +1,28 @@
+// Listing order shared by the repository backends. Rows are ordered by the
+// sort column with nulls last, then by id in the same direction.
+
+// Sortable fields of the listing and their (indexed) columns
+const SORT_COLUMNS = {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    id: 'id',
+    brandName: 'brand_name',
+    industry: 'industry'
+};
+const DEFAULT_PAGE_SIZE = 20;
+
+const sortSpec = (params = {}) => ({
+    sort: params.sort || 'createdAt',
+    column: SORT_COLUMNS[params.sort || 'createdAt'],
+    ascending: params.order === 'asc'
+});
+
+// Columns shown in site history and diffs
+const SNAPSHOT_COLUMNS = ['id', 'site_id', 'tenant_id', 'url', 'brand_name', 'raw_description', 'structured_data', 'content_hashes', 'enhanced', 'created_at'];
+
+module.exports = {
+    SORT_COLUMNS,
+    DEFAULT_PAGE_SIZE,
+    SNAPSHOT_COLUMNS,
+    sortSpec
+};
@@ -0,0 +1,128 @@
+const supabase = require('../supabaseClient');
+const { tenantScope } = require('../utils/tenant');
+
+// API keys and their daily usage in Supabase (PostgREST)
+class SupabaseApiKeyRepository {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async insertKey(record) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async listKeys(tenantId) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('*')
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async getKey(id, tenantId) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('*')
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateKey(id, fields, tenantId) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .update(fields)
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async findActiveKeyByHash(keyHash) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('*')
+            .eq('key_hash', keyHash)
+            .eq('active', true)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async touchKey(id, lastUsedAt) {
+        const { error } = await supabase
+            .from('api_keys')
+            .update({ last_used_at: lastUsedAt })
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Atomically count analyses against today's quota (see
+    // consume_analysis_quota). Returns the new total, or null when the quota
+    // would be exceeded.
+    async consumeQuota(apiKeyId, amount, quota) {
+        const { data, error } = await supabase.rpc('consume_analysis_quota', {
+            p_api_key_id: apiKeyId,
+            p_amount: amount,
+            p_quota: quota || null
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Daily usage since the given date (YYYY-MM-DD), newest first
+    async getUsage(apiKeyId, since) {
+        const { data, error } = await supabase
+            .from('api_key_usage')
+            .select('usage_date, analyses')
+            .eq('api_key_id', apiKeyId)
+            .gte('usage_date', since)
+            .order('usage_date', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = SupabaseApiKeyRepository;
@@ -0,0 +1,143 @@
+const supabase = require('../supabaseClient');
+const { tenantScope } = require('../utils/tenant');
+
+const INSERT_CHUNK_SIZE = 500;
+
+// CSV imports and their rows in Supabase (PostgREST)
+class SupabaseImportRepository {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async insertImport(record) {
+        const { data, error } = await supabase
+            .from('imports')
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async getImport(id, tenantId) {
+        const { data, error } = await supabase
+            .from('imports')
+            .select('*')
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Imports of every tenant with the given status, oldest first
+    async listImportsWithStatus(status) {
+        const { data, error } = await supabase
+            .from('imports')
+            .select('*')
+            .eq('status', status)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Only completes imports that are still processing
+    async completeImport(id, completedAt) {
+        const { error } = await supabase
+            .from('imports')
+            .update({ status: 'completed', completed_at: completedAt })
+            .eq('id', id)
+            .eq('status', 'processing');
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Inserted INSERT_CHUNK_SIZE rows at a time to keep requests small
+    async insertRows(rows) {
+        const stored = [];
+
+        for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+            const { data, error } = await supabase
+                .from('import_rows')
+                .insert(rows.slice(start, start + INSERT_CHUNK_SIZE))
+                .select();
+
+            if (error) {
+                throw error;
+            }
+            stored.push(...data);
+        }
+
+        return stored;
+    }
+
+    // In file order
+    async listRows(importId) {
+        const { data, error } = await supabase
+            .from('import_rows')
+            .select('*')
+            .eq('import_id', importId)
+            .order('row_number', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async listRowStatuses(importId) {
+        const { data, error } = await supabase
+            .from('import_rows')
+            .select('status')
+            .eq('import_id', importId);
+
+        if (error) {
+            throw error;
+        }
+
+        return data.map(row => row.status);
+    }
+
+    async hasRowsWithStatus(importId, statuses) {
+        const { data, error } = await supabase
+            .from('import_rows')
+            .select('id')
+            .eq('import_id', importId)
+            .in('status', statuses)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data.length > 0;
+    }
+
+    async updateRow(id, fields) {
+        const { error } = await supabase
+            .from('import_rows')
+            .update(fields)
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+    }
+}
+
+module.exports = SupabaseImportRepository;
@@ -0,0 +1,167 @@
+const supabase = require('../supabaseClient');
+const { tenantScope } = require('../utils/tenant');
+
+// Monitors and their change events in Supabase (PostgREST)
+class SupabaseMonitorRepository {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async insertMonitor(record) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async listMonitors(tenantId) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .select('*')
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async getMonitor(id, tenantId) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .select('*')
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateMonitor(id, fields, tenantId) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .update(fields)
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // Its change events are removed with it (ON DELETE CASCADE)
+    async deleteMonitor(id, tenantId) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .delete()
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // Active monitors of every tenant whose next_run_at has passed, most
+    // overdue first
+    async findDueMonitors(now, limit) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .select('*')
+            .eq('active', true)
+            .lte('next_run_at', now)
+            .order('next_run_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Set next_run_at only if it still has the value that was read. Returns
+    // whether this caller won the monitor.
+    async claimMonitor(id, expectedNextRunAt, nextRunAt) {
+        const { data, error } = await supabase
+            .from('monitors')
+            .update({ next_run_at: nextRunAt })
+            .eq('id', id)
+            .eq('next_run_at', expectedNextRunAt)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data.length > 0;
+    }
+
+    // Run bookkeeping of the scheduler, which works across tenants
+    async recordMonitorRun(id, fields) {
+        const { error } = await supabase
+            .from('monitors')
+            .update(fields)
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async insertChangeEvent(event) {
+        const { data, error } = await supabase
+            .from('change_events')
+            .insert(event)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    // Newest first, optionally of one monitor only
+    async listChangeEvents({ monitorId, limit, tenantId }) {
+        let request = supabase
+            .from('change_events')
+            .select('*')
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (monitorId) {
+            request = request.eq('monitor_id', monitorId);
+        }
+
+        const { data, error } = await request;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = SupabaseMonitorRepository;
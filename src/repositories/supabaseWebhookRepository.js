@@ -0,0 +1,172 @@
+const supabase = require('../supabaseClient');
+const { tenantScope } = require('../utils/tenant');
+
+// Webhooks, their deliveries and the attempts of each delivery in Supabase
+// (PostgREST). Deliveries belong to the tenant of their webhook.
+class SupabaseWebhookRepository {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async insertWebhook(record) {
+        const { data, error } = await supabase
+            .from('webhooks')
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async listWebhooks(tenantId, { activeOnly = false } = {}) {
+        let request = supabase
+            .from('webhooks')
+            .select('*')
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: false });
+
+        if (activeOnly) {
+            request = request.eq('active', true);
+        }
+
+        const { data, error } = await request;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async getWebhook(id, tenantId) {
+        const { data, error } = await supabase
+            .from('webhooks')
+            .select('*')
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateWebhook(id, fields, tenantId) {
+        const { data, error } = await supabase
+            .from('webhooks')
+            .update(fields)
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // Its deliveries and their attempts are removed with it (ON DELETE CASCADE)
+    async deleteWebhook(id, tenantId) {
+        const { data, error } = await supabase
+            .from('webhooks')
+            .delete()
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async insertDelivery(record) {
+        const { data, error } = await supabase
+            .from('webhook_deliveries')
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async getDelivery(id) {
+        const { data, error } = await supabase
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Newest first
+    async listDeliveries(webhookId, limit) {
+        const { data, error } = await supabase
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('webhook_id', webhookId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateDelivery(id, fields) {
+        const { error } = await supabase
+            .from('webhook_deliveries')
+            .update(fields)
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async insertAttempt(record) {
+        const { error } = await supabase
+            .from('webhook_delivery_attempts')
+            .insert(record);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // In attempt order
+    async listAttempts(deliveryId) {
+        const { data, error } = await supabase
+            .from('webhook_delivery_attempts')
+            .select('*')
+            .eq('delivery_id', deliveryId)
+            .order('attempt', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = SupabaseWebhookRepository;
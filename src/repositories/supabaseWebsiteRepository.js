@@ -0,0 +1,344 @@
+const supabase = require('../supabaseClient');
+const { tenantScope } = require('../utils/tenant');
+const { DEFAULT_PAGE_SIZE, SNAPSHOT_COLUMNS, sortSpec } = require('./recordQuery');
+
+const TABLE = 'website_analysis';
+
+// Quote a value for a PostgREST or() filter
+const filterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// Keyset condition selecting the rows after (or before, when backward) the
+// cursor row
+function keysetCondition(column, { value, id }, ascending, backward) {
+    const op = ascending !== backward ? 'gt' : 'lt';
+
+    if (column === 'id') {
+        return `id.${op}.${id}`;
+    }
+    if (value === null) {
+        const tie = `and(${column}.is.null,id.${op}.${id})`;
+        return backward ? `${column}.not.is.null,${tie}` : tie;
+    }
+
+    const conditions = [
+        `${column}.${op}.${filterValue(value)}`,
+        `and(${column}.eq.${filterValue(value)},id.${op}.${id})`
+    ];
+    if (!backward) conditions.push(`${column}.is.null`);
+    return conditions.join(',');
+}
+
+// Analysis records and sites in Supabase (PostgREST)
+class SupabaseWebsiteRepository {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async insertRecord(record) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .insert(record)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async getRecord(id, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .select('*')
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateRecord(id, fields, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .update(fields)
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async deleteRecord(id, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .delete()
+            .eq('id', id)
+            .filter(...tenantScope(tenantId))
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // Newest record of a site created at or after since
+    async findLatestRecord(siteId, tenantId, since) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .select('*')
+            .eq('site_id', siteId)
+            .filter(...tenantScope(tenantId))
+            .gte('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // Newest earlier record of the same URL that has an SEO audit
+    async findPreviousSeoAudit(url, before, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .select('id, seo_audit, created_at')
+            .eq('url', url)
+            .filter(...tenantScope(tenantId))
+            .lt('created_at', before)
+            .not('seo_audit', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async getSnapshots(siteId, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .select(SNAPSHOT_COLUMNS.join(', '))
+            .eq('site_id', siteId)
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async getLatestSnapshot(siteId, tenantId) {
+        const { data, error } = await supabase
+            .from(TABLE)
+            .select(SNAPSHOT_COLUMNS.join(', '))
+            .eq('site_id', siteId)
+            .filter(...tenantScope(tenantId))
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    // One page of records. Pages either by offset or by a decoded cursor;
+    // total counts all rows matching the filters.
+    async listRecords(params = {}, tenantId) {
+        const { column, ascending } = sortSpec(params);
+        const limit = params.limit || DEFAULT_PAGE_SIZE;
+        const cursor = params.cursor;
+        const backward = Boolean(cursor && cursor.direction === 'prev');
+
+        let query = this.filteredQuery('*', params, tenantId, { count: 'exact' })
+            .order(column, { ascending: ascending !== backward, nullsFirst: backward })
+            .order('id', { ascending: ascending !== backward });
+
+        if (cursor) {
+            query = query.or(keysetCondition(column, cursor, ascending, backward)).limit(limit + 1);
+        } else {
+            const offset = params.offset || 0;
+            query = query.range(offset, offset + limit - 1);
+        }
+
+        const { data, error, count } = await query;
+        if (error) {
+            throw error;
+        }
+
+        // The count of a cursor query only covers the rows past the cursor
+        let total = count;
+        if (cursor) {
+            const { error: countError, count: fullCount } = await this.filteredQuery('id', params, tenantId, { count: 'exact', head: true });
+            if (countError) {
+                throw countError;
+            }
+            total = fullCount;
+        }
+
+        let records = data.map(({ site, ...record }) => record);
+        const hasMore = Boolean(cursor) && records.length > limit;
+        records = records.slice(0, limit);
+        if (backward) records.reverse();
+
+        if (!cursor) {
+            const offset = params.offset || 0;
+            return { records, total, hasNext: offset + records.length < total, hasPrev: offset > 0 };
+        }
+        return { records, total, hasNext: backward || hasMore, hasPrev: !backward || hasMore };
+    }
+
+    // All matching records in listing order, fetched pageSize rows at a time.
+    // Paging needs the id and sort column, so they are always selected.
+    async *iterateRecords(params = {}, tenantId, { columns, pageSize = 500 } = {}) {
+        const { column, ascending } = sortSpec(params);
+        const select = columns ? [...new Set([...columns, 'id', column])].join(', ') : '*';
+        let cursor = null;
+
+        while (true) {
+            let query = this.filteredQuery(select, params, tenantId)
+                .order(column, { ascending, nullsFirst: false })
+                .order('id', { ascending });
+            if (cursor) {
+                query = query.or(keysetCondition(column, cursor, ascending, false));
+            }
+
+            const { data, error } = await query.limit(pageSize);
+            if (error) {
+                throw error;
+            }
+
+            for (const { site, ...record } of data) {
+                yield record;
+            }
+            if (data.length < pageSize) {
+                return;
+            }
+
+            const last = data[data.length - 1];
+            cursor = { value: last[column] === undefined ? null : last[column], id: last.id };
+        }
+    }
+
+    // Query with the listing filters applied. The domain filter needs the site
+    // joined in, which callers drop from the rows again.
+    filteredQuery(columns, params, tenantId, countOptions) {
+        const select = params.domain ? `${columns}, site:sites!inner(domain)` : columns;
+        let query = supabase.from(TABLE).select(select, countOptions).filter(...tenantScope(tenantId));
+
+        // technologies is a JSONB array, so filter by containment
+        if (params.technology) {
+            query = query.contains('technologies', JSON.stringify([{ name: params.technology }]));
+        }
+        if (params.techCategory) {
+            query = query.contains('technologies', JSON.stringify([{ category: params.techCategory }]));
+        }
+        if (params.industry) {
+            query = query.eq('industry', params.industry);
+        }
+        if (params.businessModel) {
+            query = query.eq('business_model', params.businessModel);
+        }
+        if (params.tag) {
+            query = query.contains('tags', JSON.stringify([params.tag.toLowerCase().trim()]));
+        }
+        if (params.keyword) {
+            query = query.contains('keywords', JSON.stringify([params.keyword.toLowerCase().trim()]));
+        }
+        if (params.audience) {
+            // Substring match; escape LIKE wildcards in the search term
+            query = query.ilike('classification->>audience', `%${params.audience.replace(/[%_\\]/g, '\\$&')}%`);
+        }
+        if (params.enhanced !== undefined) {
+            query = query.eq('enhanced', params.enhanced);
+        }
+        if (params.domain) {
+            // Sites analyzed before www. was stripped from normalized URLs keep it
+            const domain = params.domain.replace(/^www\./, '');
+            query = query.in('site.domain', [domain, `www.${domain}`]);
+        }
+        if (params.createdFrom) query = query.gte('created_at', params.createdFrom);
+        if (params.createdTo) query = query.lte('created_at', params.createdTo);
+        if (params.updatedFrom) query = query.gte('updated_at', params.updatedFrom);
+        if (params.updatedTo) query = query.lte('updated_at', params.updatedTo);
+        // Only failed analyses have scrape errors, and those are never stored,
+        // so this looks at the SEO audit; records without one are kept
+        if (params.noSeoErrors) {
+            query = query.or('seo_audit.is.null,seo_audit->summary->>error.eq.0');
+        }
+        if (params.q) {
+            query = query.textSearch('search_vector', params.q, { type: 'websearch', config: 'simple' });
+        }
+
+        return query;
+    }
+
+    // Find or create the site row for a normalized URL and bump its
+    // last_analyzed_at
+    async upsertSite(normalizedUrl) {
+        const { data, error } = await supabase
+            .from('sites')
+            .upsert({
+                normalized_url: normalizedUrl,
+                domain: new URL(normalizedUrl).hostname,
+                last_analyzed_at: new Date().toISOString()
+            }, { onConflict: 'normalized_url' })
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async findSiteByNormalizedUrl(normalizedUrl) {
+        const { data, error } = await supabase
+            .from('sites')
+            .select('*')
+            .eq('normalized_url', normalizedUrl)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0] || null;
+    }
+
+    async getSite(siteId) {
+        const { data, error } = await supabase
+            .from('sites')
+            .select('*')
+            .eq('id', siteId)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null;
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = SupabaseWebsiteRepository;
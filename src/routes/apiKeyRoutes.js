@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const ApiKeyService = require('../services/apiKeyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const {
+    validateId,
+    validateApiKey,
+    validateApiKeyUpdate,
+    validateUsageQuery,
+    checkValidationResult
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// GET the calling key and its usage today
+router.get('/me', asyncHandler(async (req, res) => {
+    if (!req.apiKey) {
+        return res.status(401).json({ error: 'API key required' });
+    }
+
+    const [apiKey, usage] = await Promise.all([
+        ApiKeyService.get(req.apiKey.id, req.tenantId),
+        ApiKeyService.getUsage(req.apiKey.id, 1)
+    ]);
+
+    res.json({
+        message: 'API key retrieved successfully',
+        data: {
+            ...apiKey,
+            analysesToday: usage.length > 0 ? usage[0].analyses : 0
+        }
+    });
+}));
+
+// Everything else manages the keys of the caller's tenant
+router.use(requireScope('admin'));
+
+// POST create a key for the caller's tenant
+router.post('/',
+    validateApiKey,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const { key, record } = await ApiKeyService.create({ ...req.body, tenantId: req.tenantId });
+
+        logger.info(`API key ${record.id} (${record.key_prefix}) created for tenant ${record.tenant_id}`);
+
+        res.status(201).json({
+            message: 'API key created successfully. Store the key now; it is not shown again.',
+            data: { ...record, key }
+        });
+    })
+);
+
+// GET all keys of the tenant
+router.get('/', asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKeyService.list(req.tenantId);
+
+    res.json({
+        message: 'API keys retrieved successfully',
+        data: apiKeys,
+        count: apiKeys.length
+    });
+}));
+
+// GET single key
+router.get('/:id',
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const apiKey = await ApiKeyService.get(req.params.id, req.tenantId);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({
+            message: 'API key retrieved successfully',
+            data: apiKey
+        });
+    })
+);
+
+// PUT update name, scopes, limits or active flag
+router.put('/:id',
+    validateId,
+    validateApiKeyUpdate,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const { tenantId, ...fields } = req.body;
+        const apiKey = await ApiKeyService.update(req.params.id, fields, req.tenantId);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({
+            message: 'API key updated successfully',
+            data: apiKey
+        });
+    })
+);
+
+// DELETE revoke a key
+router.delete('/:id',
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const apiKey = await ApiKeyService.revoke(req.params.id, req.tenantId);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        logger.info(`API key ${apiKey.id} (${apiKey.key_prefix}) revoked`);
+
+        res.json({
+            message: 'API key revoked successfully',
+            data: apiKey
+        });
+    })
+);
+
+// GET daily analysis counts of a key
+router.get('/:id/usage',
+    validateId,
+    validateUsageQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const apiKey = await ApiKeyService.get(req.params.id, req.tenantId);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const usage = await ApiKeyService.getUsage(apiKey.id, req.query.days || 30);
+
+        res.json({
+            message: 'API key usage retrieved successfully',
+            data: {
+                id: apiKey.id,
+                dailyAnalysisQuota: apiKey.daily_analysis_quota,
+                usage
+            }
+        });
+    })
+);
+
+module.exports = router;
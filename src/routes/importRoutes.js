@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { ImportService } = require('../services/importService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { analysisRateLimit } = require('../middleware/RateLimit');
+const { requireScope, checkAnalysisQuota } = require('../middleware/auth');
+const {
+    validateImportFile,
+    validateImportId,
+    validateReportQuery,
+    checkValidationResult
+} = require('../middleware/validation');
+const { csvRow } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '2mb';
+const REPORT_COLUMNS = ['row', 'url', 'brand_name', 'tags', 'status', 'errors', 'error_category', 'analysis_id'];
+
+const importStatusUrl = (req, id) => `${req.baseUrl}/imports/${id}`;
+
+// POST import URLs from a CSV file sent as the request body
+router.post('/import',
+    requireScope('analyze'),
+    analysisRateLimit,
+    express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: IMPORT_MAX_BYTES }),
+    validateImportFile,
+    checkAnalysisQuota(req => req.importRows.filter(row => row.status === 'queued').length),
+    asyncHandler(async (req, res) => {
+        const importRecord = await ImportService.create(req.importRows, {
+            tenantId: req.tenantId,
+            apiKeyId: req.apiKey ? req.apiKey.id : null,
+            fileName: typeof req.query.fileName === 'string' ? req.query.fileName.substring(0, 255) : null
+        });
+
+        logger.info(`Import ${importRecord.id}: ${importRecord.valid_rows} of ${importRecord.total_rows} rows queued`);
+
+        res.status(202).json({
+            message: 'Import accepted',
+            data: {
+                importId: importRecord.id,
+                status: importRecord.status,
+                totalRows: importRecord.total_rows,
+                validRows: importRecord.valid_rows,
+                rejectedRows: req.importRows
+                    .filter(row => row.status !== 'queued')
+                    .map(row => ({ row: row.rowNumber, url: row.url, status: row.status, errors: row.errors })),
+                statusUrl: importStatusUrl(req, importRecord.id),
+                reportUrl: `${importStatusUrl(req, importRecord.id)}/report`
+            }
+        });
+    })
+);
+
+// GET import status and progress
+router.get('/imports/:importId',
+    requireScope('read'),
+    validateImportId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const importRecord = await ImportService.get(req.params.importId, req.tenantId);
+
+        if (!importRecord) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        res.json({
+            message: 'Import retrieved successfully',
+            data: {
+                ...importRecord,
+                reportUrl: `${importStatusUrl(req, importRecord.id)}/report`
+            }
+        });
+    })
+);
+
+// GET per-row outcome report as a CSV (default) or JSON download
+router.get('/imports/:importId/report',
+    requireScope('read'),
+    validateImportId,
+    validateReportQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const importRecord = await ImportService.get(req.params.importId, req.tenantId);
+
+        if (!importRecord) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        const rows = (await ImportService.listRows(importRecord.id)).map(row => ({
+            row: row.row_number,
+            url: row.url,
+            brand_name: row.brand_name,
+            tags: row.tags,
+            status: row.status,
+            errors: row.errors,
+            error_category: row.error_category,
+            analysis_id: row.analysis_id
+        }));
+
+        const format = req.query.format || 'csv';
+        res.setHeader('Content-Disposition', `attachment; filename="import-${importRecord.id}-report.${format}"`);
+
+        if (format === 'json') {
+            return res.json({
+                message: 'Import report retrieved successfully',
+                data: {
+                    import: importRecord,
+                    rows
+                }
+            });
+        }
+
+        res.type('text/csv; charset=utf-8');
+        res.send([
+            csvRow(REPORT_COLUMNS),
+            ...rows.map(row => csvRow(REPORT_COLUMNS.map(column => {
+                const value = row[column];
+                if (column === 'tags' || column === 'errors') {
+                    return value ? value.join('; ') : '';
+                }
+                return value;
+            })))
+        ].join(''));
+    })
+);
+
+module.exports = router;
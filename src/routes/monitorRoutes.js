@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const MonitorService = require('../services/monitorService');
+const { monitorScheduler } = require('../services/monitorScheduler');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const {
+    validateId,
+    validateMonitor,
+    validateMonitorUpdate,
+    validateEventsQuery,
+    checkValidationResult
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// POST create a monitor
+router.post('/',
+    requireScope('analyze'),
+    validateMonitor,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const monitor = await MonitorService.create(req.body, req.apiKey);
+
+        logger.info(`Monitor ${monitor.id} created for ${monitor.url} (every ${monitor.interval_minutes} min)`);
+
+        res.status(201).json({
+            message: 'Monitor created successfully',
+            data: monitor
+        });
+    })
+);
+
+// GET all monitors
+router.get('/', requireScope('read'), asyncHandler(async (req, res) => {
+    const monitors = await MonitorService.list(req.tenantId);
+
+    res.json({
+        message: 'Monitors retrieved successfully',
+        data: monitors,
+        count: monitors.length
+    });
+}));
+
+// GET recent change events across all monitors
+router.get('/events',
+    requireScope('read'),
+    validateEventsQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const events = await MonitorService.listEvents({
+            monitorId: req.query.monitorId,
+            limit: req.query.limit,
+            tenantId: req.tenantId
+        });
+
+        res.json({
+            message: 'Change events retrieved successfully',
+            data: events,
+            count: events.length
+        });
+    })
+);
+
+// GET single monitor
+router.get('/:id',
+    requireScope('read'),
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const monitor = await MonitorService.get(req.params.id, req.tenantId);
+
+        if (!monitor) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+
+        res.json({
+            message: 'Monitor retrieved successfully',
+            data: monitor
+        });
+    })
+);
+
+// PUT update a monitor
+router.put('/:id',
+    requireScope('analyze'),
+    validateId,
+    validateMonitorUpdate,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const monitor = await MonitorService.update(req.params.id, req.body, req.tenantId);
+
+        if (!monitor) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+
+        res.json({
+            message: 'Monitor updated successfully',
+            data: monitor
+        });
+    })
+);
+
+// DELETE a monitor and its change events
+router.delete('/:id',
+    requireScope('analyze'),
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const monitor = await MonitorService.remove(req.params.id, req.tenantId);
+
+        if (!monitor) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+
+        res.json({
+            message: 'Monitor deleted successfully',
+            data: monitor
+        });
+    })
+);
+
+// GET change events of one monitor
+router.get('/:id/events',
+    requireScope('read'),
+    validateId,
+    validateEventsQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const events = await MonitorService.listEvents({
+            monitorId: req.params.id,
+            limit: req.query.limit,
+            tenantId: req.tenantId
+        });
+
+        res.json({
+            message: 'Change events retrieved successfully',
+            data: events,
+            count: events.length
+        });
+    })
+);
+
+// POST run a monitor now instead of waiting for its schedule
+router.post('/:id/run',
+    requireScope('analyze'),
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const monitor = await MonitorService.get(req.params.id, req.tenantId);
+
+        if (!monitor) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+
+        const event = await monitorScheduler.runMonitor(monitor);
+        const updated = await MonitorService.get(monitor.id, req.tenantId);
+
+        res.json({
+            message: event ? 'Monitor run detected changes' : 'Monitor run completed',
+            data: {
+                monitor: updated,
+                event
+            }
+        });
+    })
+);
+
+module.exports = router;
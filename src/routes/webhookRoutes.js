@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { WebhookService } = require('../services/webhookService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/auth');
+const {
+    validateId,
+    validateWebhook,
+    validateWebhookUpdate,
+    validateDeliveryId,
+    validateLimitQuery,
+    checkValidationResult
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// Managing webhooks needs the admin scope; every webhook belongs to the
+// tenant of the key that created it
+router.use(requireScope('admin'));
+
+// POST register a webhook endpoint
+router.post('/',
+    validateWebhook,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const webhook = await WebhookService.create(req.body, req.tenantId);
+
+        logger.info(`Webhook ${webhook.id} registered for ${webhook.url}`);
+
+        res.status(201).json({
+            message: 'Webhook created successfully. Store the secret now; it is not shown again.',
+            data: webhook
+        });
+    })
+);
+
+// GET all webhooks
+router.get('/', asyncHandler(async (req, res) => {
+    const webhooks = await WebhookService.list(req.tenantId);
+
+    res.json({
+        message: 'Webhooks retrieved successfully',
+        data: webhooks,
+        count: webhooks.length
+    });
+}));
+
+// GET a delivery with its attempt log
+router.get('/deliveries/:deliveryId',
+    validateDeliveryId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const delivery = await WebhookService.getDelivery(req.params.deliveryId, req.tenantId);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({
+            message: 'Delivery retrieved successfully',
+            data: delivery
+        });
+    })
+);
+
+// POST send a delivery again with its original payload
+router.post('/deliveries/:deliveryId/replay',
+    validateDeliveryId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const delivery = await WebhookService.replay(req.params.deliveryId, req.tenantId);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery or webhook not found' });
+        }
+
+        if (delivery.status === 'failed') {
+            return res.status(503).json({ error: 'Webhook queue is full, please try again later' });
+        }
+
+        res.status(202).json({
+            message: 'Delivery queued for replay',
+            data: delivery
+        });
+    })
+);
+
+// GET single webhook
+router.get('/:id',
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const webhook = await WebhookService.get(req.params.id, { tenantId: req.tenantId });
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            message: 'Webhook retrieved successfully',
+            data: webhook
+        });
+    })
+);
+
+// PUT update a webhook
+router.put('/:id',
+    validateId,
+    validateWebhookUpdate,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const webhook = await WebhookService.update(req.params.id, req.body, req.tenantId);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            message: 'Webhook updated successfully',
+            data: webhook
+        });
+    })
+);
+
+// DELETE a webhook and its delivery log
+router.delete('/:id',
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const webhook = await WebhookService.remove(req.params.id, req.tenantId);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            message: 'Webhook deleted successfully',
+            data: webhook
+        });
+    })
+);
+
+// GET recent deliveries of a webhook
+router.get('/:id/deliveries',
+    validateId,
+    validateLimitQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const webhook = await WebhookService.get(req.params.id, { tenantId: req.tenantId });
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const deliveries = await WebhookService.listDeliveries(webhook.id, { limit: req.query.limit });
+
+        res.json({
+            message: 'Deliveries retrieved successfully',
+            data: deliveries,
+            count: deliveries.length
+        });
+    })
+);
+
+module.exports = router;
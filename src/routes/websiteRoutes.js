@@ -1,30 +1,149 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../supabaseClient');
-const WebsiteScrapingService = require('../services/scrapingService');
+const AnalysisService = require('../services/analysisService');
+const ScreenshotService = require('../services/screenshotService');
+const SiteService = require('../services/siteService');
+const ExportService = require('../services/exportService');
+const { compareSeoAudits } = require('../extractors/seoAudit');
+const { analysisQueue } = require('../services/jobQueue');
+const { eventBus } = require('../services/eventBus');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { analysisRateLimit } = require('../middleware/RateLimit');
+const { analysisRateLimit, extendTimeout } = require('../middleware/RateLimit');
+const { checkRobotsOverride } = require('../middleware/robotsOverride');
+const { requireScope, checkAnalysisQuota } = require('../middleware/auth');
 const {
     validateUrl,
+    validateAnalyzeOptions,
+    validateBatchUrls,
+    validateEnhanceOptions,
     validateId,
+    validateJobId,
+    validateSiteId,
+    validateDiffQuery,
+    validateListQuery,
+    validateExportQuery,
+    validateScreenshotQuery,
     validateUpdateFields,
     checkValidationResult
 } = require('../middleware/validation');
 const logger = require('../utils/logger');
+const { LANGUAGE_NAMES } = require('../utils/languages');
+const { decodeCursor, pageLink } = require('../utils/pagination');
+const { ENHANCEMENT_PRESETS, MAX_VARIANTS } = require('../ai/presets');
+const { INDUSTRY_NAMES, BUSINESS_MODELS } = require('../ai/classification');
+
+const BATCH_REQUEST_TIMEOUT = parseInt(process.env.BATCH_REQUEST_TIMEOUT_MS, 10) || 15 * 60 * 1000;
+const EXPORT_REQUEST_TIMEOUT = parseInt(process.env.EXPORT_REQUEST_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// Drop repeated language tags, keeping the first occurrence
+const uniqueLanguages = (languages) => [...new Set(languages || [])];
+
+// Load the record named by :id, answering 404 (or 500 on a database error)
+// and returning null when it can't be loaded
+const fetchRecord = async (req, res) => {
+    try {
+        const record = await AnalysisService.getRecord(req.params.id, req.tenantId);
+        if (!record) {
+            res.status(404).json({ error: 'Website record not found' });
+        }
+        return record;
+    } catch (error) {
+        logger.error(`Failed to fetch website record ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to fetch website record' });
+        return null;
+    }
+};
+
+// Scraping options accepted by POST /analyze
+const buildAnalysisOptions = (req) => ({
+    enhanceDescription: req.body.enhanceDescription !== undefined ? req.body.enhanceDescription : true,
+    mode: req.body.mode,
+    captureScreenshot: req.body.captureScreenshot,
+    screenshotFormat: req.body.screenshotFormat,
+    screenshotQuality: req.body.screenshotQuality,
+    seoAudit: req.body.seoAudit === true || req.body.seoAudit === 'true',
+    crawl: req.body.crawl === true || req.body.crawl === 'true',
+    crawlMaxPages: req.body.crawlMaxPages,
+    crawlMaxDepth: req.body.crawlMaxDepth,
+    ignoreRobots: req.robotsOverride === true,
+    aiProvider: req.body.aiProvider,
+    aiModel: req.body.aiModel,
+    targetLanguages: uniqueLanguages(req.body.targetLanguages),
+    enhancements: req.body.enhancements,
+    classify: req.body.classify !== false && req.body.classify !== 'false',
+    force: req.body.force === true || req.body.force === 'true',
+    tenantId: req.tenantId
+});
+
+// Crawls take longer than the request timeout allows, so they always run
+// as jobs, like requests that ask for async
+const runsAsJob = (req) => req.body.async === true || buildAnalysisOptions(req).crawl;
+
+// Answer a repeat POST /analyze with the existing fresh record instead of
+// scraping again, unless force is set. Runs before the quota check so reused
+// records don't count against it. Async requests always get a job, which
+// does the same lookup when it runs.
+const serveFreshRecord = async (req, res, next) => {
+    const options = buildAnalysisOptions(req);
+    if (options.force || runsAsJob(req)) return next();
+
+    try {
+        const record = await AnalysisService.findFreshRecord(req.body.url, options);
+        if (!record) return next();
+
+        logger.info(`Reusing analysis ${record.id} from ${record.created_at} for URL: ${req.body.url}`);
+        res.json({
+            message: 'Website analysis reused from a recent result',
+            data: {
+                ...record,
+                cached: true
+            }
+        });
+    } catch (error) {
+        logger.warn(`Fresh record lookup failed for ${req.body.url}: ${error.message}`);
+        next();
+    }
+};
 
 router.post('/analyze',
+    requireScope('analyze'),
     analysisRateLimit,
     validateUrl,
+    validateAnalyzeOptions,
     checkValidationResult,
+    checkRobotsOverride,
+    serveFreshRecord,
+    checkAnalysisQuota(),
     asyncHandler(async (req, res) => {
-        const { url, enhanceDescription = true } = req.body;
+        const { url, maxAttempts } = req.body;
+        const options = buildAnalysisOptions(req);
 
-        logger.info(`Analysis request for URL: ${url} (AI enhancement: ${enhanceDescription})`);
-        const scrapingResult = await WebsiteScrapingService.scrapeWebsite(url, {
-            enhanceDescription
-        });
+        if (runsAsJob(req)) {
+            const job = analysisQueue.enqueue({ url, options }, { maxAttempts });
+
+            if (!job) {
+                return res.status(503).json({ error: 'Analysis queue is full, please try again later' });
+            }
+
+            logger.info(`Queued analysis job ${job.id} for URL: ${url}`);
+            return res.status(202).json({
+                message: 'Website analysis queued',
+                data: {
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `${req.baseUrl}/jobs/${job.id}`
+                }
+            });
+        }
 
-        if (!scrapingResult.success) {
+        logger.info(`Analysis request for URL: ${url} (AI enhancement: ${options.enhanceDescription})`);
+        const { success, scrapingResult, record, storageError } = await AnalysisService.analyzeAndStore(url, options);
+
+        if (storageError) {
+            return res.status(500).json({ error: 'Failed to store analysis result' });
+        }
+
+        if (!success) {
             return res.status(422).json({
                 error: 'Failed to scrape website',
                 details: scrapingResult.error,
@@ -32,61 +151,244 @@ router.post('/analyze',
             });
         }
 
-        const { data, error } = await supabase
-            .from('website_analysis')
-            .insert({
-                url: scrapingResult.url,
-                brand_name: scrapingResult.brandName,
-                description: scrapingResult.description,
-                raw_description: scrapingResult.rawDescription,
-                enhanced: scrapingResult.enhanced
-            })
-            .select();
-
-        if (error) {
-            logger.error('Database error during analysis:', error);
-            return res.status(500).json({ error: 'Failed to store analysis result' });
-        }
-
         logger.info(`Analysis completed successfully for URL: ${url}`);
         res.status(201).json({
             message: 'Website analyzed successfully',
             data: {
-                ...data[0],
+                ...record,
                 aiStats: scrapingResult.aiStats,
-                enhanced: scrapingResult.enhanced
+                enhanced: scrapingResult.enhanced,
+                strategy: scrapingResult.strategy
+            }
+        });
+    })
+);
+
+// POST analyze many URLs in one call
+router.post('/analyze/batch',
+    requireScope('analyze'),
+    analysisRateLimit,
+    extendTimeout(BATCH_REQUEST_TIMEOUT),
+    validateBatchUrls,
+    checkValidationResult,
+    checkRobotsOverride,
+    checkAnalysisQuota(req => req.body.urls.length),
+    asyncHandler(async (req, res) => {
+        const { urls, enhanceDescription = true, concurrency, aiProvider, aiModel, targetLanguages, enhancements, classify } = req.body;
+
+        logger.info(`Batch analysis request for ${urls.length} URLs`);
+        // Defaults for the items; each item may override these (see BATCH_ITEM_OPTIONS)
+        const report = await AnalysisService.analyzeBatch(urls, {
+            enhanceDescription,
+            mode: req.body.mode,
+            captureScreenshot: req.body.captureScreenshot,
+            screenshotFormat: req.body.screenshotFormat,
+            screenshotQuality: req.body.screenshotQuality,
+            seoAudit: req.body.seoAudit,
+            crawl: req.body.crawl,
+            crawlMaxPages: req.body.crawlMaxPages,
+            crawlMaxDepth: req.body.crawlMaxDepth,
+            concurrency,
+            aiProvider,
+            aiModel,
+            targetLanguages: uniqueLanguages(targetLanguages),
+            enhancements,
+            classify: classify !== false && classify !== 'false',
+            ignoreRobots: req.robotsOverride,
+            tenantId: req.tenantId
+        });
+
+        res.json({
+            message: `Batch analysis completed: ${report.succeeded} succeeded, ${report.failed} failed`,
+            ...report
+        });
+    })
+);
+
+// GET status of an asynchronous analysis job
+router.get('/jobs/:jobId',
+    requireScope('read'),
+    validateJobId,
+    checkValidationResult,
+    (req, res) => {
+        const job = analysisQueue.get(req.params.jobId);
+
+        // Jobs of other tenants are reported as missing
+        if (!job || (job.payload.options.tenantId || null) !== (req.tenantId || null)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            message: 'Job status retrieved successfully',
+            data: analysisQueue.toJSON(job)
+        });
+    }
+);
+
+// GET the snapshot timeline of a site
+router.get('/sites/:siteId/history',
+    requireScope('read'),
+    validateSiteId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const site = await SiteService.getSite(req.params.siteId);
+
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const snapshots = await SiteService.getSnapshots(site.id, req.tenantId);
+
+        if (snapshots.length === 0) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        // Each entry records which fields changed since the previous snapshot
+        const timeline = snapshots.map((snapshot, index) => {
+            const changes = index > 0 ? SiteService.diffSnapshots(snapshots[index - 1], snapshot) : null;
+            return {
+                id: snapshot.id,
+                url: snapshot.url,
+                brand_name: snapshot.brand_name,
+                enhanced: snapshot.enhanced,
+                created_at: snapshot.created_at,
+                changedFields: changes ? changes.changedFields : null
+            };
+        });
+
+        res.json({
+            message: 'Site history retrieved successfully',
+            data: {
+                site,
+                count: timeline.length,
+                snapshots: timeline
+            }
+        });
+    })
+);
+
+// GET a field-level diff between two snapshots of a site (defaults to the latest two)
+router.get('/sites/:siteId/diff',
+    requireScope('read'),
+    validateSiteId,
+    validateDiffQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const site = await SiteService.getSite(req.params.siteId);
+
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const snapshots = await SiteService.getSnapshots(site.id, req.tenantId);
+
+        // As for the history, a site the tenant has no snapshots of is not theirs to see
+        if (snapshots.length === 0) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const findSnapshot = id => snapshots.find(snapshot => String(snapshot.id) === String(id));
+
+        const from = req.query.from ? findSnapshot(req.query.from) : snapshots[snapshots.length - 2];
+        const to = req.query.to ? findSnapshot(req.query.to) : snapshots[snapshots.length - 1];
+
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.status(404).json({ error: 'Snapshot not found for this site' });
+        }
+        if (!from || !to) {
+            return res.status(400).json({ error: 'At least two snapshots are needed to compute a diff' });
+        }
+
+        res.json({
+            message: 'Snapshot diff computed successfully',
+            data: {
+                siteId: site.id,
+                ...SiteService.diffSnapshots(from, to)
             }
         });
     })
 );
 
 // GET all website records
-router.get('/', async (req, res) => {
+router.get('/', requireScope('read'), validateListQuery, checkValidationResult, async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('website_analysis')
-            .select('*')
-            .order('created_at', { ascending: false });
-
-        if (error) {
-            console.error('Database error:', error);
-            return res.status(500).json({ error: 'Failed to retrieve website records' });
+        const params = {
+            ...req.query,
+            cursor: req.query.cursor ? decodeCursor(req.query.cursor) : undefined
+        };
+        const { records, total, limit, nextCursor, prevCursor } = await AnalysisService.list(params, req.tenantId);
+
+        // Offset requests get offset links; everything else pages by cursor
+        const offset = req.query.offset;
+        let links;
+        if (offset !== undefined) {
+            links = {
+                next: offset + records.length < total ? pageLink(req, { offset: offset + limit }) : null,
+                prev: offset > 0 ? pageLink(req, { offset: Math.max(0, offset - limit) }) : null
+            };
+        } else {
+            links = {
+                next: nextCursor ? pageLink(req, { cursor: nextCursor }) : null,
+                prev: prevCursor ? pageLink(req, { cursor: prevCursor }) : null
+            };
         }
 
         res.json({
             message: 'Website records retrieved successfully',
-            count: data.length,
-            data: data
+            count: records.length,
+            total,
+            data: records,
+            pagination: {
+                limit,
+                offset: offset !== undefined ? offset : null,
+                nextCursor,
+                prevCursor
+            },
+            links: {
+                self: pageLink(req, {}),
+                ...links
+            }
         });
 
     } catch (error) {
         console.error('Get websites error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        res.status(500).json({ error: 'Failed to retrieve website records' });
     }
 });
 
+// GET stream all matching records as CSV, JSON or NDJSON
+router.get('/export',
+    requireScope('read'),
+    extendTimeout(EXPORT_REQUEST_TIMEOUT),
+    validateExportQuery,
+    checkValidationResult,
+    (req, res) => {
+        const { format = 'csv', columns, ...params } = req.query;
+        const stream = ExportService.createStream(format, params, req.tenantId, columns);
+
+        res.setHeader('Content-Type', ExportService.formatInfo(format).contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${ExportService.fileName(format)}"`);
+
+        // Once the first page is written the status is sent, so a later
+        // failure can only cut the download short
+        stream.on('error', (error) => {
+            logger.error(`Export failed: ${error.message}`);
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                res.removeHeader('Content-Type');
+                res.removeHeader('Content-Disposition');
+                res.status(500).json({ error: 'Failed to export website records' });
+            }
+        });
+        res.on('close', () => stream.destroy());
+
+        stream.pipe(res);
+    }
+);
+
 // GET single website record by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('read'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -94,20 +396,18 @@ router.get('/:id', async (req, res) => {
             return res.status(400).json({ error: 'Valid ID is required' });
         }
 
-        const { data, error } = await supabase
-            .from('website_analysis')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Website record not found' });
-            }
+        let data;
+        try {
+            data = await AnalysisService.getRecord(id, req.tenantId);
+        } catch (error) {
             console.error('Database error:', error);
             return res.status(500).json({ error: 'Failed to retrieve website record' });
         }
 
+        if (!data) {
+            return res.status(404).json({ error: 'Website record not found' });
+        }
+
         res.json({
             message: 'Website record retrieved successfully',
             data: data
@@ -120,7 +420,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // PUT update website record by ID
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('analyze'), async (req, res) => {
     try {
         const { id } = req.params;
         const { brand_name, description, enhanced_description } = req.body;
@@ -142,24 +442,27 @@ router.put('/:id', async (req, res) => {
         if (enhanced_description !== undefined) updateFields.enhanced_description = enhanced_description;
         updateFields.updated_at = new Date().toISOString();
 
-        const { data, error } = await supabase
-            .from('website_analysis')
-            .update(updateFields)
-            .eq('id', id)
-            .select();
-
-        if (error) {
+        let record;
+        try {
+            record = await AnalysisService.updateRecord(id, updateFields, req.tenantId);
+        } catch (error) {
             console.error('Database error:', error);
             return res.status(500).json({ error: 'Failed to update website record' });
         }
 
-        if (data.length === 0) {
+        if (!record) {
             return res.status(404).json({ error: 'Website record not found' });
         }
 
+        eventBus.emit('record.updated', {
+            tenantId: record.tenant_id,
+            record,
+            fields: Object.keys(updateFields).filter(field => field !== 'updated_at')
+        });
+
         res.json({
             message: 'Website record updated successfully',
-            data: data[0]
+            data: record
         });
 
     } catch (error) {
@@ -169,7 +472,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE website record by ID
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('analyze'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -177,24 +480,24 @@ router.delete('/:id', async (req, res) => {
             return res.status(400).json({ error: 'Valid ID is required' });
         }
 
-        const { data, error } = await supabase
-            .from('website_analysis')
-            .delete()
-            .eq('id', id)
-            .select();
-
-        if (error) {
+        let record;
+        try {
+            record = await AnalysisService.deleteRecord(id, req.tenantId);
+        } catch (error) {
             console.error('Database error:', error);
             return res.status(500).json({ error: 'Failed to delete website record' });
         }
 
-        if (data.length === 0) {
+        if (!record) {
             return res.status(404).json({ error: 'Website record not found' });
         }
 
+        await ScreenshotService.removeAll(record.screenshots);
+        eventBus.emit('record.deleted', { tenantId: record.tenant_id, record });
+
         res.json({
             message: 'Website record deleted successfully',
-            data: data[0]
+            data: record
         });
 
     } catch (error) {
@@ -203,31 +506,97 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// GET stored screenshot for a website record
+router.get('/:id/screenshot',
+    requireScope('read'),
+    validateId,
+    validateScreenshotQuery,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { kind } = req.query;
+
+        const data = await fetchRecord(req, res);
+        if (!data) return;
+
+        const screenshots = data.screenshots || [];
+        const screenshot = kind
+            ? screenshots.find(item => item.kind === kind)
+            : screenshots.find(item => item.kind === 'viewport') || screenshots[0];
+
+        if (!screenshot) {
+            return res.status(404).json({ error: 'Screenshot not found for this record' });
+        }
+
+        const image = await ScreenshotService.read(screenshot);
+        if (!image) {
+            return res.status(404).json({ error: 'Screenshot file is no longer available' });
+        }
+
+        res.set('Content-Type', screenshot.contentType);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.send(image);
+    })
+);
+
+// GET SEO audit for a website record, compared with the previous audit of the same URL
+router.get('/:id/seo',
+    requireScope('read'),
+    validateId,
+    checkValidationResult,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const data = await fetchRecord(req, res);
+        if (!data) return;
+
+        if (!data.seo_audit) {
+            return res.status(404).json({
+                error: 'No SEO audit for this record. Re-analyze with "seoAudit": true to create one.'
+            });
+        }
+
+        let previousRecord = null;
+        try {
+            previousRecord = await AnalysisService.findPreviousSeoAudit(data, req.tenantId);
+        } catch (previousError) {
+            logger.warn(`Failed to load previous SEO audit for record ${id}: ${previousError.message}`);
+        }
+
+        res.json({
+            message: 'SEO audit retrieved successfully',
+            data: {
+                id: data.id,
+                url: data.url,
+                ...data.seo_audit,
+                comparison: previousRecord
+                    ? { previousId: previousRecord.id, ...compareSeoAudits(data.seo_audit, previousRecord.seo_audit) }
+                    : null
+            }
+        });
+    })
+);
+
 // POST enhance description for existing record
 router.post('/:id/enhance',
+    requireScope('enhance'),
     validateId,
+    validateEnhanceOptions,
     checkValidationResult,
     asyncHandler(async (req, res) => {
         const { id } = req.params;
 
+        const targetLanguages = uniqueLanguages(req.body.targetLanguages);
+        const enhancements = req.body.enhancements || [];
+
         logger.info(`Enhancement request for record ID: ${id}`);
 
         // Get the existing record
-        const { data: existingData, error: fetchError } = await supabase
-            .from('website_analysis')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (fetchError) {
-            if (fetchError.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Website record not found' });
-            }
-            return res.status(500).json({ error: 'Failed to fetch website record' });
-        }
+        const existingData = await fetchRecord(req, res);
+        if (!existingData) return;
 
-        // Check if already enhanced
-        if (existingData.enhanced) {
+        // An enhanced record can still be localized or get preset variants
+        if (existingData.enhanced && targetLanguages.length === 0 && enhancements.length === 0) {
             return res.status(400).json({
                 error: 'Description is already enhanced',
                 data: existingData
@@ -245,39 +614,83 @@ router.post('/:id/enhance',
 
         try {
             // Create AI enhancement service instance
-            const WebsiteScrapingService = require('../services/scrapingService');
             const aiEnhancement = new (require('../services/aiEnhancementService'))();
+            const aiOptions = {
+                provider: req.body.aiProvider,
+                model: req.body.aiModel,
+                language: existingData.language,
+                force: req.body.force === true || req.body.force === 'true'
+            };
+            const updateFields = { updated_at: new Date().toISOString() };
+            let enhancedDescription = existingData.description;
+
+            if (!existingData.enhanced) {
+                enhancedDescription = await aiEnhancement.enhanceDescription(
+                    descriptionToEnhance,
+                    existingData.brand_name,
+                    existingData.url,
+                    aiOptions
+                );
+                updateFields.description = enhancedDescription;
+                updateFields.raw_description = existingData.raw_description || existingData.description;
+                updateFields.enhanced = true;
+            }
+
+            const aiStats = aiEnhancement.getStats();
+
+            if (targetLanguages.length > 0) {
+                const localized = await aiEnhancement.localizeDescriptions(
+                    enhancedDescription,
+                    existingData.brand_name,
+                    targetLanguages,
+                    aiOptions
+                );
+                updateFields.localized_descriptions = {
+                    ...(existingData.localized_descriptions || {}),
+                    ...localized
+                };
+            }
 
-            const enhancedDescription = await aiEnhancement.enhanceDescription(
-                descriptionToEnhance,
-                existingData.brand_name,
-                existingData.url
-            );
+            // Regenerated presets replace their earlier variants
+            if (enhancements.length > 0) {
+                const variants = await aiEnhancement.generateVariants(
+                    descriptionToEnhance,
+                    existingData.brand_name,
+                    existingData.url,
+                    enhancements,
+                    aiOptions
+                );
+                updateFields.description_variants = {
+                    ...(existingData.description_variants || {}),
+                    ...variants
+                };
+            }
 
             // Update the record
-            const { data, error } = await supabase
-                .from('website_analysis')
-                .update({
-                    description: enhancedDescription,
-                    raw_description: existingData.raw_description || existingData.description,
-                    enhanced: true,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .select();
-
-            if (error) {
+            let record;
+            try {
+                record = await AnalysisService.updateRecord(id, updateFields, req.tenantId);
+            } catch (error) {
                 logger.error('Database error during enhancement update:', error);
                 return res.status(500).json({ error: 'Failed to update enhanced description' });
             }
 
+            if (!record) {
+                return res.status(404).json({ error: 'Website record not found' });
+            }
+
             logger.info(`Description enhanced successfully for record ID: ${id}`);
+            eventBus.emit('description.enhanced', {
+                tenantId: record.tenant_id,
+                record,
+                previousDescription: existingData.description
+            });
 
             res.json({
                 message: 'Description enhanced successfully',
                 data: {
-                    ...data[0],
-                    aiStats: aiEnhancement.getStats()
+                    ...record,
+                    aiStats
                 }
             });
 
@@ -291,8 +704,20 @@ router.post('/:id/enhance',
     })
 );
 
+// GET enhancement presets and their length rules
+router.get('/ai/presets', requireScope('read'), (req, res) => {
+    res.json({
+        message: 'Enhancement presets',
+        data: Object.entries(ENHANCEMENT_PRESETS).map(([name, preset]) => ({
+            name,
+            ...preset
+        })),
+        maxVariants: MAX_VARIANTS
+    });
+});
+
 // GET AI enhancement status and capabilities
-router.get('/ai/status', (req, res) => {
+router.get('/ai/status', requireScope('read'), (req, res) => {
     const AIEnhancementService = require('../services/aiEnhancementService');
     const aiService = new AIEnhancementService();
 
@@ -301,8 +726,11 @@ router.get('/ai/status', (req, res) => {
         ...aiService.getStats(),
         features: {
             enhanceDescription: true,
+            localizedDescriptions: aiService.isAvailable(),
             fallbackMode: !aiService.isAvailable(),
-            supportedLanguages: ['en'],
+            supportedLanguages: Object.keys(LANGUAGE_NAMES),
+            industries: INDUSTRY_NAMES,
+            businessModels: BUSINESS_MODELS,
             maxDescriptionLength: 1000
         }
     });
@@ -1,18 +1,121 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createConfiguredProviders } = require('../ai');
+const { cache } = require('../cache');
 const logger = require('../utils/logger');
+const { sha256 } = require('../utils/hash');
+const { languageName } = require('../utils/languages');
+const {
+    ENHANCEMENT_PRESETS,
+    checkPresetLimits,
+    describePresetLimits,
+    trimToPresetLimits
+} = require('../ai/presets');
+const {
+    CLASSIFICATION_SCHEMA,
+    validateSchema,
+    parseClassification,
+    normalizeKeywords,
+    fallbackClassification
+} = require('../ai/classification');
+
+const CLASSIFICATION_TEXT_LIMIT = 4000;
+// 0 disables the cache
+const AI_CACHE_TTL_MS = process.env.AI_CACHE_TTL_MS !== undefined
+    ? parseInt(process.env.AI_CACHE_TTL_MS, 10) || 0
+    : 7 * 24 * 60 * 60 * 1000;
 
 class AIEnhancementService {
-    constructor() {
-        this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.gemini.getGenerativeModel({ model: 'gemini-1.5-flash' });
-        this.enabled = !!process.env.GEMINI_API_KEY;
+    constructor(options = {}) {
+        this.providers = options.providers || createConfiguredProviders();
+        this.cache = options.cache || cache;
+        this.enabled = this.providers.length > 0;
+        this.usedProvider = null;
 
         if (!this.enabled) {
-            logger.warn('Gemini API key not provided. AI enhancement features will be disabled.');
+            logger.warn('No AI provider configured. AI enhancement features will be disabled.');
+        }
+    }
+
+    // Providers to try for one call: the requested provider first, then the
+    // rest in configured order. A requested model applies to the first provider only.
+    getProviderChain(aiOptions = {}) {
+        const chain = [...this.providers];
+        const requested = chain.findIndex(provider => provider.name === aiOptions.provider);
+
+        if (requested > 0) {
+            chain.unshift(...chain.splice(requested, 1));
+        } else if (aiOptions.provider && requested === -1) {
+            logger.warn(`AI provider "${aiOptions.provider}" is not configured, using ${chain.map(p => p.name).join(', ') || 'fallback'}`);
+        }
+
+        return chain.map((provider, index) => ({
+            provider,
+            model: index === 0 && aiOptions.model ? aiOptions.model : provider.defaultModel
+        }));
+    }
+
+    // Answers are cached by prompt. A requested provider or model is part of
+    // the key, so asking for a specific one never returns another's answer.
+    cacheKey(prompt, aiOptions) {
+        return `ai:${sha256({
+            prompt,
+            provider: aiOptions.provider || null,
+            model: aiOptions.model || null
+        })}`;
+    }
+
+    // Run a prompt through the provider chain. Returns null when every provider
+    // failed or answered empty, so callers can use their fallback.
+    // aiOptions.force skips cached answers.
+    async generate(prompt, aiOptions = {}) {
+        this.usedProvider = null;
+        const cacheKey = this.cacheKey(prompt, aiOptions);
+
+        if (AI_CACHE_TTL_MS > 0 && !aiOptions.force) {
+            try {
+                const cached = await this.cache.get(cacheKey);
+                if (cached) {
+                    this.usedProvider = { provider: cached.provider, model: cached.model, cached: true };
+                    return cached.text;
+                }
+            } catch (error) {
+                logger.warn(`AI cache read failed: ${error.message}`);
+            }
+        }
+
+        for (const { provider, model } of this.getProviderChain(aiOptions)) {
+            try {
+                const text = ((await provider.generate(prompt, { model })) || '').trim();
+
+                if (text.length > 0) {
+                    this.usedProvider = { provider: provider.name, model };
+                    await this.storeInCache(cacheKey, { text, provider: provider.name, model });
+                    return text;
+                }
+
+                logger.warn(`AI provider ${provider.name} (${model}) returned an empty result`);
+            } catch (error) {
+                logger.error(`AI provider ${provider.name} (${model}) failed: ${error.message}`);
+            }
+        }
+
+        return null;
+    }
+
+    async storeInCache(cacheKey, entry) {
+        if (AI_CACHE_TTL_MS <= 0) return;
+
+        try {
+            await this.cache.set(cacheKey, entry, AI_CACHE_TTL_MS);
+        } catch (error) {
+            logger.warn(`AI cache write failed: ${error.message}`);
         }
     }
 
-    async enhanceDescription(rawDescription, brandName = '', url = '') {
+    // options: provider and model (see getProviderChain) and the language the
+    // description should be written in
+    async enhanceDescription(rawDescription, brandName = '', url = '', options = {}) {
+        this.usedProvider = null;
+
         if (!this.enabled) {
             logger.info('AI enhancement disabled - returning original description');
             return this.fallbackEnhancement(rawDescription);
@@ -22,35 +125,358 @@ class AIEnhancementService {
             return rawDescription || 'No description available';
         }
 
-        try {
-            logger.info(`Enhancing description for ${brandName || url}`);
+        logger.info(`Enhancing description for ${brandName || url}`);
+
+        const prompt = this.buildEnhancementPrompt(rawDescription, brandName, url, options.language);
+        const enhancedDescription = await this.generate(prompt, options);
+
+        if (enhancedDescription) {
+            logger.info(`Successfully enhanced description (${rawDescription.length} -> ${enhancedDescription.length} chars)`);
+            return this.sanitizeEnhancedDescription(enhancedDescription);
+        }
+
+        logger.warn('All AI providers failed, using fallback');
+        return this.fallbackEnhancement(rawDescription);
+    }
+
+    // Summarize text gathered from several pages of one site (see SiteCrawler)
+    async summarizeSite(combinedText, brandName = '', url = '', fallbackDescription = '', options = {}) {
+        if (!this.enabled || !combinedText || combinedText.trim().length < 10) {
+            return this.fallbackEnhancement(fallbackDescription || combinedText);
+        }
+
+        logger.info(`Summarizing site profile for ${brandName || url}`);
+
+        const summary = await this.generate(this.buildSiteSummaryPrompt(combinedText, brandName, url, options.language), options);
+
+        if (summary) {
+            return this.sanitizeEnhancedDescription(summary);
+        }
+
+        logger.warn('Site summary failed on all AI providers, using fallback');
+        return this.fallbackEnhancement(fallbackDescription || combinedText);
+    }
+
+    // Write the description in each target language. Languages no provider
+    // could handle are left out; there is no non-AI fallback for translation.
+    async localizeDescriptions(description, brandName = '', targetLanguages = [], options = {}) {
+        const localized = {};
+
+        if (!description || targetLanguages.length === 0) {
+            return localized;
+        }
 
-            const prompt = this.buildEnhancementPrompt(rawDescription, brandName, url);
+        if (!this.enabled) {
+            logger.warn(`Skipping localization into ${targetLanguages.join(', ')}: no AI provider available`);
+            return localized;
+        }
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const enhancedDescription = response.text().trim();
+        for (const language of targetLanguages) {
+            const text = await this.generate(this.buildLocalizationPrompt(description, brandName, language), options);
 
-            if (enhancedDescription && enhancedDescription.length > 0) {
-                logger.info(`Successfully enhanced description (${rawDescription.length} -> ${enhancedDescription.length} chars)`);
-                return this.sanitizeEnhancedDescription(enhancedDescription);
+            if (text) {
+                localized[language] = {
+                    description: this.sanitizeEnhancedDescription(text),
+                    ...this.usedProvider
+                };
             } else {
-                logger.warn('AI enhancement returned empty result, using fallback');
-                return this.fallbackEnhancement(rawDescription);
+                logger.warn(`Localization into ${language} failed on all AI providers`);
             }
+        }
 
-        } catch (error) {
-            logger.error(`AI enhancement failed: ${error.message}`);
-            if (error.message.includes('API key')) {
-                logger.error('Invalid Gemini API key');
-            } else if (error.message.includes('quota') || error.message.includes('limit')) {
-                logger.warn('Gemini API quota/rate limit exceeded, using fallback');
+        return localized;
+    }
+
+    // Write variants for each requested preset, e.g. [{ preset: 'seoMeta', variants: 3 }].
+    // Returns { [preset]: [variant] }; every variant carries its length check.
+    async generateVariants(sourceText, brandName = '', url = '', requests = [], options = {}) {
+        const results = {};
+
+        for (const { preset: name, variants = 1 } of requests) {
+            const usable = this.enabled && sourceText && sourceText.trim().length >= 10;
+
+            results[name] = usable
+                ? await this.generatePresetVariants(sourceText, brandName, url, name, variants, options)
+                : [this.presetFallback(sourceText, name)];
+        }
+
+        return results;
+    }
+
+    async generatePresetVariants(sourceText, brandName, url, name, count, options) {
+        const preset = ENHANCEMENT_PRESETS[name];
+        const variants = [];
+
+        for (let index = 0; index < count; index++) {
+            const promptOptions = { language: options.language, previous: variants.map(variant => variant.text) };
+            const generated = await this.generate(this.buildPresetPrompt(sourceText, brandName, url, preset, promptOptions), options);
+
+            if (!generated) {
+                logger.warn(`${preset.label} variant ${index + 1} failed on all AI providers`);
+                break;
             }
-            return this.fallbackEnhancement(rawDescription);
+
+            let text = this.sanitizeVariant(generated, preset);
+            let check = checkPresetLimits(text, preset);
+            let adjusted = false;
+
+            // One retry that tells the model what was wrong with its attempt
+            if (check.violations.length > 0) {
+                const retried = await this.generate(this.buildPresetPrompt(sourceText, brandName, url, preset, {
+                    ...promptOptions,
+                    feedback: check
+                }), options);
+
+                if (retried) {
+                    const retriedText = this.sanitizeVariant(retried, preset);
+                    const retriedCheck = checkPresetLimits(retriedText, preset);
+
+                    if (retriedCheck.violations.length < check.violations.length) {
+                        text = retriedText;
+                        check = retriedCheck;
+                    }
+                }
+            }
+
+            // Still too long: cut at a word boundary rather than drop the variant
+            if (check.violations.length > 0) {
+                const trimmed = trimToPresetLimits(text, preset);
+                if (trimmed !== text) {
+                    text = trimmed;
+                    check = checkPresetLimits(text, preset);
+                    adjusted = true;
+                }
+            }
+
+            variants.push(this.buildVariant(text, check, { ...this.usedProvider, adjusted }));
         }
+
+        if (variants.length === 0) {
+            variants.push(this.presetFallback(sourceText, name));
+        }
+
+        return variants;
     }
 
-    buildEnhancementPrompt(rawDescription, brandName, url) {
+    buildVariant(text, check, extra = {}) {
+        return {
+            text,
+            chars: check.chars,
+            words: check.words,
+            valid: check.violations.length === 0,
+            violations: check.violations,
+            provider: extra.provider || 'fallback',
+            model: extra.model || null,
+            adjusted: extra.adjusted === true
+        };
+    }
+
+    // Without AI only one variant is made: the cleaned-up source, cut to the
+    // preset's limits. Taglines use the first sentence.
+    presetFallback(sourceText, name) {
+        const preset = ENHANCEMENT_PRESETS[name];
+        let text = this.fallbackEnhancement(sourceText);
+
+        if (name === 'tagline') {
+            text = text.split(/(?<=[.!?])\s+/)[0].replace(/[.]$/, '');
+        }
+
+        const trimmed = trimToPresetLimits(text, preset);
+        return this.buildVariant(trimmed, checkPresetLimits(trimmed, preset), { adjusted: trimmed !== text });
+    }
+
+    buildPresetPrompt(sourceText, brandName, url, preset, { language, previous = [], feedback } = {}) {
+        let prompt = `You are an expert copywriter. Using only the information below, write: ${preset.label}.
+`;
+
+        if (brandName) {
+            prompt += `Brand/Company: ${brandName}\n`;
+        }
+
+        if (url) {
+            prompt += `Website: ${url}\n`;
+        }
+
+        const instructions = [
+            preset.instructions,
+            `Tone: ${preset.tone}`,
+            `Length: ${describePresetLimits(preset)}`,
+            this.buildLanguageInstruction(language),
+            'Do not add information that is not in the source text',
+            'Return only the text without quotes, labels or additional commentary'
+        ];
+
+        if (previous.length > 0) {
+            instructions.push(`Make it clearly different from these earlier versions:\n${previous.map(text => `   - ${text}`).join('\n')}`);
+        }
+
+        if (feedback) {
+            instructions.push(`A previous attempt had ${feedback.chars} characters and ${feedback.words} words, which is ${feedback.violations.join(' and ')}. Stay within the length rules`);
+        }
+
+        prompt += `
+Source Text:
+"${sourceText}"
+
+Instructions:
+${instructions.map((instruction, index) => `${index + 1}. ${instruction}`).join('\n')}
+
+${preset.label}:`;
+
+        return prompt;
+    }
+
+    // Like sanitizeEnhancedDescription, but keeps paragraph breaks for presets
+    // that allow them and leaves length to the preset limits
+    sanitizeVariant(text, preset) {
+        const cleaned = text
+            .replace(/^["']|["']$/g, '')
+            .replace(new RegExp(`^${preset.label}:\\s*`, 'i'), '')
+            .replace(/<[^>]*>/g, '');
+
+        if (preset.paragraphs) {
+            return cleaned.split(/\n\s*\n/)
+                .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+                .filter(Boolean)
+                .join('\n\n');
+        }
+
+        return cleaned.replace(/\s+/g, ' ').trim();
+    }
+
+    // Tag a site with industry, keywords, audience and business model. The
+    // model answers in JSON that must match CLASSIFICATION_SCHEMA; a second
+    // attempt gets the validation errors, then the keyword fallback is used.
+    // options.technologies feeds the fallback's shop platform hint.
+    async classify(text, brandName = '', url = '', options = {}) {
+        if (this.enabled && text && text.trim().length >= 10) {
+            let errors = [];
+
+            for (let attempt = 1; attempt <= 2; attempt++) {
+                const answer = await this.generate(this.buildClassificationPrompt(text, brandName, url, errors), options);
+                if (!answer) break;
+
+                const parsed = parseClassification(answer);
+                errors = parsed ? validateSchema(parsed, CLASSIFICATION_SCHEMA) : ['the answer is not a JSON object'];
+
+                if (errors.length === 0) {
+                    return {
+                        ...parsed,
+                        keywords: normalizeKeywords(parsed.keywords),
+                        source: 'ai',
+                        ...this.usedProvider
+                    };
+                }
+
+                logger.warn(`Classification attempt ${attempt} for ${brandName || url} did not validate: ${errors.join('; ')}`);
+            }
+        }
+
+        return {
+            ...fallbackClassification(`${brandName} ${text || ''}`, options.technologies),
+            source: 'fallback',
+            provider: null,
+            model: null
+        };
+    }
+
+    buildClassificationPrompt(text, brandName, url, previousErrors = []) {
+        let prompt = `You are a business analyst. Classify the website below.
+`;
+
+        if (brandName) {
+            prompt += `Brand/Company: ${brandName}\n`;
+        }
+
+        if (url) {
+            prompt += `Website: ${url}\n`;
+        }
+
+        prompt += `
+Website Text:
+"${text.substring(0, CLASSIFICATION_TEXT_LIMIT)}"
+
+Answer with a single JSON object that matches this JSON Schema:
+${JSON.stringify(CLASSIFICATION_SCHEMA)}
+
+Instructions:
+1. industry is the one category from the list that fits best; use "other" only if none does
+2. keywords are short lowercase English terms for what the business offers, most important first
+3. audience describes who the business serves in one short phrase
+4. businessModel is "B2B" if it sells to businesses, "B2C" if it sells to consumers, "marketplace" if it connects buyers and sellers
+5. Return only the JSON object without code fences or additional text
+`;
+
+        if (previousErrors.length > 0) {
+            prompt += `6. Your previous answer was invalid: ${previousErrors.join('; ')}
+`;
+        }
+
+        return prompt + '\nJSON:';
+    }
+
+    buildLocalizationPrompt(description, brandName, language) {
+        let prompt = `You are an expert translator and content editor. Write the following business description in ${languageName(language)}.
+`;
+
+        if (brandName) {
+            prompt += `Brand/Company: ${brandName}\n`;
+        }
+
+        prompt += `
+Description:
+"${description}"
+
+Instructions:
+1. Keep the meaning and all key information intact
+2. Use natural, professional wording for native readers rather than a literal translation
+3. Keep brand and product names unchanged
+4. Keep it concise (maximum 200 words)
+5. Return only the description without quotes or additional text
+
+Description in ${languageName(language)}:`;
+
+        return prompt;
+    }
+
+    // Keep the source language unless the page language is known
+    buildLanguageInstruction(language) {
+        return language
+            ? `Write the description in ${languageName(language)}`
+            : 'Write the description in the same language as the original text';
+    }
+
+    buildSiteSummaryPrompt(combinedText, brandName, url, language) {
+        let prompt = `You are an expert content editor. The text below was collected from several pages of one website (home, about, products, pricing, contact).
+Write a single clear, professional description of the business.
+`;
+
+        if (brandName) {
+            prompt += `Brand/Company: ${brandName}\n`;
+        }
+
+        if (url) {
+            prompt += `Website: ${url}\n`;
+        }
+
+        prompt += `
+Collected Text:
+"${combinedText}"
+
+Instructions:
+1. Explain what the business does, what it offers and who it serves
+2. Keep it concise (maximum 200 words)
+3. Do not add information that is not in the collected text
+4. Ignore navigation, cookie notices and other boilerplate
+5. ${this.buildLanguageInstruction(language)}
+6. Return only the description without quotes or additional text
+
+Description:`;
+
+        return prompt;
+    }
+
+    buildEnhancementPrompt(rawDescription, brandName, url, language) {
         let prompt = `You are an expert content editor specializing in making website descriptions clear, engaging, and professional. Focus on clarity, proper grammar, and readability while maintaining the original meaning.
                       Please enhance the following website description to improve its readability and professionalism:
                       Original Description: "${rawDescription}"`;
@@ -72,7 +498,8 @@ Instructions:
 5. Remove any technical jargon or HTML artifacts
 6. Make it suitable for a business directory or search results
 7. Do not add information that wasn't in the original description
-8. Return only the enhanced description without quotes or additional text
+8. ${this.buildLanguageInstruction(language)}
+9. Return only the enhanced description without quotes or additional text
 
 Enhanced Description:`;
 
@@ -130,10 +557,20 @@ Enhanced Description:`;
     isAvailable() {
         return this.enabled;
     }
+    // provider and model are the defaults; usedProvider is the provider that
+    // answered the last call on this instance, or null if the fallback was used
     getStats() {
+        const primary = this.providers[0];
+
         return {
             enabled: this.enabled,
-            model: 'gemini-1.5-flash',
+            provider: primary ? primary.name : null,
+            model: primary ? primary.defaultModel : null,
+            providers: this.providers.map(provider => ({
+                name: provider.name,
+                model: provider.defaultModel
+            })),
+            usedProvider: this.usedProvider,
             fallbackMode: !this.enabled
         };
     }
@@ -0,0 +1,253 @@
+const { websiteRepository } = require('../repositories');
+const { DEFAULT_PAGE_SIZE, sortSpec } = require('../repositories/recordQuery');
+const WebsiteScrapingService = require('./scrapingService');
+const SiteService = require('./siteService');
+const { encodeCursor } = require('../utils/pagination');
+const { eventBus } = require('./eventBus');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// Options of POST /analyze that each batch item may override
+const BATCH_ITEM_OPTIONS = [
+    'enhanceDescription', 'mode', 'captureScreenshot', 'screenshotFormat', 'screenshotQuality',
+    'seoAudit', 'crawl', 'crawlMaxPages', 'crawlMaxDepth'
+];
+const STORAGE_FAILURE = { error: 'Failed to store analysis result', errorCategory: 'UNKNOWN_ERROR' };
+const DEFAULT_BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+// 0 disables reuse of recent analyses
+const ANALYSIS_CACHE_TTL_MS = process.env.ANALYSIS_CACHE_TTL_MS !== undefined
+    ? parseInt(process.env.ANALYSIS_CACHE_TTL_MS, 10) || 0
+    : 24 * 60 * 60 * 1000;
+
+class AnalysisService {
+
+    // Map a successful scraping result to a website_analysis row
+    static buildRecord(scrapingResult, site, options = {}) {
+        return {
+            url: scrapingResult.url,
+            site_id: site ? site.id : null,
+            tenant_id: options.tenantId || null,
+            brand_name: scrapingResult.brandName,
+            description: scrapingResult.description,
+            raw_description: scrapingResult.rawDescription,
+            structured_data: scrapingResult.structuredData,
+            brand_assets: scrapingResult.brandAssets,
+            screenshots: scrapingResult.screenshots,
+            technologies: scrapingResult.technologies,
+            seo_audit: scrapingResult.seoAudit,
+            site_profile: scrapingResult.siteProfile,
+            content_hashes: scrapingResult.contentHashes,
+            language: scrapingResult.language,
+            localized_descriptions: scrapingResult.localizedDescriptions,
+            description_variants: scrapingResult.descriptionVariants,
+            industry: scrapingResult.classification ? scrapingResult.classification.industry : null,
+            business_model: scrapingResult.classification ? scrapingResult.classification.businessModel : null,
+            keywords: scrapingResult.classification ? scrapingResult.classification.keywords : null,
+            classification: scrapingResult.classification,
+            enhanced: scrapingResult.enhanced,
+            tags: options.tags && options.tags.length > 0 ? options.tags : null
+        };
+    }
+
+    // Scrape a single URL and store the result in website_analysis as a new
+    // snapshot of its site. Queued callers pass options.willRetry so that a
+    // failure that is retried is only reported by the final attempt.
+    static async analyzeAndStore(url, options = {}) {
+        const reportFailure = (error, errorCategory) => {
+            if (options.willRetry && options.willRetry(errorCategory)) return;
+            eventBus.emit('analysis.failed', {
+                tenantId: options.tenantId || null,
+                url,
+                error,
+                errorCategory
+            });
+        };
+
+        const scrapingResult = await WebsiteScrapingService.scrapeWebsite(url, options);
+
+        if (!scrapingResult.success) {
+            reportFailure(scrapingResult.error, scrapingResult.errorCategory);
+            return { success: false, scrapingResult };
+        }
+
+        let site;
+        try {
+            site = await SiteService.resolveSite(url);
+        } catch (siteError) {
+            logger.error(`Database error resolving site for ${url}: ${siteError.message}`);
+            reportFailure(STORAGE_FAILURE.error, STORAGE_FAILURE.errorCategory);
+            return { success: false, scrapingResult, storageError: siteError };
+        }
+
+        let record;
+        try {
+            record = await websiteRepository.insertRecord(AnalysisService.buildRecord(scrapingResult, site, options));
+        } catch (error) {
+            logger.error(`Database error during analysis of ${url}: ${error.message}`);
+            reportFailure(STORAGE_FAILURE.error, STORAGE_FAILURE.errorCategory);
+            return { success: false, scrapingResult, storageError: error };
+        }
+
+        eventBus.emit('analysis.completed', { tenantId: record.tenant_id, record, strategy: scrapingResult.strategy });
+
+        return { success: true, scrapingResult, record };
+    }
+
+    // The newest record of the same page (see normalizeUrl) that is younger
+    // than ANALYSIS_CACHE_TTL_MS and already has everything the options ask for.
+    // Only the caller's own tenant is searched; without a tenant, only records
+    // that have none either.
+    static async findFreshRecord(url, options = {}) {
+        if (ANALYSIS_CACHE_TTL_MS <= 0) return null;
+
+        const site = await SiteService.findSiteByUrl(url);
+        if (!site) return null;
+
+        const record = await websiteRepository.findLatestRecord(
+            site.id,
+            options.tenantId || null,
+            new Date(Date.now() - ANALYSIS_CACHE_TTL_MS).toISOString()
+        );
+        return record && AnalysisService.recordCovers(record, options) ? record : null;
+    }
+
+    // Whether a stored record holds the optional parts a request asks for and
+    // was made the way it asks. Records don't say which scrape mode or AI
+    // provider made them, so pinning either always analyzes again.
+    static recordCovers(record, options) {
+        const has = (value) => value !== null && value !== undefined;
+        const covers = (stored, wanted) => (wanted || []).every(key => has(stored) && has(stored[key]));
+
+        if (options.mode || options.aiProvider || options.aiModel) return false;
+        if ((options.enhanceDescription !== false) !== (record.enhanced === true)) return false;
+        if (options.brandName && record.brand_name !== options.brandName) return false;
+        if (options.seoAudit && !has(record.seo_audit)) return false;
+        if (options.crawl && !has(record.site_profile)) return false;
+        if (options.captureScreenshot && options.captureScreenshot !== 'false' && !(record.screenshots || []).length) return false;
+        if (options.classify !== false && !has(record.classification)) return false;
+        if (!covers(record.localized_descriptions, options.targetLanguages)) return false;
+        if (!covers(record.description_variants, (options.enhancements || []).map(item => item.preset))) return false;
+
+        return true;
+    }
+
+    // One page of the stored records. Pages either by offset or by a decoded
+    // cursor; total counts all rows matching the filters.
+    static async list(params = {}, tenantId) {
+        const { sort, column, ascending } = sortSpec(params);
+        const limit = params.limit || DEFAULT_PAGE_SIZE;
+        const { records, total, hasNext, hasPrev } = await websiteRepository.listRecords({ ...params, limit }, tenantId);
+
+        const cursorFor = (record, direction) => record && encodeCursor({
+            sort,
+            order: ascending ? 'asc' : 'desc',
+            value: record[column] === undefined ? null : record[column],
+            id: record.id,
+            direction
+        });
+
+        return {
+            records,
+            total,
+            limit,
+            nextCursor: hasNext ? cursorFor(records[records.length - 1], 'next') : null,
+            prevCursor: hasPrev ? cursorFor(records[0], 'prev') : null
+        };
+    }
+
+    // All records matching the listing filters in listing order, fetched
+    // pageSize rows at a time so large exports never sit in memory at once
+    static iterate(params = {}, tenantId, options = {}) {
+        return websiteRepository.iterateRecords(params, tenantId, options);
+    }
+
+    static async getRecord(id, tenantId) {
+        return websiteRepository.getRecord(id, tenantId);
+    }
+
+    static async updateRecord(id, fields, tenantId) {
+        return websiteRepository.updateRecord(id, fields, tenantId);
+    }
+
+    static async deleteRecord(id, tenantId) {
+        return websiteRepository.deleteRecord(id, tenantId);
+    }
+
+    // The newest earlier SEO audit of the same URL, to compare against
+    static async findPreviousSeoAudit(record, tenantId) {
+        return websiteRepository.findPreviousSeoAudit(record.url, record.created_at, tenantId);
+    }
+
+    // Analyze many URLs with bounded concurrency and build a per-URL report
+    static async analyzeBatch(items, options = {}) {
+        const concurrency = options.concurrency || DEFAULT_BATCH_CONCURRENCY;
+
+        logger.info(`Starting batch analysis of ${items.length} URLs (concurrency: ${concurrency})`);
+
+        const results = await mapWithConcurrency(items, concurrency, async (item) => {
+            const itemOptions = {
+                ...Object.fromEntries(BATCH_ITEM_OPTIONS.map(name => [
+                    name,
+                    item[name] !== undefined ? item[name] : options[name]
+                ])),
+                aiProvider: options.aiProvider,
+                aiModel: options.aiModel,
+                targetLanguages: options.targetLanguages,
+                enhancements: options.enhancements,
+                classify: options.classify,
+                ignoreRobots: options.ignoreRobots,
+                tenantId: options.tenantId
+            };
+
+            try {
+                const outcome = await AnalysisService.analyzeAndStore(item.url, itemOptions);
+                return AnalysisService.buildReportEntry(item.url, outcome);
+            } catch (error) {
+                logger.error(`Batch analysis failed for ${item.url}: ${error.message}`);
+                return {
+                    url: item.url,
+                    success: false,
+                    error: error.message,
+                    errorCategory: 'UNKNOWN_ERROR'
+                };
+            }
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+        logger.info(`Batch analysis finished: ${succeeded}/${items.length} succeeded`);
+
+        return {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            results
+        };
+    }
+
+    static buildReportEntry(url, outcome) {
+        if (outcome.success) {
+            return {
+                url,
+                success: true,
+                data: {
+                    ...outcome.record,
+                    enhanced: outcome.scrapingResult.enhanced,
+                    strategy: outcome.scrapingResult.strategy
+                }
+            };
+        }
+
+        if (outcome.storageError) {
+            return { url, success: false, ...STORAGE_FAILURE };
+        }
+
+        return {
+            url,
+            success: false,
+            error: outcome.scrapingResult.error,
+            errorCategory: outcome.scrapingResult.errorCategory
+        };
+    }
+}
+
+module.exports = AnalysisService;
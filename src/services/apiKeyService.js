@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { apiKeyRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'wa_';
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS, 10) || 60000;
+const MAX_CACHE_ENTRIES = 1000;
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 60;
+
+const cache = new Map();
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Never expose the hash; the prefix is enough to recognise a key
+const toPublic = (record) => {
+    if (!record) return record;
+    const { key_hash, ...rest } = record;
+    return rest;
+};
+
+// The shape attached to req.apiKey for authenticated requests
+const toPrincipal = (record) => ({
+    id: record.id,
+    name: record.name,
+    tenantId: record.tenant_id,
+    scopes: record.scopes || [],
+    rateLimitPerMinute: record.rate_limit_per_minute || DEFAULT_RATE_LIMIT,
+    dailyAnalysisQuota: record.daily_analysis_quota
+});
+
+// API keys are stored as SHA-256 hashes; the plain key is only returned once
+// when it is created
+class ApiKeyService {
+
+    static buildRecord(fields) {
+        const record = {};
+
+        if (fields.name !== undefined) record.name = fields.name;
+        if (fields.tenantId !== undefined) record.tenant_id = fields.tenantId;
+        if (fields.scopes !== undefined) record.scopes = fields.scopes;
+        if (fields.rateLimitPerMinute !== undefined) record.rate_limit_per_minute = fields.rateLimitPerMinute;
+        if (fields.dailyAnalysisQuota !== undefined) record.daily_analysis_quota = fields.dailyAnalysisQuota;
+        if (fields.active !== undefined) record.active = fields.active;
+
+        return record;
+    }
+
+    static async create(fields) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+        const record = await apiKeyRepository.insertKey({
+            scopes: ['read'],
+            active: true,
+            ...ApiKeyService.buildRecord(fields),
+            key_prefix: key.substring(0, KEY_PREFIX.length + 8),
+            key_hash: hashKey(key)
+        });
+
+        return { key, record: toPublic(record) };
+    }
+
+    static async list(tenantId) {
+        const keys = await apiKeyRepository.listKeys(tenantId);
+        return keys.map(toPublic);
+    }
+
+    static async get(id, tenantId) {
+        return toPublic(await apiKeyRepository.getKey(id, tenantId));
+    }
+
+    static async update(id, fields, tenantId) {
+        const record = await apiKeyRepository.updateKey(id, {
+            ...ApiKeyService.buildRecord(fields),
+            updated_at: new Date().toISOString()
+        }, tenantId);
+
+        ApiKeyService.clearCache();
+        return toPublic(record);
+    }
+
+    // Revoked keys stay in the table so usage history is kept
+    static async revoke(id, tenantId) {
+        const now = new Date().toISOString();
+        const record = await apiKeyRepository.updateKey(id, { active: false, revoked_at: now, updated_at: now }, tenantId);
+
+        ApiKeyService.clearCache();
+        return toPublic(record);
+    }
+
+    // Resolve a presented key to its principal, or null when unknown or
+    // revoked. Valid keys are cached briefly so every request doesn't hit the
+    // database; changes made through this service clear the cache. Unknown
+    // keys are not cached, so a flood of them can't push out valid ones
+    // (authFailureRateLimit throttles them instead).
+    static async authenticate(key) {
+        if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+        const keyHash = hashKey(key);
+        const cached = cache.get(keyHash);
+        if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+            return cached.principal;
+        }
+
+        const record = await apiKeyRepository.findActiveKeyByHash(keyHash);
+        if (!record) {
+            cache.delete(keyHash);
+            return null;
+        }
+
+        const principal = toPrincipal(record);
+        cache.delete(keyHash);
+        cache.set(keyHash, { principal, cachedAt: Date.now() });
+        if (cache.size > MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        ApiKeyService.touch(principal.id);
+        return principal;
+    }
+
+    static touch(id) {
+        apiKeyRepository.touchKey(id, new Date().toISOString())
+            .catch(error => logger.warn(`Failed to update last_used_at for API key ${id}: ${error.message}`));
+    }
+
+    static hasScope(principal, scope) {
+        return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+    }
+
+    // Atomically count analyses against today's quota. Returns the new total,
+    // or null when the quota would be exceeded.
+    static async consumeAnalysisQuota(principal, amount = 1) {
+        return apiKeyRepository.consumeQuota(principal.id, amount, principal.dailyAnalysisQuota || null);
+    }
+
+    static async getUsage(id, days = 30) {
+        const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        return apiKeyRepository.getUsage(id, since);
+    }
+
+    static clearCache() {
+        cache.clear();
+    }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,290 @@
+const puppeteer = require('puppeteer');
+const logger = require('../utils/logger');
+const chromium = process.env.NODE_ENV === 'production'
+    ? require('@sparticuz/chromium')
+    : null;
+
+// Keeps a small number of headless browsers alive and hands out pages in
+// isolated browser contexts. Browsers are recycled after a number of pages,
+// when they crash, or after sitting idle, to keep memory bounded.
+class BrowserPool {
+    constructor(options = {}) {
+        this.size = options.size || 1;
+        this.maxPagesPerBrowser = options.maxPagesPerBrowser || 50;
+        this.maxConcurrentPages = options.maxConcurrentPages || 2;
+        this.acquireTimeoutMs = options.acquireTimeoutMs || 30000;
+        this.idleTimeoutMs = options.idleTimeoutMs || 60000;
+
+        this.entries = [];
+        this.launching = null;
+        this.activePages = 0;
+        this.waiters = [];
+        this.counters = {
+            launched: 0,
+            recycled: 0,
+            crashed: 0,
+            pagesServed: 0
+        };
+    }
+
+    async getLaunchOptions() {
+        // Configure browser launch options for production vs development
+        const launchOptions = {
+            headless: true,
+            timeout: 20000, // Reduced timeout
+            args: process.env.NODE_ENV === 'production'
+                ? [
+                    ...chromium.args,
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--single-process',
+                    '--no-zygote',
+                    '--disable-gpu',
+                    '--memory-pressure-off',
+                    '--max_old_space_size=100',
+                    '--disable-background-timer-throttling',
+                    '--disable-backgrounding-occluded-windows',
+                    '--disable-renderer-backgrounding'
+                ]
+                : [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--disable-gpu',
+                    '--memory-pressure-off'
+                ]
+        };
+
+        // Set executable path for production (Render)
+        if (process.env.NODE_ENV === 'production') {
+            launchOptions.executablePath = await chromium.executablePath();
+        }
+
+        return launchOptions;
+    }
+
+    // Returns { page, release }. The caller must always call release().
+    async acquirePage() {
+        await this.acquireSlot();
+
+        let entry;
+        let context;
+        try {
+            entry = await this.getBrowserEntry();
+            this.clearIdleTimer(entry);
+            entry.activePages++;
+            entry.pagesServed++;
+            this.counters.pagesServed++;
+
+            if (entry.pagesServed >= this.maxPagesPerBrowser) {
+                entry.retiring = true;
+            }
+
+            context = await entry.browser.createBrowserContext();
+            const page = await context.newPage();
+
+            // A crashed renderer usually means the browser is in a bad state
+            page.on('error', (error) => {
+                logger.warn(`Page crashed, recycling browser: ${error.message}`);
+                entry.retiring = true;
+            });
+
+            return {
+                page,
+                release: this.createRelease(entry, context)
+            };
+        } catch (error) {
+            if (context) {
+                await context.close().catch(() => {});
+            }
+            if (entry) {
+                entry.activePages--;
+                this.afterRelease(entry);
+            }
+            this.releaseSlot();
+            throw error;
+        }
+    }
+
+    createRelease(entry, context) {
+        let released = false;
+
+        return async () => {
+            if (released) return;
+            released = true;
+
+            try {
+                await context.close();
+            } catch (closeError) {
+                logger.warn(`Failed to close browser context: ${closeError.message}`);
+            }
+
+            entry.activePages--;
+            this.releaseSlot();
+            await this.afterRelease(entry);
+        };
+    }
+
+    async afterRelease(entry) {
+        if (entry.activePages > 0) return;
+
+        if (entry.retiring || !entry.browser.connected) {
+            await this.retire(entry);
+        } else {
+            this.scheduleIdleClose(entry);
+        }
+    }
+
+    acquireSlot() {
+        if (this.activePages < this.maxConcurrentPages) {
+            this.activePages++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error('Browser pool acquire timeout: no page available'));
+            }, this.acquireTimeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    releaseSlot() {
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            // Hand the slot straight to the next waiter
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+        } else {
+            this.activePages--;
+        }
+    }
+
+    async getBrowserEntry() {
+        const available = this.entries.filter(entry => !entry.retiring && entry.browser.connected);
+
+        if (available.length < this.size) {
+            if (!this.launching) {
+                this.launching = this.launchBrowser().finally(() => {
+                    this.launching = null;
+                });
+            }
+            return await this.launching;
+        }
+
+        return available.reduce((least, entry) => entry.activePages < least.activePages ? entry : least);
+    }
+
+    async launchBrowser() {
+        const browser = await puppeteer.launch(await this.getLaunchOptions());
+        const entry = {
+            browser,
+            pagesServed: 0,
+            activePages: 0,
+            retiring: false,
+            idleTimer: null,
+            launchedAt: Date.now()
+        };
+
+        browser.on('disconnected', () => {
+            if (this.entries.includes(entry)) {
+                logger.warn('Pooled browser disconnected unexpectedly, removing from pool');
+                this.counters.crashed++;
+                this.removeEntry(entry);
+            }
+        });
+
+        this.entries.push(entry);
+        this.counters.launched++;
+        logger.info(`Launched pooled browser (${this.entries.length}/${this.size})`);
+
+        return entry;
+    }
+
+    scheduleIdleClose(entry) {
+        this.clearIdleTimer(entry);
+        entry.idleTimer = setTimeout(() => {
+            if (entry.activePages === 0) {
+                logger.info('Closing idle pooled browser');
+                this.retire(entry, false);
+            }
+        }, this.idleTimeoutMs);
+        entry.idleTimer.unref();
+    }
+
+    clearIdleTimer(entry) {
+        if (entry.idleTimer) {
+            clearTimeout(entry.idleTimer);
+            entry.idleTimer = null;
+        }
+    }
+
+    removeEntry(entry) {
+        this.clearIdleTimer(entry);
+        this.entries = this.entries.filter(e => e !== entry);
+    }
+
+    async retire(entry, recycled = true) {
+        if (!this.entries.includes(entry)) return;
+
+        this.removeEntry(entry);
+        if (recycled) {
+            this.counters.recycled++;
+            logger.info(`Recycling pooled browser after ${entry.pagesServed} pages`);
+        }
+
+        try {
+            await entry.browser.close();
+
+            // Force garbage collection if available
+            if (global.gc) {
+                global.gc();
+            }
+        } catch (closeError) {
+            logger.error(`Failed to close browser: ${closeError.message}`);
+        }
+    }
+
+    async close() {
+        const entries = [...this.entries];
+        await Promise.all(entries.map(entry => this.retire(entry, false)));
+    }
+
+    getStats() {
+        return {
+            size: this.size,
+            maxPagesPerBrowser: this.maxPagesPerBrowser,
+            maxConcurrentPages: this.maxConcurrentPages,
+            activePages: this.activePages,
+            waiting: this.waiters.length,
+            browsers: this.entries.map(entry => ({
+                pagesServed: entry.pagesServed,
+                activePages: entry.activePages,
+                retiring: entry.retiring,
+                uptimeSeconds: Math.round((Date.now() - entry.launchedAt) / 1000)
+            })),
+            ...this.counters
+        };
+    }
+}
+
+const browserPool = new BrowserPool({
+    size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+    maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 50,
+    maxConcurrentPages: parseInt(process.env.BROWSER_MAX_CONCURRENT_PAGES, 10) || 2,
+    acquireTimeoutMs: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS, 10) || 30000,
+    idleTimeoutMs: parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 60000
+});
+
+module.exports = {
+    BrowserPool,
+    browserPool
+};
@@ -0,0 +1,9 @@
+const EventEmitter = require('events');
+
+// Process-wide bus for analysis lifecycle events. Services and routes emit;
+// integrations such as webhooks subscribe without the emitters knowing.
+const eventBus = new EventEmitter();
+
+module.exports = {
+    eventBus
+};
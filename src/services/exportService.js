@@ -0,0 +1,67 @@
+const { Readable } = require('stream');
+const AnalysisService = require('./analysisService');
+const { csvRow } = require('../utils/csv');
+
+const EXPORT_PAGE_SIZE = parseInt(process.env.EXPORT_PAGE_SIZE, 10) || 500;
+
+// Flat columns that fit a spreadsheet; JSON formats export every column
+const DEFAULT_CSV_COLUMNS = [
+    'id', 'url', 'brand_name', 'description', 'language', 'industry',
+    'business_model', 'keywords', 'enhanced', 'created_at', 'updated_at'
+];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const pick = (record, columns) => (columns ? Object.fromEntries(columns.map(column => [column, record[column] === undefined ? null : record[column]])) : record);
+
+class ExportService {
+
+    static formatInfo(format) {
+        return EXPORT_FORMATS[format];
+    }
+
+    static fileName(format, date = new Date()) {
+        return `website-analysis-${date.toISOString().substring(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    }
+
+    // Readable stream of the records matching the listing filters, rendered
+    // in the given format. Records are fetched page by page as the stream is
+    // read, so a slow client also slows down the database reads.
+    static createStream(format, params = {}, tenantId, requestedColumns) {
+        const columns = requestedColumns || (format === 'csv' ? DEFAULT_CSV_COLUMNS : null);
+        const records = AnalysisService.iterate(params, tenantId, { columns, pageSize: EXPORT_PAGE_SIZE });
+
+        return Readable.from(ExportService.render(format, records, columns));
+    }
+
+    static async *render(format, records, columns) {
+        if (format === 'csv') {
+            yield csvRow(columns);
+            for await (const record of records) {
+                yield csvRow(columns.map(column => record[column]));
+            }
+            return;
+        }
+
+        if (format === 'ndjson') {
+            for await (const record of records) {
+                yield `${JSON.stringify(pick(record, columns))}\n`;
+            }
+            return;
+        }
+
+        let first = true;
+        yield '[';
+        for await (const record of records) {
+            yield `${first ? '' : ','}\n${JSON.stringify(pick(record, columns))}`;
+            first = false;
+        }
+        yield first ? ']' : '\n]\n';
+    }
+}
+
+module.exports = ExportService;
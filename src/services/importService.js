@@ -0,0 +1,203 @@
+const { importRepository } = require('../repositories');
+const AnalysisService = require('./analysisService');
+const { JobQueue } = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const PENDING_STATUSES = ['queued', 'running', 'retrying'];
+
+// CSV imports: every row of the file is stored with its outcome, and the
+// valid rows are analyzed one by one on the import queue
+class ImportService {
+
+    static async create(rows, { tenantId, apiKeyId, fileName, options = {} }) {
+        const validRows = rows.filter(row => row.status === 'queued').length;
+
+        const importRecord = await importRepository.insertImport({
+            tenant_id: tenantId || null,
+            api_key_id: apiKeyId || null,
+            file_name: fileName || null,
+            status: validRows > 0 ? 'processing' : 'completed',
+            total_rows: rows.length,
+            valid_rows: validRows,
+            completed_at: validRows > 0 ? null : new Date().toISOString()
+        });
+
+        const storedRows = await importRepository.insertRows(rows.map(row => ({
+            import_id: importRecord.id,
+            row_number: row.rowNumber,
+            url: row.url,
+            brand_name: row.brandName,
+            tags: row.tags.length > 0 ? row.tags : null,
+            status: row.status,
+            errors: row.errors
+        })));
+
+        const rejected = await ImportService.enqueueRows(
+            importRecord,
+            storedRows.filter(stored => stored.status === 'queued'),
+            options
+        );
+
+        logger.info(`Import ${importRecord.id} created: ${validRows - rejected}/${rows.length} rows queued`);
+        return ImportService.get(importRecord.id, tenantId);
+    }
+
+    // Put rows of an import on the import queue. Rows the full queue turns
+    // away are failed; returns how many.
+    static async enqueueRows(importRecord, rows, options = {}) {
+        let rejected = 0;
+
+        for (const row of rows) {
+            const job = importQueue.enqueue({
+                importId: importRecord.id,
+                rowId: row.id,
+                url: row.url,
+                options: {
+                    ...options,
+                    tenantId: importRecord.tenant_id || null,
+                    brandName: row.brand_name,
+                    tags: row.tags
+                }
+            });
+
+            if (!job) {
+                rejected++;
+                await ImportService.updateRow(row.id, {
+                    status: 'failed',
+                    errors: ['Import queue is full'],
+                    error_category: 'QUEUE_FULL'
+                });
+            }
+        }
+
+        if (rejected > 0) {
+            logger.warn(`Import ${importRecord.id}: ${rejected} rows rejected because the import queue is full`);
+            await ImportService.finishIfDone(importRecord.id);
+        }
+
+        return rejected;
+    }
+
+    // The import queue lives in the API process, so rows that were waiting or
+    // running when it stopped are queued again on startup. Their analyses
+    // were already counted against the quota when the file was uploaded.
+    static async recoverUnfinished() {
+        const imports = await importRepository.listImportsWithStatus('processing');
+
+        for (const importRecord of imports) {
+            const rows = (await importRepository.listRows(importRecord.id))
+                .filter(row => PENDING_STATUSES.includes(row.status));
+
+            if (rows.length === 0) {
+                await ImportService.finishIfDone(importRecord.id);
+                continue;
+            }
+
+            for (const row of rows) {
+                await ImportService.updateRow(row.id, { status: 'queued' });
+            }
+            const rejected = await ImportService.enqueueRows(importRecord, rows);
+            logger.info(`Import ${importRecord.id}: ${rows.length - rejected} unfinished rows queued again after restart`);
+        }
+    }
+
+    // The import with its progress, or null when it doesn't exist or belongs
+    // to another tenant
+    static async get(id, tenantId) {
+        const data = await importRepository.getImport(id, tenantId);
+        if (!data) return null;
+
+        const statuses = await importRepository.listRowStatuses(id);
+        const counts = { queued: 0, running: 0, retrying: 0, succeeded: 0, failed: 0, invalid: 0, duplicate: 0 };
+        statuses.forEach(status => { counts[status]++; });
+        const pending = PENDING_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+        const processed = data.valid_rows - pending;
+
+        return {
+            ...data,
+            progress: {
+                ...counts,
+                processed,
+                percent: data.valid_rows > 0 ? Math.round((processed / data.valid_rows) * 100) : 100
+            }
+        };
+    }
+
+    // Every row of an import in file order, for the outcome report
+    static async listRows(importId) {
+        return importRepository.listRows(importId);
+    }
+
+    // JobQueue handler: analyze the URL of one row and record the outcome
+    static async runRow({ importId, rowId, url, options }, job) {
+        await ImportService.updateRow(rowId, { status: 'running', attempts: job.attempts });
+
+        let entry;
+        try {
+            const outcome = await AnalysisService.analyzeAndStore(url, {
+                ...options,
+                willRetry: errorCategory => importQueue.willRetry(job, errorCategory)
+            });
+            entry = AnalysisService.buildReportEntry(url, outcome);
+        } catch (error) {
+            logger.error(`Import ${importId} row ${rowId} failed for ${url}: ${error.message}`);
+            entry = { url, success: false, error: error.message, errorCategory: 'UNKNOWN_ERROR' };
+        }
+
+        const willRetry = !entry.success && importQueue.willRetry(job, entry.errorCategory);
+
+        await ImportService.updateRow(rowId, {
+            status: entry.success ? 'succeeded' : willRetry ? 'retrying' : 'failed',
+            analysis_id: entry.success ? entry.data.id : null,
+            errors: entry.success ? null : [entry.error],
+            error_category: entry.success ? null : entry.errorCategory
+        });
+
+        if (!willRetry) {
+            await ImportService.finishIfDone(importId);
+        }
+
+        if (entry.success) {
+            return { success: true, result: { analysisId: entry.data.id } };
+        }
+        return { success: false, error: entry.error, errorCategory: entry.errorCategory };
+    }
+
+    static async updateRow(rowId, fields) {
+        try {
+            await importRepository.updateRow(rowId, { ...fields, updated_at: new Date().toISOString() });
+        } catch (error) {
+            logger.error(`Failed to update import row ${rowId}: ${error.message}`);
+        }
+    }
+
+    // Mark the import completed once no row is waiting for analysis
+    static async finishIfDone(importId) {
+        try {
+            if (await importRepository.hasRowsWithStatus(importId, PENDING_STATUSES)) return;
+        } catch (error) {
+            logger.error(`Failed to check progress of import ${importId}: ${error.message}`);
+            return;
+        }
+
+        try {
+            await importRepository.completeImport(importId, new Date().toISOString());
+        } catch (error) {
+            logger.error(`Failed to complete import ${importId}: ${error.message}`);
+            return;
+        }
+        logger.info(`Import ${importId} completed`);
+    }
+}
+
+const importQueue = new JobQueue(ImportService.runRow, {
+    concurrency: parseInt(process.env.IMPORT_CONCURRENCY, 10) || 1,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000,
+    maxQueued: parseInt(process.env.IMPORT_MAX_QUEUED, 10) || 5000
+});
+
+module.exports = {
+    ImportService,
+    importQueue
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const AnalysisService = require('./analysisService');
+const logger = require('../utils/logger');
+
+const RETRYABLE_CATEGORIES = ['TIMEOUT', 'CONNECTION_REFUSED', 'BROWSER_BUSY', 'CRAWL_DELAYED'];
+
+// In-process job queue. Jobs run independently of the HTTP request that
+// created them, so a client disconnect does not lose the result.
+class JobQueue {
+    constructor(handler, options = {}) {
+        this.handler = handler;
+        this.concurrency = options.concurrency || 1;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelayMs = options.retryDelayMs || 5000;
+        this.maxQueued = options.maxQueued || 500;
+        this.jobTtlMs = options.jobTtlMs || 60 * 60 * 1000;
+        this.retryableCategories = options.retryableCategories || RETRYABLE_CATEGORIES;
+
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    enqueue(payload, options = {}) {
+        if (this.pending.length >= this.maxQueued) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            payload,
+            attempts: 0,
+            maxAttempts: options.maxAttempts || this.maxAttempts,
+            result: null,
+            error: null,
+            errorCategory: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        logger.info(`Job ${job.id} queued (${this.pending.length} pending)`);
+
+        setImmediate(() => this.drain());
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+            this.run(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.attempts++;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        job.updatedAt = new Date().toISOString();
+
+        let outcome;
+        try {
+            outcome = await this.handler(job.payload, job);
+        } catch (error) {
+            logger.error(`Job ${job.id} threw: ${error.message}`);
+            outcome = { success: false, error: error.message, errorCategory: 'UNKNOWN_ERROR' };
+        }
+
+        if (outcome.success) {
+            this.finish(job, 'succeeded', outcome);
+            return;
+        }
+
+        job.error = outcome.error;
+        job.errorCategory = outcome.errorCategory;
+
+        if (this.willRetry(job, outcome.errorCategory)) {
+            const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+            logger.warn(`Job ${job.id} failed with ${outcome.errorCategory}, retrying in ${delay}ms (attempt ${job.attempts}/${job.maxAttempts})`);
+
+            job.status = 'queued';
+            job.updatedAt = new Date().toISOString();
+            setTimeout(() => {
+                this.pending.push(job);
+                this.drain();
+            }, delay).unref();
+            return;
+        }
+
+        this.finish(job, 'failed', outcome);
+    }
+
+    // Whether a failed attempt with this category is followed by another one
+    willRetry(job, errorCategory) {
+        return job.attempts < job.maxAttempts && this.retryableCategories.includes(errorCategory);
+    }
+
+    finish(job, status, outcome) {
+        const now = new Date().toISOString();
+        job.status = status;
+        job.result = outcome.result || null;
+        job.error = outcome.error || null;
+        job.errorCategory = outcome.errorCategory || null;
+        job.finishedAt = now;
+        job.updatedAt = now;
+
+        logger.info(`Job ${job.id} ${status} after ${job.attempts} attempt(s)`);
+
+        // Keep finished jobs around long enough to be polled, then forget them
+        setTimeout(() => this.jobs.delete(job.id), this.jobTtlMs).unref();
+    }
+
+    toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            url: job.payload.url,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            result: job.result,
+            error: job.error,
+            errorCategory: job.errorCategory,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    getStats() {
+        const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.status]++;
+        }
+
+        return {
+            concurrency: this.concurrency,
+            pending: this.pending.length,
+            ...counts
+        };
+    }
+}
+
+const runAnalysisJob = async ({ url, options }, job) => {
+    // Same reuse as a synchronous POST /analyze, answered through the job
+    if (!options.force) {
+        try {
+            const record = await AnalysisService.findFreshRecord(url, options);
+            if (record) {
+                logger.info(`Job ${job.id} reuses analysis ${record.id} from ${record.created_at}`);
+                return { success: true, result: { ...record, cached: true } };
+            }
+        } catch (error) {
+            logger.warn(`Fresh record lookup failed for ${url}: ${error.message}`);
+        }
+    }
+
+    const outcome = await AnalysisService.analyzeAndStore(url, {
+        ...options,
+        willRetry: errorCategory => analysisQueue.willRetry(job, errorCategory)
+    });
+    const entry = AnalysisService.buildReportEntry(url, outcome);
+
+    if (entry.success) {
+        return { success: true, result: entry.data };
+    }
+
+    return { success: false, error: entry.error, errorCategory: entry.errorCategory };
+};
+
+const analysisQueue = new JobQueue(runAnalysisJob, {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000,
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED, 10) || 500
+});
+
+module.exports = {
+    JobQueue,
+    RETRYABLE_CATEGORIES,
+    analysisQueue
+};
@@ -0,0 +1,98 @@
+const MonitorService = require('./monitorService');
+const { eventBus } = require('./eventBus');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// In-process scheduler: polls for monitors whose next_run_at has passed,
+// re-analyzes them and emits monitor.changed on the event bus for every
+// change detected
+class MonitorScheduler {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.pollIntervalMs = options.pollIntervalMs || 60000;
+        this.concurrency = options.concurrency || 1;
+        this.batchSize = options.batchSize || 10;
+
+        this.timer = null;
+        this.ticking = false;
+        this.stats = { runs: 0, failures: 0, changes: 0, lastTickAt: null };
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.timer.unref();
+        logger.info(`Monitor scheduler started (poll interval: ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        // Skip this tick if the previous one is still running
+        if (this.ticking) return;
+        this.ticking = true;
+        this.stats.lastTickAt = new Date().toISOString();
+
+        try {
+            const due = await MonitorService.findDue(this.batchSize);
+
+            await mapWithConcurrency(due, this.concurrency, async (monitor) => {
+                try {
+                    if (await MonitorService.claim(monitor)) {
+                        await this.runMonitor(monitor);
+                    }
+                } catch (_) {
+                    // Already logged; one failing monitor must not stop the others
+                }
+            });
+        } catch (error) {
+            logger.error(`Monitor scheduler tick failed: ${error.message}`);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runMonitor(monitor) {
+        this.stats.runs++;
+
+        try {
+            const event = await MonitorService.run(monitor);
+            if (event) {
+                this.stats.changes++;
+                eventBus.emit('monitor.changed', { tenantId: monitor.tenant_id || null, event });
+            }
+            return event;
+        } catch (error) {
+            this.stats.failures++;
+            logger.error(`Monitor ${monitor.id} run failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            running: this.timer !== null,
+            pollIntervalMs: this.pollIntervalMs,
+            ...this.stats
+        };
+    }
+}
+
+const monitorScheduler = new MonitorScheduler({
+    enabled: process.env.MONITOR_SCHEDULER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.MONITOR_POLL_INTERVAL_MS, 10) || 60000,
+    concurrency: parseInt(process.env.MONITOR_CONCURRENCY, 10) || 1,
+    batchSize: parseInt(process.env.MONITOR_BATCH_SIZE, 10) || 10
+});
+
+module.exports = {
+    MonitorScheduler,
+    monitorScheduler
+};
@@ -0,0 +1,175 @@
+const { monitorRepository } = require('../repositories');
+const AnalysisService = require('./analysisService');
+const SiteService = require('./siteService');
+const ApiKeyService = require('./apiKeyService');
+const logger = require('../utils/logger');
+
+const WATCH_FIELDS = ['brand_name', 'raw_description', 'structured_data', 'content_hashes'];
+const DEFAULT_EVENT_LIMIT = 50;
+
+const minutesFromNow = (minutes, from = Date.now()) => new Date(from + minutes * 60 * 1000).toISOString();
+
+// Monitor definitions and the change events raised when a re-analysis
+// differs from the previous snapshot in a watched field
+class MonitorService {
+
+    // Map API fields to monitors columns; only fields that were provided are set
+    static buildRecord(fields) {
+        const record = {};
+
+        if (fields.url !== undefined) record.url = fields.url;
+        if (fields.intervalMinutes !== undefined) record.interval_minutes = fields.intervalMinutes;
+        if (fields.watchFields !== undefined) record.watch_fields = fields.watchFields;
+        if (fields.mode !== undefined) record.mode = fields.mode;
+        if (fields.enhanceDescription !== undefined) record.enhance_description = fields.enhanceDescription;
+        if (fields.active !== undefined) record.active = fields.active;
+
+        return record;
+    }
+
+    // Runs count against the daily analysis quota of the creating API key
+    static async create(fields, apiKey) {
+        return monitorRepository.insertMonitor({
+            watch_fields: WATCH_FIELDS,
+            mode: 'auto',
+            enhance_description: false,
+            active: true,
+            ...MonitorService.buildRecord(fields),
+            tenant_id: apiKey ? apiKey.tenantId : null,
+            api_key_id: apiKey ? apiKey.id : null,
+            // The first run records the baseline snapshot
+            next_run_at: new Date().toISOString()
+        });
+    }
+
+    static async list(tenantId) {
+        return monitorRepository.listMonitors(tenantId);
+    }
+
+    static async get(id, tenantId) {
+        return monitorRepository.getMonitor(id, tenantId);
+    }
+
+    static async update(id, fields, tenantId) {
+        const record = {
+            ...MonitorService.buildRecord(fields),
+            updated_at: new Date().toISOString()
+        };
+
+        // A new interval takes effect from now rather than from the last run
+        if (fields.intervalMinutes !== undefined) {
+            record.next_run_at = minutesFromNow(fields.intervalMinutes);
+        }
+
+        return monitorRepository.updateMonitor(id, record, tenantId);
+    }
+
+    static async remove(id, tenantId) {
+        return monitorRepository.deleteMonitor(id, tenantId);
+    }
+
+    static async listEvents({ monitorId, limit, tenantId } = {}) {
+        return monitorRepository.listChangeEvents({ monitorId, limit: limit || DEFAULT_EVENT_LIMIT, tenantId });
+    }
+
+    static async findDue(limit) {
+        return monitorRepository.findDueMonitors(new Date().toISOString(), limit);
+    }
+
+    // Move next_run_at forward only if nobody else has, so a monitor due on
+    // several instances runs once
+    static async claim(monitor) {
+        return monitorRepository.claimMonitor(monitor.id, monitor.next_run_at, minutesFromNow(monitor.interval_minutes));
+    }
+
+    // Re-analyze the monitored URL and compare the new snapshot with the
+    // previous one. Returns the change event, or null when nothing watched changed.
+    static async run(monitor) {
+        const quotaError = await MonitorService.consumeQuota(monitor);
+        if (quotaError) {
+            await MonitorService.recordRun(monitor, { last_status: 'failed', last_error: quotaError });
+            logger.warn(`Monitor ${monitor.id} skipped: ${quotaError}`);
+            return null;
+        }
+
+        const site = await SiteService.findSiteByUrl(monitor.url);
+        const previous = site ? await SiteService.getLatestSnapshot(site.id, monitor.tenant_id) : null;
+
+        const outcome = await AnalysisService.analyzeAndStore(monitor.url, {
+            enhanceDescription: monitor.enhance_description === true,
+            mode: monitor.mode || undefined,
+            tenantId: monitor.tenant_id
+        });
+
+        if (!outcome.success) {
+            const { error: message, errorCategory } = AnalysisService.buildReportEntry(monitor.url, outcome);
+
+            await MonitorService.recordRun(monitor, { last_status: 'failed', last_error: `${errorCategory}: ${message}` });
+            logger.warn(`Monitor ${monitor.id} run failed for ${monitor.url}: ${message}`);
+            return null;
+        }
+
+        const snapshot = outcome.record;
+        await MonitorService.recordRun(monitor, { last_status: 'succeeded', last_error: null, site_id: snapshot.site_id });
+
+        if (!previous) {
+            logger.info(`Monitor ${monitor.id} recorded baseline snapshot ${snapshot.id} for ${monitor.url}`);
+            return null;
+        }
+
+        const diff = SiteService.diffSnapshots(previous, snapshot);
+        const watched = monitor.watch_fields && monitor.watch_fields.length > 0 ? monitor.watch_fields : WATCH_FIELDS;
+        const changedFields = diff.changedFields.filter(field => watched.includes(field));
+
+        if (changedFields.length === 0) {
+            return null;
+        }
+
+        const changes = {};
+        changedFields.forEach(field => {
+            changes[field] = diff.fields[field];
+        });
+
+        const event = await monitorRepository.insertChangeEvent({
+            monitor_id: monitor.id,
+            tenant_id: monitor.tenant_id,
+            site_id: snapshot.site_id,
+            url: monitor.url,
+            from_snapshot_id: previous.id,
+            to_snapshot_id: snapshot.id,
+            changed_fields: changedFields,
+            changes
+        });
+
+        logger.info(`Monitor ${monitor.id} detected changes in ${changedFields.join(', ')} for ${monitor.url}`);
+        return event;
+    }
+
+    // Returns an error message when the owning key may not run an analysis now
+    static async consumeQuota(monitor) {
+        if (!monitor.api_key_id) return null;
+
+        // The key that created a monitor belongs to the monitor's tenant
+        const apiKey = await ApiKeyService.get(monitor.api_key_id, monitor.tenant_id);
+        if (!apiKey || !apiKey.active) {
+            return 'API_KEY_REVOKED: The API key that owns this monitor is no longer active';
+        }
+
+        const used = await ApiKeyService.consumeAnalysisQuota({
+            id: apiKey.id,
+            dailyAnalysisQuota: apiKey.daily_analysis_quota
+        });
+
+        return used === null ? 'QUOTA_EXCEEDED: Daily analysis quota of the owning API key is used up' : null;
+    }
+
+    static async recordRun(monitor, fields) {
+        try {
+            await monitorRepository.recordMonitorRun(monitor.id, { ...fields, last_run_at: new Date().toISOString() });
+        } catch (error) {
+            logger.error(`Failed to record run of monitor ${monitor.id}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = MonitorService;
@@ -0,0 +1,254 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Convert a robots.txt path pattern (with * and trailing $) to a RegExp
+const patternToRegExp = (pattern) => {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (!current) {
+            return;
+        } else if (key === 'allow' || key === 'disallow') {
+            // An empty Disallow allows everything
+            if (value) {
+                current.rules.push({ allow: key === 'allow', path: value, regex: patternToRegExp(value) });
+            }
+        } else if (key === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    });
+
+    return { groups, sitemaps };
+}
+
+// Merge every group addressed to the most specific matching agent, falling
+// back to the * groups
+function selectRules(groups, token) {
+    const agent = token.toLowerCase();
+    let best = null;
+
+    groups.forEach(group => {
+        group.agents.forEach(name => {
+            if (name !== '*' && agent.startsWith(name) && (!best || name.length > best.length)) {
+                best = name;
+            }
+        });
+    });
+
+    const target = best || '*';
+    const matching = groups.filter(group => group.agents.includes(target));
+    const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return {
+        agent: matching.length > 0 ? target : null,
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+// Longest matching rule wins; Allow wins a tie
+function isPathAllowed(rules, path) {
+    let match = null;
+
+    rules.forEach(rule => {
+        if (!rule.regex.test(path)) return;
+        if (!match || rule.path.length > match.path.length ||
+            (rule.path.length === match.path.length && rule.allow && !match.allow)) {
+            match = rule;
+        }
+    });
+
+    return { allowed: !match || match.allow, rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null };
+}
+
+// Fetches and caches robots.txt per origin and enforces Disallow and
+// Crawl-delay for the configured crawler identity
+class RobotsService {
+    constructor(options = {}) {
+        this.userAgent = options.userAgent;
+        this.robotsToken = options.robotsToken;
+        this.enabled = options.enabled !== false;
+        this.cacheTtlMs = options.cacheTtlMs || 60 * 60 * 1000;
+        this.maxCacheEntries = options.maxCacheEntries || 500;
+        this.maxCrawlDelayWaitMs = options.maxCrawlDelayWaitMs || 30000;
+
+        this.cache = new Map();
+        this.nextFetchAt = new Map();
+    }
+
+    async getPolicy(origin) {
+        const cached = this.cache.get(origin);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+            return cached;
+        }
+
+        const policy = await this.fetchPolicy(origin);
+
+        this.cache.delete(origin);
+        this.cache.set(origin, policy);
+        if (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return policy;
+    }
+
+    async fetchPolicy(origin) {
+        const policy = { fetchedAt: Date.now(), status: null, rules: [], crawlDelay: null, sitemaps: [], disallowAll: false };
+
+        try {
+            const response = await axios.get(`${origin}/robots.txt`, {
+                timeout: 5000,
+                maxRedirects: 5,
+                maxContentLength: MAX_ROBOTS_BYTES,
+                responseType: 'text',
+                validateStatus: () => true,
+                headers: { 'User-Agent': this.userAgent }
+            });
+
+            policy.status = response.status;
+
+            if (response.status >= 500) {
+                // RFC 9309: treat an unreachable robots.txt as a full disallow
+                policy.disallowAll = true;
+            } else if (response.status < 400 && typeof response.data === 'string') {
+                const { groups, sitemaps } = parseRobotsTxt(response.data);
+                const selected = selectRules(groups, this.robotsToken);
+                policy.rules = selected.rules;
+                policy.crawlDelay = selected.crawlDelay;
+                policy.sitemaps = sitemaps;
+            }
+            // Any 4xx means there are no restrictions
+        } catch (error) {
+            // Network failures are left to the page fetch itself to report
+            logger.warn(`Failed to fetch robots.txt for ${origin}: ${error.message}`);
+        }
+
+        return policy;
+    }
+
+    async check(url) {
+        const target = new URL(url);
+        const policy = await this.getPolicy(target.origin);
+
+        if (policy.disallowAll) {
+            return { allowed: false, rule: `robots.txt returned HTTP ${policy.status}`, crawlDelay: policy.crawlDelay, sitemaps: policy.sitemaps };
+        }
+
+        const { allowed, rule } = isPathAllowed(policy.rules, target.pathname + target.search);
+        return { allowed, rule, crawlDelay: policy.crawlDelay, sitemaps: policy.sitemaps };
+    }
+
+    // Throws when the URL is disallowed; otherwise waits out any Crawl-delay
+    async enforce(url) {
+        if (!this.enabled) return null;
+
+        const result = await this.check(url);
+
+        if (!result.allowed) {
+            const error = new Error(`URL is disallowed by robots.txt (${result.rule})`);
+            error.code = 'ROBOTS_DISALLOWED';
+            throw error;
+        }
+
+        if (result.crawlDelay) {
+            await this.waitForCrawlDelay(new URL(url).origin, result.crawlDelay);
+        }
+
+        return result;
+    }
+
+    async waitForCrawlDelay(origin, delaySeconds) {
+        const now = Date.now();
+
+        // Forget hosts whose slot has passed so the map only holds hosts
+        // that are being crawled right now
+        for (const [host, at] of this.nextFetchAt) {
+            if (at <= now) this.nextFetchAt.delete(host);
+        }
+
+        const next = this.nextFetchAt.get(origin) || 0;
+        const wait = Math.max(0, next - now);
+
+        if (wait > this.maxCrawlDelayWaitMs) {
+            const error = new Error(`Crawl-delay for ${origin} requires waiting ${Math.ceil(wait / 1000)}s`);
+            error.code = 'CRAWL_DELAYED';
+            throw error;
+        }
+
+        // Reserve the slot before sleeping so concurrent scrapes queue up
+        this.nextFetchAt.set(origin, Math.max(now, next) + delaySeconds * 1000);
+
+        if (wait > 0) {
+            logger.info(`Honoring Crawl-delay for ${origin}: waiting ${wait}ms`);
+            await sleep(wait);
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            userAgent: this.userAgent,
+            robotsToken: this.robotsToken,
+            cachedHosts: this.cache.size,
+            delayedHosts: this.nextFetchAt.size
+        };
+    }
+}
+
+const userAgent = process.env.CRAWLER_USER_AGENT || 'WebsiteAnalysisBot/1.0 (+https://github.com/SubhPanda04/Nurdd)';
+
+const robotsService = new RobotsService({
+    userAgent,
+    robotsToken: process.env.CRAWLER_ROBOTS_TOKEN || userAgent.split('/')[0],
+    enabled: process.env.RESPECT_ROBOTS_TXT !== 'false',
+    cacheTtlMs: parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 60 * 60 * 1000,
+    maxCrawlDelayWaitMs: parseInt(process.env.CRAWL_DELAY_MAX_WAIT_MS, 10) || 30000
+});
+
+module.exports = {
+    RobotsService,
+    robotsService,
+    parseRobotsTxt
+};
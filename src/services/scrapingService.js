@@ -1,10 +1,22 @@
-const puppeteer = require('puppeteer');
+const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
 const AIEnhancementService = require('./aiEnhancementService');
-const chromium = process.env.NODE_ENV === 'production'
-    ? require('@sparticuz/chromium')
-    : null;
+const { browserPool } = require('./browserPool');
+const { robotsService } = require('./robotsService');
+const SiteCrawler = require('./siteCrawler');
+const ScreenshotService = require('./screenshotService');
+const { extractStructuredData } = require('../extractors/structuredData');
+const { extractBrandAssets, applyManifest, sampleHeaderColors } = require('../extractors/brandAssets');
+const { GLOBAL_PATHS, detectGlobals, detectTechnologies } = require('../extractors/technologies');
+const { auditSeo } = require('../extractors/seoAudit');
+const { computeContentHashes } = require('../extractors/contentHashes');
+const { detectLanguage } = require('../extractors/language');
+
+const SCRAPE_MODES = ['auto', 'static', 'browser'];
+const DEFAULT_SCRAPE_MODE = SCRAPE_MODES.includes(process.env.SCRAPE_MODE) ? process.env.SCRAPE_MODE : 'auto';
+const STATIC_FETCH_TIMEOUT = 10000;
+const MAX_STATIC_REDIRECTS = 5;
 
 class WebsiteScrapingService {
 
@@ -18,7 +30,6 @@ class WebsiteScrapingService {
     }
 
     async scrapeWebsiteInstance(url, options = {}) {
-        let browser = null;
         try {
             if (!WebsiteScrapingService.isValidUrl(url)) {
                 throw new Error('Invalid URL format');
@@ -26,84 +37,78 @@ class WebsiteScrapingService {
 
             logger.info(`Starting scrape for URL: ${url}`);
 
-            // Configure browser launch options for production vs development
-            const launchOptions = {
-                headless: true,
-                timeout: 20000, // Reduced timeout
-                args: process.env.NODE_ENV === 'production'
-                    ? [
-                        ...chromium.args,
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--single-process',
-                        '--no-zygote',
-                        '--disable-gpu',
-                        '--memory-pressure-off',
-                        '--max_old_space_size=100',
-                        '--disable-background-timer-throttling',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-renderer-backgrounding'
-                    ]
-                    : [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--disable-gpu',
-                        '--memory-pressure-off'
-                    ]
-            };
-
-            // Set executable path for production (Render)
-            if (process.env.NODE_ENV === 'production') {
-                launchOptions.executablePath = await chromium.executablePath();
+            if (options.ignoreRobots) {
+                logger.warn(`robots.txt check skipped for ${url} by allow-listed API key`);
+            } else {
+                await robotsService.enforce(url);
             }
 
-            browser = await puppeteer.launch(launchOptions);
+            const wantsScreenshot = ScreenshotService.resolveKinds(options.captureScreenshot).length > 0;
+            let mode = options.mode || DEFAULT_SCRAPE_MODE;
+            if (wantsScreenshot && mode === 'auto') {
+                // Screenshots need a rendered page
+                mode = 'browser';
+            }
 
-            const page = await browser.newPage();
+            const { $, html, strategy, headers, pageData } = await this.loadContent(url, mode, page => this.inspectPage(page, {
+                ...options,
+                captureScreenshot: wantsScreenshot && options.captureScreenshot
+            }), { ignoreRobots: options.ignoreRobots });
+            const structuredData = extractStructuredData($, url);
+            let brandName = this.extractBrandName($, structuredData);
+            let rawDescription = this.extractDescription($, structuredData);
+            const brandAssets = await this.collectBrandAssets($, url, structuredData, pageData);
+            const technologies = detectTechnologies($, html, {
+                headers,
+                cookies: pageData.cookies,
+                globals: pageData.globals
+            });
+            const seoAudit = options.seoAudit ? auditSeo($, url, headers) : null;
+            const languageDetection = detectLanguage($, headers);
 
-            // Reduce memory usage
-            await page.setViewport({ width: 1280, height: 720 }); // Smaller viewport
-            await page.setDefaultNavigationTimeout(20000); // Reduced timeout
-            await page.setDefaultTimeout(20000);            // Navigate to the website with retry logic
-            let content;
-            let retries = 1; // Reduced retries to save memory
-
-            while (retries > 0) {
-                try {
-                    await page.goto(url, {
-                        waitUntil: 'domcontentloaded', // Faster loading
-                        timeout: 20000 // Reduced timeout
-                    });
-                    content = await page.content();
-                    break;
-                } catch (navError) {
-                    retries--;
-                    if (retries === 0) throw navError;
+            let siteProfile = null;
+            if (options.crawl) {
+                const crawler = new SiteCrawler(this, {
+                    maxPages: options.crawlMaxPages,
+                    maxDepth: options.crawlMaxDepth,
+                    mode: mode === 'static' ? 'static' : 'auto',
+                    ignoreRobots: options.ignoreRobots
+                });
+                siteProfile = await crawler.crawl(url, { $, brandName, rawDescription, structuredData });
 
-                    logger.warn(`Navigation failed for ${url}, retrying... (${retries} attempts left)`);
-                    await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced wait time
+                // Landing page values win; the crawl only fills gaps
+                if (siteProfile.fields.brandName.value) {
+                    brandName = siteProfile.fields.brandName.value;
+                }
+                if (siteProfile.fields.description.value) {
+                    rawDescription = siteProfile.fields.description.value;
                 }
             }
 
-            // Parse with Cheerio
-            const $ = cheerio.load(content);
-            const brandName = this.extractBrandName($);
-            const rawDescription = this.extractDescription($);
+            const contentHashes = computeContentHashes($, { brandName, rawDescription, structuredData, brandAssets });
+
+            // A caller-supplied name (e.g. from an import file) replaces the
+            // scraped one after hashing, so change detection still sees the page
+            if (options.brandName) {
+                brandName = options.brandName;
+            }
 
             // Enhanced AI processing for description
             const enhanceDescription = options.enhanceDescription !== false; // Default to true
+            const aiOptions = {
+                provider: options.aiProvider,
+                model: options.aiModel,
+                language: languageDetection.language,
+                force: options.force === true
+            };
             let description = rawDescription;
 
-            if (enhanceDescription) {
+            if (enhanceDescription && siteProfile) {
+                description = await this.aiEnhancement.summarizeSite(siteProfile.combinedText, brandName, url, rawDescription, aiOptions);
+                logger.info(`Site profile summarized using AI (${siteProfile.pages.length} pages -> ${description.length} chars)`);
+            } else if (enhanceDescription) {
                 try {
-                    description = await this.aiEnhancement.enhanceDescription(rawDescription, brandName, url);
+                    description = await this.aiEnhancement.enhanceDescription(rawDescription, brandName, url, aiOptions);
                     logger.info(`Description enhanced using AI (${rawDescription.length} -> ${description.length} chars)`);
                 } catch (enhanceError) {
                     logger.warn(`AI enhancement failed, using original description: ${enhanceError.message}`);
@@ -111,15 +116,53 @@ class WebsiteScrapingService {
                 }
             }
 
-            logger.info(`Successfully scraped ${url}: Brand="${brandName}", Description length=${description.length}`);
+            // Stats of the description call, before localization adds more calls
+            const aiStats = this.aiEnhancement.getStats();
+            const targetLanguages = options.targetLanguages || [];
+            const localizedDescriptions = targetLanguages.length > 0
+                ? await this.aiEnhancement.localizeDescriptions(description, brandName, targetLanguages, aiOptions)
+                : null;
+            const classification = options.classify === false
+                ? null
+                : await this.aiEnhancement.classify(
+                    siteProfile ? siteProfile.combinedText : WebsiteScrapingService.classificationText($, rawDescription),
+                    brandName,
+                    url,
+                    { ...aiOptions, technologies }
+                );
+            const enhancements = options.enhancements || [];
+            const descriptionVariants = enhancements.length > 0
+                ? await this.aiEnhancement.generateVariants(
+                    siteProfile ? siteProfile.combinedText : rawDescription,
+                    brandName,
+                    url,
+                    enhancements,
+                    aiOptions
+                )
+                : null;
+
+            logger.info(`Successfully scraped ${url} (${strategy}): Brand="${brandName}", Language=${languageDetection.language || 'unknown'}, Description length=${description.length}`);
 
             return {
                 url,
+                strategy,
                 brandName,
                 description,
                 rawDescription,
+                structuredData,
+                brandAssets,
+                screenshots: pageData.screenshots || [],
+                technologies,
+                seoAudit,
+                siteProfile,
+                contentHashes,
+                language: languageDetection.language,
+                languageDetection,
+                localizedDescriptions,
+                descriptionVariants,
+                classification,
                 enhanced: enhanceDescription && description !== rawDescription,
-                aiStats: this.aiEnhancement.getStats(),
+                aiStats,
                 success: true
             };
 
@@ -134,15 +177,30 @@ class WebsiteScrapingService {
             } else if (error.message.includes('ERR_CONNECTION_REFUSED') || error.message.includes('ECONNREFUSED')) {
                 errorCategory = 'CONNECTION_REFUSED';
                 userFriendlyMessage = 'Website refused connection';
-            } else if (error.message.includes('Navigation timeout') || error.message.includes('ETIMEDOUT')) {
+            } else if (error.message.includes('Navigation timeout') || error.message.includes('ETIMEDOUT') || error.code === 'ECONNABORTED') {
                 errorCategory = 'TIMEOUT';
                 userFriendlyMessage = 'Website took too long to respond';
             } else if (error.message.includes('ERR_SSL_PROTOCOL_ERROR')) {
                 errorCategory = 'SSL_ERROR';
                 userFriendlyMessage = 'SSL certificate error';
-            } else if (error.message.includes('ERR_TOO_MANY_REDIRECTS')) {
+            } else if (error.message.includes('ERR_TOO_MANY_REDIRECTS') || error.message.includes('Maximum number of redirects')) {
                 errorCategory = 'REDIRECT_ERROR';
                 userFriendlyMessage = 'Too many redirects';
+            } else if (error.response && error.response.status) {
+                errorCategory = 'HTTP_ERROR';
+                userFriendlyMessage = `Website responded with HTTP ${error.response.status}`;
+            } else if (error.message.includes('Unsupported content type')) {
+                errorCategory = 'UNSUPPORTED_CONTENT';
+                userFriendlyMessage = 'Website did not return an HTML page';
+            } else if (error.message.includes('disallowed by robots.txt')) {
+                errorCategory = 'ROBOTS_DISALLOWED';
+                userFriendlyMessage = 'Crawling this URL is disallowed by the site\'s robots.txt';
+            } else if (error.message.includes('Crawl-delay')) {
+                errorCategory = 'CRAWL_DELAYED';
+                userFriendlyMessage = 'Site asks crawlers to slow down, please try again later';
+            } else if (error.message.includes('Browser pool acquire timeout')) {
+                errorCategory = 'BROWSER_BUSY';
+                userFriendlyMessage = 'Scraper is busy, please try again later';
             } else if (error.message.includes('Invalid URL format')) {
                 errorCategory = 'INVALID_URL';
                 userFriendlyMessage = 'Invalid URL format';
@@ -153,35 +211,245 @@ class WebsiteScrapingService {
                 brandName: null,
                 description: null,
                 rawDescription: null,
+                structuredData: null,
+                brandAssets: null,
+                technologies: null,
+                seoAudit: null,
+                siteProfile: null,
+                contentHashes: null,
+                language: null,
+                localizedDescriptions: null,
+                descriptionVariants: null,
+                classification: null,
                 enhanced: false,
                 success: false,
                 error: userFriendlyMessage,
                 errorCategory,
                 originalError: error.message
             };
-        } finally {
-            if (browser) {
+        }
+    }
+
+    // Static fetch first in auto mode; escalate to the browser when the HTML
+    // looks like a client-rendered shell or yields nothing useful
+    async loadContent(url, mode, inspectPage = null, options = {}) {
+        if (mode !== 'browser') {
+            try {
+                const { html, headers } = await this.fetchStatic(url, options);
+                const $ = cheerio.load(html);
+
+                if (mode === 'static' || !this.needsBrowser($, extractStructuredData($, url))) {
+                    return {
+                        $,
+                        html,
+                        strategy: 'static',
+                        headers,
+                        pageData: { cookies: WebsiteScrapingService.parseCookieNames(headers['set-cookie']) }
+                    };
+                }
+
+                logger.info(`Static fetch for ${url} looks incomplete, falling back to browser`);
+            } catch (fetchError) {
+                // A redirect robots.txt forbids must not be followed by the browser either
+                if (mode === 'static' || ['ENOTFOUND', 'ROBOTS_DISALLOWED', 'CRAWL_DELAYED'].includes(fetchError.code)) {
+                    throw fetchError;
+                }
+                logger.warn(`Static fetch failed for ${url}, falling back to browser: ${fetchError.message}`);
+            }
+        }
+
+        const { content, headers, pageData } = await this.fetchWithBrowser(url, inspectPage, options);
+        return { $: cheerio.load(content), html: content, strategy: 'browser', headers, pageData };
+    }
+
+    // Redirects are followed one by one so that robots.txt is checked for
+    // every target, which may be on another host
+    async fetchStatic(url, options = {}) {
+        let target = url;
+        let response;
+
+        for (let redirects = 0; ; redirects++) {
+            response = await axios.get(target, {
+                timeout: STATIC_FETCH_TIMEOUT,
+                maxRedirects: 0,
+                maxContentLength: 5 * 1024 * 1024,
+                responseType: 'text',
+                validateStatus: status => status >= 200 && status < 400,
+                headers: {
+                    'User-Agent': robotsService.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+                }
+            });
+
+            if (response.status < 300 || !response.headers.location) break;
+            if (redirects >= MAX_STATIC_REDIRECTS) {
+                throw new Error('Maximum number of redirects exceeded');
+            }
+
+            target = new URL(response.headers.location, target).href;
+            if (!options.ignoreRobots) {
+                await robotsService.enforce(target);
+            }
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        if (contentType && !contentType.includes('html')) {
+            throw new Error(`Unsupported content type: ${contentType}`);
+        }
+
+        return { html: response.data, headers: response.headers.toJSON ? response.headers.toJSON() : response.headers };
+    }
+
+    // inspectPage runs against the loaded page before it goes back to the pool
+    async fetchWithBrowser(url, inspectPage = null, options = {}) {
+        const lease = await browserPool.acquirePage();
+
+        try {
+            const { page } = lease;
+            const navigationGuard = options.ignoreRobots ? null : await this.guardNavigations(page);
+
+            await page.setUserAgent(robotsService.userAgent);
+
+            // Reduce memory usage
+            await page.setViewport({ width: 1280, height: 720 }); // Smaller viewport
+            await page.setDefaultNavigationTimeout(20000); // Reduced timeout
+            await page.setDefaultTimeout(20000);            // Navigate to the website with retry logic
+            let content;
+            let headers = {};
+            let retries = 1; // Reduced retries to save memory
+
+            while (retries > 0) {
                 try {
-                    // Ensure all pages are closed
-                    const pages = await browser.pages();
-                    await Promise.all(pages.map(page => page.close()));
-
-                    // Close browser
-                    await browser.close();
-
-                    // Force garbage collection if available
-                    if (global.gc) {
-                        global.gc();
-                    }
-                } catch (closeError) {
-                    logger.error(`Failed to close browser: ${closeError.message}`);
+                    const response = await page.goto(url, {
+                        waitUntil: 'domcontentloaded', // Faster loading
+                        timeout: 20000 // Reduced timeout
+                    });
+                    headers = response ? response.headers() : {};
+                    content = await page.content();
+                    break;
+                } catch (navError) {
+                    // A redirect robots.txt forbids is reported as such, not retried
+                    if (navigationGuard && navigationGuard.blocked) throw navigationGuard.blocked;
+
+                    retries--;
+                    if (retries === 0) throw navError;
+
+                    logger.warn(`Navigation failed for ${url}, retrying... (${retries} attempts left)`);
+                    await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced wait time
                 }
             }
+
+            const pageData = inspectPage ? await inspectPage(page) : {};
+            return { content, headers, pageData };
+        } finally {
+            await lease.release();
+        }
+    }
+
+    // The browser follows redirects itself, so every main-frame navigation
+    // after the first (already checked by the caller) is held until robots.txt
+    // allows it, the same as fetchStatic does for each hop. The page's context
+    // is closed on release, so the interception ends with it.
+    async guardNavigations(page) {
+        const guard = { blocked: null };
+        let first = true;
+
+        await page.setRequestInterception(true);
+        page.on('request', async (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+
+            if (!request.isNavigationRequest() || request.frame() !== page.mainFrame()) {
+                return request.continue();
+            }
+            if (first) {
+                first = false;
+                return request.continue();
+            }
+
+            try {
+                await robotsService.enforce(request.url());
+                await request.continue();
+            } catch (robotsError) {
+                guard.blocked = robotsError;
+                await request.abort('blockedbyclient');
+            }
+        });
+
+        return guard;
+    }
+
+    // Extra data that only a rendered page can provide
+    async inspectPage(page, options = {}) {
+        const pageData = {};
+
+        try {
+            pageData.headerColors = await page.evaluate(sampleHeaderColors);
+        } catch (evalError) {
+            logger.warn(`Header color sampling failed: ${evalError.message}`);
+        }
+
+        try {
+            pageData.globals = await page.evaluate(detectGlobals, GLOBAL_PATHS);
+            pageData.cookies = (await page.cookies()).map(cookie => cookie.name);
+        } catch (evalError) {
+            logger.warn(`Technology signal collection failed: ${evalError.message}`);
+        }
+
+        if (options.captureScreenshot) {
+            pageData.screenshots = await ScreenshotService.capture(page, options);
+        }
+
+        return pageData;
+    }
+
+    async collectBrandAssets($, url, structuredData, pageData = {}) {
+        const assets = extractBrandAssets($, url, structuredData);
+
+        if (assets.manifestUrl) {
+            try {
+                const response = await axios.get(assets.manifestUrl, {
+                    timeout: 5000,
+                    maxContentLength: 512 * 1024,
+                    headers: { 'User-Agent': robotsService.userAgent }
+                });
+                applyManifest(assets, response.data);
+            } catch (manifestError) {
+                logger.warn(`Failed to fetch web app manifest ${assets.manifestUrl}: ${manifestError.message}`);
+            }
+        }
+
+        if (pageData.headerColors) {
+            assets.colors.headerColors = pageData.headerColors;
+        }
+
+        return assets;
+    }
+
+    needsBrowser($, structuredData) {
+        if (this.extractBrandName($, structuredData) === 'Unknown Brand' ||
+            this.extractDescription($, structuredData) === 'No description available') {
+            return true;
         }
+
+        return this.looksLikeJsShell($);
     }
 
-    extractBrandName($) {
+    looksLikeJsShell($) {
+        const body = $('body').clone();
+        body.find('script, style, noscript, template').remove();
+        const bodyText = body.text().replace(/\s+/g, ' ').trim();
+
+        const hasAppRoot = $('#root, #app, #__next, #__nuxt, [data-reactroot], app-root').length > 0;
+        const asksForJavaScript = /enable javascript/i.test($('noscript').text());
+
+        return asksForJavaScript || (bodyText.length < 200 && (hasAppRoot || $('script[src]').length > 0));
+    }
+
+    // Structured data (JSON-LD/microdata) wins over meta tags when present
+    extractBrandName($, structuredData = {}) {
         let brandName =
+            structuredData.name ||
+            structuredData.legalName ||
             $('meta[property="og:site_name"]').attr('content') ||
             $('meta[name="application-name"]').attr('content') ||
             $('title').text().split(' - ')[0].split(' | ')[0] ||
@@ -192,8 +460,9 @@ class WebsiteScrapingService {
         return brandName.trim().substring(0, 255);
     }
 
-    extractDescription($) {
+    extractDescription($, structuredData = {}) {
         let description =
+            structuredData.description ||
             $('meta[name="description"]').attr('content') ||
             $('meta[property="og:description"]').attr('content') ||
             $('meta[name="twitter:description"]').attr('content') ||
@@ -203,6 +472,27 @@ class WebsiteScrapingService {
         return description.trim().substring(0, 1000);
     }
 
+    // Title, description and headings: enough for classification without the
+    // navigation and footer noise of the full body
+    static classificationText($, rawDescription) {
+        const headings = $('h1, h2, h3')
+            .map((_, element) => $(element).text().replace(/\s+/g, ' ').trim())
+            .get()
+            .filter(Boolean)
+            .slice(0, 20);
+
+        return [$('title').first().text().trim(), rawDescription, ...headings]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    static parseCookieNames(setCookie) {
+        if (!setCookie) return [];
+        return (Array.isArray(setCookie) ? setCookie : [setCookie])
+            .map(cookie => cookie.split('=')[0].trim())
+            .filter(Boolean);
+    }
+
     static isValidUrl(string) {
         try {
             const url = new URL(string);
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { fileStorage, createFileStorage } = require('../storage');
+const logger = require('../utils/logger');
+
+const SCREENSHOT_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_SCREENSHOT_BYTES = parseInt(process.env.SCREENSHOT_MAX_BYTES, 10) || 2 * 1024 * 1024;
+const MAX_FULL_PAGE_HEIGHT = parseInt(process.env.SCREENSHOT_MAX_HEIGHT, 10) || 5000;
+const DEFAULT_QUALITY = 70;
+
+class ScreenshotService {
+
+    // captureScreenshot: true | 'viewport' | 'fullPage' | 'both'
+    static resolveKinds(captureScreenshot) {
+        if (captureScreenshot === 'both') return ['viewport', 'fullPage'];
+        if (captureScreenshot === 'fullPage') return ['fullPage'];
+        if (captureScreenshot === true || captureScreenshot === 'true' || captureScreenshot === 'viewport') return ['viewport'];
+        return [];
+    }
+
+    static async capture(page, options = {}) {
+        const kinds = ScreenshotService.resolveKinds(options.captureScreenshot);
+        const format = SCREENSHOT_FORMATS.includes(options.screenshotFormat) ? options.screenshotFormat : 'jpeg';
+        const quality = options.screenshotQuality || DEFAULT_QUALITY;
+        const captureId = crypto.randomUUID();
+        const screenshots = [];
+
+        for (const kind of kinds) {
+            try {
+                const buffer = await ScreenshotService.takeScreenshot(page, kind, format, quality);
+                if (!buffer) continue;
+
+                const key = `screenshots/${captureId}-${kind}.${format === 'jpeg' ? 'jpg' : format}`;
+                const stored = await fileStorage.save(key, buffer, `image/${format}`);
+
+                screenshots.push({
+                    kind,
+                    format,
+                    ...stored,
+                    capturedAt: new Date().toISOString()
+                });
+            } catch (screenshotError) {
+                logger.warn(`Failed to capture ${kind} screenshot: ${screenshotError.message}`);
+            }
+        }
+
+        return screenshots;
+    }
+
+    static async takeScreenshot(page, kind, format, quality) {
+        const screenshotOptions = { type: format };
+        if (format !== 'png') {
+            screenshotOptions.quality = quality;
+        }
+
+        if (kind === 'fullPage') {
+            // Clip tall pages instead of rendering them whole
+            const { width, height } = await page.evaluate(() => ({
+                width: document.documentElement.clientWidth,
+                height: document.documentElement.scrollHeight
+            }));
+            screenshotOptions.clip = { x: 0, y: 0, width, height: Math.min(height, MAX_FULL_PAGE_HEIGHT) };
+            screenshotOptions.captureBeyondViewport = true;
+        }
+
+        let buffer = Buffer.from(await page.screenshot(screenshotOptions));
+
+        // One retry at lower quality before giving up on oversized images
+        if (buffer.length > MAX_SCREENSHOT_BYTES && format !== 'png') {
+            screenshotOptions.quality = Math.max(20, Math.floor(quality / 2));
+            buffer = Buffer.from(await page.screenshot(screenshotOptions));
+        }
+
+        if (buffer.length > MAX_SCREENSHOT_BYTES) {
+            logger.warn(`Discarding ${kind} screenshot: ${buffer.length} bytes exceeds limit of ${MAX_SCREENSHOT_BYTES}`);
+            return null;
+        }
+
+        return buffer;
+    }
+
+    // Read through the backend the screenshot was stored with
+    static async read(screenshot) {
+        return await createFileStorage(screenshot.backend).read(screenshot.key);
+    }
+
+    static async removeAll(screenshots) {
+        for (const screenshot of screenshots || []) {
+            try {
+                await createFileStorage(screenshot.backend).remove(screenshot.key);
+            } catch (removeError) {
+                logger.warn(`Failed to remove screenshot ${screenshot.key}: ${removeError.message}`);
+            }
+        }
+    }
+}
+
+module.exports = ScreenshotService;
@@ -0,0 +1,232 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { robotsService } = require('./robotsService');
+const { extractStructuredData } = require('../extractors/structuredData');
+const logger = require('../utils/logger');
+
+// Internal pages that usually say the most about a business
+const PAGE_TYPES = [
+    { type: 'about', pattern: /about|company|who-we-are|our-story|team|mission/i, score: 5 },
+    { type: 'products', pattern: /products?|services?|solutions?|features?|platform/i, score: 4 },
+    { type: 'pricing', pattern: /pricing|plans|prices/i, score: 3 },
+    { type: 'contact', pattern: /contact|locations?|support/i, score: 2 }
+];
+const SKIP_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|css|js|xml|json)$/i;
+const MAX_SITEMAP_URLS = 500;
+const MAX_TEXT_PER_PAGE = 1500;
+const MAX_COMBINED_TEXT = 6000;
+
+const normalizeHost = (hostname) => hostname.replace(/^www\./i, '').toLowerCase();
+
+const classifyPage = (url) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/' || pathname === '') return { type: 'home', score: 10 };
+
+    const match = PAGE_TYPES.find(pageType => pageType.pattern.test(pathname));
+    return match ? { type: match.type, score: match.score } : { type: 'other', score: 0 };
+};
+
+const extractPageText = ($) => {
+    const root = $('main').first().length > 0 ? $('main').first() : $('body');
+    const paragraphs = root.find('p, li')
+        .map((_, element) => $(element).text().replace(/\s+/g, ' ').trim())
+        .get()
+        .filter(text => text.length > 40);
+
+    return [...new Set(paragraphs)].join(' ').substring(0, MAX_TEXT_PER_PAGE);
+};
+
+// Follows sitemap.xml and high-value internal links (about, products,
+// pricing, contact) and merges what each page says into one site profile
+class SiteCrawler {
+    constructor(scraper, options = {}) {
+        this.scraper = scraper;
+        this.maxPages = options.maxPages || 5;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+        this.mode = options.mode || 'auto';
+        this.ignoreRobots = options.ignoreRobots === true;
+        this.timeBudgetMs = options.timeBudgetMs || parseInt(process.env.CRAWL_TIME_BUDGET_MS, 10) || 60000;
+    }
+
+    // landing: { $, brandName, rawDescription, structuredData } of the already loaded start page
+    async crawl(startUrl, landing) {
+        const startedAt = Date.now();
+        const host = normalizeHost(new URL(startUrl).hostname);
+        const visited = new Set([this.normalizeUrl(startUrl)]);
+        const pages = [this.describePage(startUrl, 0, landing)];
+        const queue = [];
+
+        const enqueue = (url, depth) => {
+            const normalized = this.normalizeUrl(url);
+            if (!normalized || visited.has(normalized) || depth > this.maxDepth) return;
+
+            const target = new URL(normalized);
+            if (normalizeHost(target.hostname) !== host || SKIP_EXTENSIONS.test(target.pathname)) return;
+
+            const { score } = classifyPage(normalized);
+            if (score === 0) return;
+
+            visited.add(normalized);
+            queue.push({ url: normalized, depth, score });
+        };
+
+        (await this.discoverSitemapUrls(startUrl)).forEach(url => enqueue(url, 1));
+        this.extractLinks(landing.$, startUrl).forEach(url => enqueue(url, 1));
+
+        while (queue.length > 0 && pages.length < this.maxPages) {
+            if (Date.now() - startedAt > this.timeBudgetMs) {
+                logger.warn(`Crawl of ${startUrl} stopped after ${pages.length} pages: time budget exhausted`);
+                break;
+            }
+
+            // Highest value pages first, shallower pages on ties
+            queue.sort((a, b) => b.score - a.score || a.depth - b.depth);
+            const next = queue.shift();
+
+            try {
+                if (!this.ignoreRobots) {
+                    await robotsService.enforce(next.url);
+                }
+
+                const { $ } = await this.scraper.loadContent(next.url, this.mode, null, { ignoreRobots: this.ignoreRobots });
+                const structuredData = extractStructuredData($, next.url);
+                pages.push(this.describePage(next.url, next.depth, {
+                    $,
+                    structuredData,
+                    brandName: this.scraper.extractBrandName($, structuredData),
+                    rawDescription: this.scraper.extractDescription($, structuredData)
+                }));
+
+                if (next.depth < this.maxDepth) {
+                    this.extractLinks($, next.url).forEach(url => enqueue(url, next.depth + 1));
+                }
+            } catch (pageError) {
+                logger.warn(`Skipping ${next.url} during crawl: ${pageError.message}`);
+            }
+        }
+
+        logger.info(`Crawled ${pages.length} pages for ${startUrl} in ${Date.now() - startedAt}ms`);
+        return this.mergeProfile(pages);
+    }
+
+    normalizeUrl(url) {
+        try {
+            const normalized = new URL(url);
+            if (normalized.protocol !== 'http:' && normalized.protocol !== 'https:') return null;
+            normalized.hash = '';
+            return normalized.href;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    extractLinks($, baseUrl) {
+        return $('a[href]')
+            .map((_, element) => {
+                try {
+                    return new URL($(element).attr('href'), baseUrl).href;
+                } catch (_) {
+                    return null;
+                }
+            })
+            .get()
+            .filter(Boolean);
+    }
+
+    async discoverSitemapUrls(startUrl) {
+        const { origin } = new URL(startUrl);
+        let sitemapUrls = [`${origin}/sitemap.xml`];
+
+        try {
+            const { sitemaps } = await robotsService.check(startUrl);
+            if (sitemaps.length > 0) {
+                sitemapUrls = sitemaps.map(sitemap => new URL(sitemap, origin).href);
+            }
+        } catch (_) {
+            // Fall back to the conventional location
+        }
+
+        const urls = [];
+        // Follow at most a couple of nested sitemap indexes
+        for (let i = 0; i < sitemapUrls.length && i < 3 && urls.length < MAX_SITEMAP_URLS; i++) {
+            try {
+                if (!this.ignoreRobots) {
+                    await robotsService.enforce(sitemapUrls[i]);
+                }
+
+                const response = await axios.get(sitemapUrls[i], {
+                    timeout: 5000,
+                    maxContentLength: 5 * 1024 * 1024,
+                    responseType: 'text',
+                    headers: { 'User-Agent': robotsService.userAgent }
+                });
+                const $ = cheerio.load(response.data, { xmlMode: true });
+
+                $('sitemap > loc').each((_, element) => {
+                    sitemapUrls.push($(element).text().trim());
+                });
+                $('url > loc').each((_, element) => {
+                    if (urls.length < MAX_SITEMAP_URLS) urls.push($(element).text().trim());
+                });
+            } catch (sitemapError) {
+                logger.debug(`No sitemap at ${sitemapUrls[i]}: ${sitemapError.message}`);
+            }
+        }
+
+        return urls;
+    }
+
+    describePage(url, depth, { $, structuredData, brandName, rawDescription }) {
+        return {
+            url,
+            depth,
+            type: classifyPage(url).type,
+            title: $('title').first().text().replace(/\s+/g, ' ').trim().substring(0, 255),
+            brandName,
+            description: rawDescription,
+            structuredData,
+            text: extractPageText($)
+        };
+    }
+
+    mergeProfile(pages) {
+        const fields = {};
+        const pick = (field, getValue, isUseful = value => !!value) => {
+            for (const page of pages) {
+                const value = getValue(page);
+                if (isUseful(value)) {
+                    fields[field] = { value, source: page.url };
+                    return;
+                }
+            }
+            fields[field] = { value: null, source: null };
+        };
+
+        // Pages are ordered landing page first, then by crawl priority
+        pick('brandName', page => page.brandName, value => value && value !== 'Unknown Brand');
+        pick('description', page => page.description,
+            value => value && value !== 'No description available' && value.length >= 50);
+        pick('legalName', page => page.structuredData && page.structuredData.legalName);
+        pick('logo', page => page.structuredData && page.structuredData.logo);
+        pick('foundingDate', page => page.structuredData && page.structuredData.foundingDate);
+        pick('address', page => page.structuredData && page.structuredData.address);
+        pick('telephone', page => page.structuredData && page.structuredData.telephone);
+        pick('email', page => page.structuredData && page.structuredData.email);
+        pick('sameAs', page => page.structuredData && page.structuredData.sameAs,
+            value => Array.isArray(value) && value.length > 0);
+
+        const combinedText = pages
+            .map(page => [page.description, page.text].filter(Boolean).join(' '))
+            .join('\n\n')
+            .substring(0, MAX_COMBINED_TEXT);
+
+        return {
+            pages: pages.map(({ url, depth, type, title }) => ({ url, depth, type, title })),
+            fields,
+            combinedText,
+            crawledAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = SiteCrawler;
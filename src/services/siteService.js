@@ -0,0 +1,93 @@
+const { websiteRepository } = require('../repositories');
+const { normalizeUrl } = require('../utils/urlNormalizer');
+const { stableStringify } = require('../utils/hash');
+
+const MAX_STRUCTURED_CHANGES = 100;
+
+// Walk two values and list the paths whose values differ
+const diffValues = (before, after, path = '', changes = []) => {
+    if (changes.length >= MAX_STRUCTURED_CHANGES) return changes;
+
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+        keys.forEach(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    } else if (stableStringify(before) !== stableStringify(after)) {
+        changes.push({ path: path || '(root)', before: before === undefined ? null : before, after: after === undefined ? null : after });
+    }
+
+    return changes;
+};
+
+// Groups analyses of the same normalized URL into a site and compares the
+// resulting snapshots
+class SiteService {
+
+    // Find or create the site for a URL and bump its last_analyzed_at
+    static async resolveSite(url) {
+        return websiteRepository.upsertSite(normalizeUrl(url));
+    }
+
+    // Look up the site for a URL without creating it
+    static async findSiteByUrl(url) {
+        return websiteRepository.findSiteByNormalizedUrl(normalizeUrl(url));
+    }
+
+    static async getSite(siteId) {
+        return websiteRepository.getSite(siteId);
+    }
+
+    // Sites are shared, but each tenant only sees its own snapshots
+    static async getSnapshots(siteId, tenantId) {
+        return websiteRepository.getSnapshots(siteId, tenantId);
+    }
+
+    static async getLatestSnapshot(siteId, tenantId) {
+        return websiteRepository.getLatestSnapshot(siteId, tenantId);
+    }
+
+    static diffSnapshots(from, to) {
+        const textField = (field) => ({
+            changed: (from[field] || null) !== (to[field] || null),
+            before: from[field] || null,
+            after: to[field] || null
+        });
+
+        const structuredChanges = diffValues(from.structured_data || {}, to.structured_data || {});
+        const fromHashes = from.content_hashes || {};
+        const toHashes = to.content_hashes || {};
+        const changedHashes = [...new Set([...Object.keys(fromHashes), ...Object.keys(toHashes)])]
+            .filter(key => fromHashes[key] !== toHashes[key])
+            .sort();
+
+        // brand_name may hold a name given by the caller (an import file or
+        // PUT /:id); the hash of the scraped name tells whether the page changed
+        const brandName = textField('brand_name');
+        if (fromHashes.brandName && toHashes.brandName) {
+            brandName.changed = fromHashes.brandName !== toHashes.brandName;
+        }
+
+        const fields = {
+            brand_name: brandName,
+            raw_description: textField('raw_description'),
+            structured_data: {
+                changed: structuredChanges.length > 0,
+                changes: structuredChanges
+            },
+            content_hashes: {
+                changed: changedHashes.length > 0,
+                changedKeys: changedHashes
+            }
+        };
+
+        return {
+            from: { id: from.id, created_at: from.created_at },
+            to: { id: to.id, created_at: to.created_at },
+            changed: Object.values(fields).some(field => field.changed),
+            changedFields: Object.keys(fields).filter(field => fields[field].changed),
+            fields
+        };
+    }
+}
+
+module.exports = SiteService;
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { webhookRepository } = require('../repositories');
+const { JobQueue } = require('./jobQueue');
+const { eventBus } = require('./eventBus');
+const logger = require('../utils/logger');
+
+const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'description.enhanced', 'record.updated', 'record.deleted', 'monitor.changed'];
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const MAX_RESPONSE_BODY = 2000;
+const DEFAULT_DELIVERY_LIMIT = 50;
+
+// Sign "<timestamp>.<body>" so receivers can reject replayed or altered payloads
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const maskSecret = (webhook) => {
+    if (!webhook) return webhook;
+    const { secret, ...rest } = webhook;
+    return { ...rest, secret: secret ? `${secret.substring(0, 4)}...` : null };
+};
+
+// Webhook registrations, signed delivery with retries and a per-attempt log
+class WebhookService {
+
+    static buildRecord(fields) {
+        const record = {};
+
+        if (fields.url !== undefined) record.url = fields.url;
+        if (fields.events !== undefined) record.events = fields.events;
+        if (fields.description !== undefined) record.description = fields.description;
+        if (fields.active !== undefined) record.active = fields.active;
+        if (fields.secret !== undefined) record.secret = fields.secret;
+
+        return record;
+    }
+
+    // The secret is only returned in full when the webhook is created
+    static async create(fields, tenantId) {
+        return webhookRepository.insertWebhook({
+            events: WEBHOOK_EVENTS,
+            active: true,
+            ...WebhookService.buildRecord(fields),
+            tenant_id: tenantId || null,
+            secret: fields.secret || crypto.randomBytes(32).toString('hex')
+        });
+    }
+
+    static async list(tenantId) {
+        const webhooks = await webhookRepository.listWebhooks(tenantId);
+        return webhooks.map(maskSecret);
+    }
+
+    static async get(id, { includeSecret = false, tenantId } = {}) {
+        const webhook = await webhookRepository.getWebhook(id, tenantId);
+        return includeSecret ? webhook : maskSecret(webhook);
+    }
+
+    static async update(id, fields, tenantId) {
+        const webhook = await webhookRepository.updateWebhook(id, {
+            ...WebhookService.buildRecord(fields),
+            updated_at: new Date().toISOString()
+        }, tenantId);
+
+        return maskSecret(webhook);
+    }
+
+    static async remove(id, tenantId) {
+        return maskSecret(await webhookRepository.deleteWebhook(id, tenantId));
+    }
+
+    static async listDeliveries(webhookId, { limit } = {}) {
+        return webhookRepository.listDeliveries(webhookId, limit || DEFAULT_DELIVERY_LIMIT);
+    }
+
+    static async getDelivery(deliveryId, tenantId) {
+        const delivery = await webhookRepository.getDelivery(deliveryId);
+        if (!delivery) return null;
+
+        // Deliveries belong to the tenant that owns the webhook
+        if (!(await WebhookService.get(delivery.webhook_id, { tenantId }))) {
+            return null;
+        }
+
+        const attempts = await webhookRepository.listAttempts(deliveryId);
+        return { ...delivery, attempt_log: attempts };
+    }
+
+    // Create a delivery for every active webhook of the event's tenant that is
+    // subscribed to it. Never throws: a webhook problem must not fail the
+    // request that emitted the event.
+    static async dispatch(event, data) {
+        try {
+            const webhooks = await webhookRepository.listWebhooks(data.tenantId, { activeOnly: true });
+            const subscribed = webhooks.filter(webhook => !webhook.events || webhook.events.includes(event));
+            if (subscribed.length === 0) return;
+
+            const payload = {
+                id: crypto.randomUUID(),
+                event,
+                createdAt: new Date().toISOString(),
+                data
+            };
+
+            for (const webhook of subscribed) {
+                let delivery;
+                try {
+                    delivery = await webhookRepository.insertDelivery({
+                        webhook_id: webhook.id,
+                        event_id: payload.id,
+                        event,
+                        payload,
+                        status: 'pending',
+                        attempts: 0
+                    });
+                } catch (insertError) {
+                    logger.error(`Failed to record ${event} delivery for webhook ${webhook.id}: ${insertError.message}`);
+                    continue;
+                }
+
+                WebhookService.enqueue(delivery, webhook);
+            }
+        } catch (error) {
+            logger.error(`Failed to dispatch ${event} webhooks: ${error.message}`);
+        }
+    }
+
+    static enqueue(delivery, webhook) {
+        const job = webhookQueue.enqueue({ delivery, webhook });
+
+        if (!job) {
+            logger.warn(`Webhook queue is full, delivery ${delivery.id} was not queued`);
+            WebhookService.updateDelivery(delivery.id, { status: 'failed', last_error: 'Webhook queue is full' });
+        }
+
+        return job;
+    }
+
+    // Send a delivery again with its original payload and event id
+    static async replay(deliveryId, tenantId) {
+        const delivery = await WebhookService.getDelivery(deliveryId, tenantId);
+        if (!delivery) return null;
+
+        const webhook = await WebhookService.get(delivery.webhook_id, { includeSecret: true, tenantId });
+        if (!webhook) return null;
+
+        await WebhookService.updateDelivery(delivery.id, { status: 'pending', last_error: null });
+        const job = WebhookService.enqueue(delivery, webhook);
+
+        logger.info(`Replaying webhook delivery ${delivery.id} (${delivery.event}) to ${webhook.url}`);
+        return { ...delivery, status: job ? 'pending' : 'failed' };
+    }
+
+    // JobQueue handler: one attempt at delivering one payload
+    static async deliver({ delivery, webhook }, job) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const attempt = (delivery.attempts || 0) + job.attempts;
+        const startedAt = Date.now();
+
+        let responseStatus = null;
+        let responseBody = null;
+        let errorMessage = null;
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                timeout: WEBHOOK_TIMEOUT,
+                maxRedirects: 0,
+                responseType: 'text',
+                maxContentLength: 64 * 1024,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'WebsiteAnalysisAPI-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+                }
+            });
+
+            responseStatus = response.status;
+            responseBody = typeof response.data === 'string' ? response.data.substring(0, MAX_RESPONSE_BODY) : null;
+            if (response.status < 200 || response.status >= 300) {
+                errorMessage = `Receiver responded with HTTP ${response.status}`;
+            }
+        } catch (error) {
+            errorMessage = error.message;
+        }
+
+        const durationMs = Date.now() - startedAt;
+        const succeeded = errorMessage === null;
+        // Network errors, timeouts, 408, 429 and 5xx are worth retrying; other 4xx are not
+        const retryable = !succeeded && (responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500);
+        const willRetry = retryable && job.attempts < job.maxAttempts;
+
+        try {
+            await webhookRepository.insertAttempt({
+                delivery_id: delivery.id,
+                attempt,
+                response_status: responseStatus,
+                response_body: responseBody,
+                error: errorMessage,
+                duration_ms: durationMs
+            });
+        } catch (attemptError) {
+            logger.error(`Failed to log attempt ${attempt} of webhook delivery ${delivery.id}: ${attemptError.message}`);
+        }
+
+        await WebhookService.updateDelivery(delivery.id, {
+            status: succeeded ? 'succeeded' : willRetry ? 'retrying' : 'failed',
+            attempts: attempt,
+            response_status: responseStatus,
+            last_error: errorMessage,
+            delivered_at: succeeded ? new Date().toISOString() : null
+        });
+
+        if (succeeded) {
+            logger.info(`Webhook delivery ${delivery.id} (${delivery.event}) succeeded in ${durationMs}ms`);
+            return { success: true, result: { responseStatus } };
+        }
+
+        logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attempt} failed: ${errorMessage}`);
+        return {
+            success: false,
+            error: errorMessage,
+            errorCategory: retryable ? 'WEBHOOK_RETRYABLE' : 'WEBHOOK_REJECTED'
+        };
+    }
+
+    static async updateDelivery(deliveryId, fields) {
+        try {
+            await webhookRepository.updateDelivery(deliveryId, { ...fields, updated_at: new Date().toISOString() });
+        } catch (error) {
+            logger.error(`Failed to update webhook delivery ${deliveryId}: ${error.message}`);
+        }
+    }
+}
+
+const webhookQueue = new JobQueue(WebhookService.deliver, {
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 10000,
+    maxQueued: parseInt(process.env.WEBHOOK_MAX_QUEUED, 10) || 1000,
+    retryableCategories: ['WEBHOOK_RETRYABLE']
+});
+
+WEBHOOK_EVENTS.forEach(event => {
+    eventBus.on(event, data => WebhookService.dispatch(event, data));
+});
+
+module.exports = {
+    WebhookService,
+    webhookQueue
+};
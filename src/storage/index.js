@@ -0,0 +1,27 @@
+const logger = require('../utils/logger');
+
+// Backends are required lazily so the Supabase client is only created when used
+const backends = {
+    local: () => new (require('./localFileStorage'))({ baseDir: process.env.FILE_STORAGE_DIR }),
+    supabase: () => new (require('./supabaseFileStorage'))({ bucket: process.env.FILE_STORAGE_BUCKET })
+};
+
+const createFileStorage = (name = process.env.FILE_STORAGE_BACKEND || 'local') => {
+    if (!backends[name]) {
+        logger.warn(`Unknown file storage backend "${name}", using local filesystem`);
+        return backends.local();
+    }
+    // Running offline (REPOSITORY_BACKEND=memory) must not depend on Supabase
+    if (name === 'supabase' && !(process.env.SUPABASE_URL && process.env.SUPABASE_KEY)) {
+        logger.warn('FILE_STORAGE_BACKEND=supabase needs SUPABASE_URL and SUPABASE_KEY, using local filesystem');
+        return backends.local();
+    }
+    return backends[name]();
+};
+
+const fileStorage = createFileStorage();
+
+module.exports = {
+    createFileStorage,
+    fileStorage
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local filesystem. On Render the disk is ephemeral, so
+// use the Supabase backend when files must survive a redeploy.
+class LocalFileStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.baseDir = path.resolve(options.baseDir || path.join(process.cwd(), 'storage'));
+    }
+
+    resolvePath(key) {
+        const filePath = path.resolve(this.baseDir, key);
+        if (!filePath.startsWith(this.baseDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer, contentType) {
+        const filePath = this.resolvePath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+
+        return { key, backend: this.name, contentType, bytes: buffer.length };
+    }
+
+    async read(key) {
+        try {
+            return await fs.promises.readFile(this.resolvePath(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolvePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = LocalFileStorage;
@@ -0,0 +1,46 @@
+const supabase = require('../supabaseClient');
+
+// Stores files in a Supabase Storage bucket. The bucket must already exist.
+class SupabaseFileStorage {
+    constructor(options = {}) {
+        this.name = 'supabase';
+        this.bucket = options.bucket || 'screenshots';
+    }
+
+    async save(key, buffer, contentType) {
+        const { error } = await supabase.storage
+            .from(this.bucket)
+            .upload(key, buffer, { contentType, upsert: true });
+
+        if (error) {
+            throw new Error(`Supabase Storage upload failed: ${error.message}`);
+        }
+
+        return { key, backend: this.name, contentType, bytes: buffer.length };
+    }
+
+    async read(key) {
+        const { data, error } = await supabase.storage
+            .from(this.bucket)
+            .download(key);
+
+        if (error) {
+            if (error.statusCode === '404' || /not found/i.test(error.message)) return null;
+            throw new Error(`Supabase Storage download failed: ${error.message}`);
+        }
+
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    async remove(key) {
+        const { error } = await supabase.storage
+            .from(this.bucket)
+            .remove([key]);
+
+        if (error) {
+            throw new Error(`Supabase Storage delete failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SupabaseFileStorage;
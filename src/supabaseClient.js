@@ -3,6 +3,14 @@ const { createClient } = require('@supabase/supabase-js');
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_KEY;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Without credentials (e.g. REPOSITORY_BACKEND=memory) the service still
+// starts; only the features that need Supabase fail when they are used
+const notConfigured = () => {
+    throw new Error('Supabase is not configured; set SUPABASE_URL and SUPABASE_KEY');
+};
+
+const supabase = supabaseUrl && supabaseKey
+    ? createClient(supabaseUrl, supabaseKey)
+    : { from: notConfigured, rpc: notConfigured, storage: { from: notConfigured } };
 
 module.exports = supabase;
@@ -0,0 +1,22 @@
+// Run an async mapper over items with at most `limit` calls in flight.
+// Results keep the order of the input array.
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
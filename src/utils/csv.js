@@ -0,0 +1,67 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of rows, each an array of strings. Handles
+// quoted fields with commas, quotes and line breaks, CRLF or LF line endings
+// and a leading byte order mark. Blank lines are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+// Quote a CSV field. Nested values are written as JSON, and text starting
+// with a formula character is prefixed so spreadsheets don't evaluate it.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+module.exports = {
+    parseCsv,
+    csvField,
+    csvRow
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// JSON.stringify with sorted object keys so equal values hash equally
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(value) {
+    const input = typeof value === 'string' ? value : stableStringify(value);
+    return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+module.exports = {
+    stableStringify,
+    sha256
+};
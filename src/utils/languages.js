@@ -0,0 +1,56 @@
+// Languages the prompts know by name. Other valid tags still work; the
+// prompt then names the language by its tag.
+const LANGUAGE_NAMES = {
+    en: 'English',
+    de: 'German',
+    es: 'Spanish',
+    fr: 'French',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    sv: 'Swedish',
+    da: 'Danish',
+    tr: 'Turkish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    el: 'Greek',
+    ar: 'Arabic',
+    he: 'Hebrew',
+    hi: 'Hindi',
+    th: 'Thai',
+    ja: 'Japanese',
+    ko: 'Korean',
+    zh: 'Chinese'
+};
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// "de_DE", "DE-de" and "de-de" all become "de-DE"; invalid tags become null
+function normalizeLanguageTag(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+
+    const cleaned = tag.trim().replace(/_/g, '-');
+    if (!LANGUAGE_TAG.test(cleaned)) return null;
+
+    const [primary, ...rest] = cleaned.split('-');
+    return [
+        primary.toLowerCase(),
+        ...rest.map(part => part.length === 2 ? part.toUpperCase() : part.toLowerCase())
+    ].join('-');
+}
+
+const primaryLanguage = (tag) => (tag ? tag.split('-')[0].toLowerCase() : null);
+
+function languageName(tag) {
+    const name = LANGUAGE_NAMES[primaryLanguage(tag)];
+    if (!name) return `the language with code "${tag}"`;
+    return tag.includes('-') ? `${name} (${tag})` : name;
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    normalizeLanguageTag,
+    primaryLanguage,
+    languageName
+};
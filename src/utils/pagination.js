@@ -0,0 +1,38 @@
+// Opaque cursors for keyset pagination. A cursor remembers the sort it was
+// issued for, the sort value and id of the row it points at, and whether it
+// pages forward (after that row) or backward (before it).
+function encodeCursor({ sort, order, value, id, direction }) {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id, d: direction })).toString('base64url');
+}
+
+// Returns null when the cursor is malformed
+function decodeCursor(cursor) {
+    try {
+        const { s, o, v, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof s !== 'string' || !['asc', 'desc'].includes(o) || !Number.isInteger(id) || !['next', 'prev'].includes(d)) {
+            return null;
+        }
+        return { sort: s, order: o, value: v === undefined ? null : v, id, direction: d };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Root-relative link to the current path with some query parameters
+// replaced, like the statusUrl of jobs; a null value removes the parameter
+function pageLink(req, changes) {
+    const params = new URLSearchParams();
+    Object.entries({ ...req.query, ...changes }).forEach(([name, value]) => {
+        if (value === null || value === undefined) return;
+        (Array.isArray(value) ? value : [value]).forEach(item => params.append(name, item));
+    });
+
+    const search = params.toString();
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}${search ? `?${search}` : ''}`;
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    pageLink
+};
@@ -0,0 +1,17 @@
+// Filter arguments for supabase's .filter() that restrict a query to the rows
+// of one tenant. Without a tenant (keys created without one, or
+// authentication disabled) only rows that have no tenant either match, never
+// those of every tenant.
+function tenantScope(tenantId) {
+    return tenantId ? ['tenant_id', 'eq', tenantId] : ['tenant_id', 'is', null];
+}
+
+// The same rule for rows held in memory
+function inTenant(row, tenantId) {
+    return (row.tenant_id || null) === (tenantId || null);
+}
+
+module.exports = {
+    tenantScope,
+    inTenant
+};
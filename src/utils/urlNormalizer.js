@@ -0,0 +1,38 @@
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = new Set([
+    'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'si'
+]);
+
+const isTrackingParam = (name) => {
+    const lower = name.toLowerCase();
+    return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+};
+
+// Normalize a URL so repeat analyses of the same page group together:
+// https scheme, lowercase host without "www.", no default port, no fragment,
+// no trailing slash, no tracking parameters and the remaining query sorted
+function normalizeUrl(input) {
+    const url = new URL(input);
+
+    url.protocol = 'https:';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    url.hash = '';
+    if (url.port === '80' || url.port === '443') {
+        url.port = '';
+    }
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+        url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+
+    const params = [...url.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+
+    return url.href;
+}
+
+module.exports = {
+    normalizeUrl
+};
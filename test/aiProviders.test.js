@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { AI_PROVIDERS, createAIProvider, createConfiguredProviders } = require('../src/ai');
+const MockProvider = require('../src/ai/mockProvider');
+const OpenAICompatibleProvider = require('../src/ai/openAICompatibleProvider');
+const AIEnhancementService = require('../src/services/aiEnhancementService');
+const MemoryCache = require('../src/cache/memoryCache');
+
+const PROVIDER_ENV = ['GEMINI_API_KEY', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL', 'AI_MOCK_FAIL', 'AI_MOCK_RESPONSE'];
+const DESCRIPTION = 'Acme makes anvils for coyotes and other desert professionals.';
+
+// A mock provider under another name, so several can sit in one chain
+const namedProvider = (name, options = {}) => Object.assign(new MockProvider(options), { name });
+const serviceWith = (...providers) => new AIEnhancementService({ providers, cache: new MemoryCache() });
+
+describe('createConfiguredProviders', () => {
+    const saved = {};
+
+    beforeEach(() => {
+        PROVIDER_ENV.forEach(name => {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        });
+    });
+
+    afterEach(() => {
+        PROVIDER_ENV.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    });
+
+    it('keeps the configured order and leaves out providers without credentials', () => {
+        process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1/';
+        process.env.OPENAI_MODEL = 'llama3';
+
+        const providers = createConfiguredProviders('gemini, openai,unknown,mock');
+
+        assert.deepEqual(providers.map(provider => [provider.name, provider.defaultModel]), [['openai', 'llama3'], ['mock', 'mock-1']]);
+        assert.equal(providers[0].baseUrl, 'http://localhost:11434/v1');
+    });
+
+    it('creates providers by name and rejects unknown ones', () => {
+        assert.deepEqual(AI_PROVIDERS, ['gemini', 'openai', 'mock']);
+        assert.equal(createAIProvider('gemini').isConfigured(), false);
+        assert.throws(() => createAIProvider('claude'), /Unknown AI provider "claude"/);
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('posts a chat completion and returns the first choice', async () => {
+        const post = mock.method(axios, 'post', async () => ({ data: { choices: [{ message: { content: 'Anvils.' } }] } }));
+        const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', timeoutMs: 1000 });
+
+        assert.equal(await provider.generate('Describe Acme', { model: 'gpt-test' }), 'Anvils.');
+
+        const [url, body, config] = post.mock.calls[0].arguments;
+        assert.equal(url, 'https://api.openai.com/v1/chat/completions');
+        assert.equal(body.model, 'gpt-test');
+        assert.deepEqual(body.messages, [{ role: 'user', content: 'Describe Acme' }]);
+        assert.equal(config.headers.Authorization, 'Bearer sk-test');
+    });
+
+    it('sends no Authorization header to a local server without a key', async () => {
+        const post = mock.method(axios, 'post', async () => ({ data: { choices: [] } }));
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' });
+
+        assert.equal(await provider.generate('Describe Acme'), '');
+        assert.equal(post.mock.calls[0].arguments[2].headers.Authorization, undefined);
+    });
+});
+
+describe('AIEnhancementService provider failover', () => {
+    it('moves on to the next provider when one fails or answers empty', async () => {
+        const service = serviceWith(
+            namedProvider('primary', { fail: true }),
+            namedProvider('empty', { response: '  ' }),
+            namedProvider('backup')
+        );
+
+        const description = await service.enhanceDescription(DESCRIPTION, 'Acme', 'https://acme.example');
+
+        assert.match(description, /^\[mock-1\] /);
+        assert.deepEqual(service.getStats().usedProvider, { provider: 'backup', model: 'mock-1' });
+    });
+
+    it('tries a requested provider first, with the requested model', async () => {
+        const service = serviceWith(namedProvider('primary'), namedProvider('local'));
+
+        const description = await service.enhanceDescription(DESCRIPTION, 'Acme', '', { provider: 'local', model: 'tiny' });
+
+        assert.match(description, /^\[tiny\] /);
+        assert.deepEqual(service.getStats().usedProvider, { provider: 'local', model: 'tiny' });
+        assert.deepEqual(service.getStats().providers, [{ name: 'primary', model: 'mock-1' }, { name: 'local', model: 'mock-1' }]);
+    });
+
+    it('uses the fallback enhancement when every provider fails', async () => {
+        const service = serviceWith(namedProvider('primary', { fail: true }), namedProvider('backup', { fail: true }));
+
+        const description = await service.enhanceDescription('acme makes anvils', 'Acme');
+
+        assert.equal(description, 'Acme makes anvils.');
+        assert.equal(service.getStats().usedProvider, null);
+    });
+
+    it('serves repeated prompts from the cache unless forced', async () => {
+        const provider = namedProvider('primary');
+        const generate = mock.method(provider, 'generate');
+        const service = serviceWith(provider);
+
+        await service.enhanceDescription(DESCRIPTION, 'Acme');
+        await service.enhanceDescription(DESCRIPTION, 'Acme');
+        assert.equal(generate.mock.callCount(), 1);
+        assert.deepEqual(service.getStats().usedProvider, { provider: 'primary', model: 'mock-1', cached: true });
+
+        await service.enhanceDescription(DESCRIPTION, 'Acme', '', { force: true });
+        assert.equal(generate.mock.callCount(), 2);
+    });
+
+    it('reports fallback mode without providers', () => {
+        const stats = serviceWith().getStats();
+
+        assert.equal(stats.fallbackMode, true);
+        assert.equal(stats.provider, null);
+    });
+});
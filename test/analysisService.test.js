@@ -0,0 +1,93 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { websiteRepository } = require('../src/repositories');
+const AnalysisService = require('../src/services/analysisService');
+const SiteService = require('../src/services/siteService');
+const WebsiteScrapingService = require('../src/services/scrapingService');
+const { analysisQueue } = require('../src/services/jobQueue');
+
+const RECORD = {
+    enhanced: true,
+    brand_name: 'Acme',
+    classification: { industry: 'other' },
+    seo_audit: null,
+    site_profile: null,
+    screenshots: [],
+    localized_descriptions: { de: 'Beschreibung' },
+    description_variants: null
+};
+
+const waitForJob = async (job) => {
+    while (!['succeeded', 'failed'].includes(job.status)) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return job;
+};
+
+describe('AnalysisService.recordCovers', () => {
+    const covers = (options, record = RECORD) => AnalysisService.recordCovers(record, options);
+
+    it('reuses a record that has everything the request asks for', () => {
+        assert.equal(covers({}), true);
+        assert.equal(covers({ targetLanguages: ['de'] }), true);
+        assert.equal(covers({ enhanceDescription: true, brandName: 'Acme' }), true);
+    });
+
+    it('skips records missing requested parts', () => {
+        assert.equal(covers({ seoAudit: true }), false);
+        assert.equal(covers({ crawl: true }), false);
+        assert.equal(covers({ captureScreenshot: 'viewport' }), false);
+        assert.equal(covers({ targetLanguages: ['fr'] }), false);
+        assert.equal(covers({ enhancements: [{ preset: 'tagline' }] }), false);
+    });
+
+    it('only reuses descriptions enhanced the way the request asks', () => {
+        assert.equal(covers({}, { ...RECORD, enhanced: false }), false);
+        assert.equal(covers({ enhanceDescription: false }), false);
+        assert.equal(covers({ enhanceDescription: false }, { ...RECORD, enhanced: false }), true);
+    });
+
+    it('analyzes again when a mode, provider, model or other brand name is asked for', () => {
+        assert.equal(covers({ mode: 'static' }), false);
+        assert.equal(covers({ aiProvider: 'openai' }), false);
+        assert.equal(covers({ aiModel: 'gpt-4o-mini' }), false);
+        assert.equal(covers({ brandName: 'Acme Corp' }), false);
+    });
+});
+
+describe('queued analyses', () => {
+    before(async () => {
+        const site = await SiteService.resolveSite('https://fresh.example/');
+        await websiteRepository.insertRecord({ ...RECORD, url: 'https://fresh.example/', site_id: site.id });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('finish with a fresh record instead of scraping again', async () => {
+        const scrape = mock.method(WebsiteScrapingService, 'scrapeWebsite', async () => ({ success: false }));
+        const job = await waitForJob(analysisQueue.enqueue({ url: 'https://fresh.example', options: { tenantId: null } }));
+
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.result.cached, true);
+        assert.equal(job.result.brand_name, 'Acme');
+        assert.equal(scrape.mock.callCount(), 0);
+    });
+
+    it('scrape when force is set', async () => {
+        const scrape = mock.method(WebsiteScrapingService, 'scrapeWebsite', async (url) => ({
+            success: false,
+            url,
+            error: 'Invalid URL format',
+            errorCategory: 'INVALID_URL'
+        }));
+        const job = await waitForJob(analysisQueue.enqueue({ url: 'https://fresh.example', options: { tenantId: null, force: true } }));
+
+        assert.equal(job.status, 'failed');
+        assert.equal(scrape.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { apiKeyRepository } = require('../src/repositories');
+const ApiKeyService = require('../src/services/apiKeyService');
+const { authenticate, requireScope, checkAnalysisQuota } = require('../src/middleware/auth');
+
+const fakeRes = () => ({
+    statusCode: 200,
+    headers: {},
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(payload) {
+        this.body = payload;
+        return this;
+    },
+    set(name, value) {
+        this.headers[name] = value;
+    }
+});
+
+// Runs one middleware; resolves with whether it called next, and the response
+const runMiddleware = async (middleware, req) => {
+    const res = fakeRes();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { passed, res };
+};
+
+const requestWithKey = (key) => ({
+    ip: '127.0.0.1',
+    get: name => (name === 'X-API-Key' ? key : undefined)
+});
+
+describe('ApiKeyService.authenticate', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        ApiKeyService.clearCache();
+    });
+
+    it('resolves a key to its principal and caches it', async () => {
+        const { key, record } = await ApiKeyService.create({ name: 'ci', tenantId: 'acme', scopes: ['analyze'] });
+        const lookup = mock.method(apiKeyRepository, 'findActiveKeyByHash');
+
+        const principal = await ApiKeyService.authenticate(key);
+        await ApiKeyService.authenticate(key);
+
+        assert.equal(principal.id, record.id);
+        assert.equal(principal.tenantId, 'acme');
+        assert.deepEqual(principal.scopes, ['analyze']);
+        assert.equal(lookup.mock.callCount(), 1);
+        assert.equal(record.key_hash, undefined);
+    });
+
+    it('does not cache unknown keys, so they cannot push out valid ones', async () => {
+        const { key } = await ApiKeyService.create({ name: 'ci' });
+        await ApiKeyService.authenticate(key);
+        const lookup = mock.method(apiKeyRepository, 'findActiveKeyByHash');
+
+        for (let i = 0; i < 1100; i++) {
+            assert.equal(await ApiKeyService.authenticate(`wa_unknown${i}`), null);
+        }
+        assert.equal(await ApiKeyService.authenticate('wa_unknown0'), null);
+        const callsForUnknown = lookup.mock.callCount();
+
+        assert.notEqual(await ApiKeyService.authenticate(key), null);
+        assert.equal(callsForUnknown, 1101);
+        assert.equal(lookup.mock.callCount(), callsForUnknown);
+    });
+
+    it('rejects revoked keys and keys without the prefix', async () => {
+        const { key, record } = await ApiKeyService.create({ name: 'old' });
+        await ApiKeyService.authenticate(key);
+        await ApiKeyService.revoke(record.id, null);
+
+        assert.equal(await ApiKeyService.authenticate(key), null);
+        assert.equal(await ApiKeyService.authenticate('not-a-key'), null);
+    });
+});
+
+describe('auth middleware', () => {
+    it('attaches the principal and tenant, and rejects unknown keys', async () => {
+        const { key } = await ApiKeyService.create({ name: 'tenant key', tenantId: 'acme' });
+
+        const accepted = requestWithKey(key);
+        assert.equal((await runMiddleware(authenticate, accepted)).passed, true);
+        assert.equal(accepted.tenantId, 'acme');
+
+        const rejected = await runMiddleware(authenticate, requestWithKey('wa_guess'));
+        assert.equal(rejected.passed, false);
+        assert.equal(rejected.res.statusCode, 401);
+
+        const missing = await runMiddleware(authenticate, requestWithKey(undefined));
+        assert.equal(missing.res.statusCode, 401);
+    });
+
+    it('requires the scope, which admin keys always have', async () => {
+        const reader = { apiKey: { id: 1, scopes: ['read'] } };
+        const admin = { apiKey: { id: 2, scopes: ['admin'] } };
+
+        const denied = await runMiddleware(requireScope('analyze'), reader);
+        assert.equal(denied.res.statusCode, 403);
+        assert.equal(denied.res.body.error, 'This API key lacks the "analyze" scope');
+        assert.equal((await runMiddleware(requireScope('read'), reader)).passed, true);
+        assert.equal((await runMiddleware(requireScope('webhooks'), admin)).passed, true);
+    });
+
+    it('counts analyses against the daily quota', async () => {
+        const { record } = await ApiKeyService.create({ name: 'quota', scopes: ['analyze'], dailyAnalysisQuota: 3 });
+        const req = { apiKey: { id: record.id, scopes: ['analyze'], dailyAnalysisQuota: 3 }, body: { urls: [1, 2] } };
+        const perUrl = checkAnalysisQuota(request => request.body.urls.length);
+
+        const first = await runMiddleware(perUrl, req);
+        assert.equal(first.passed, true);
+        assert.equal(first.res.headers['X-Analysis-Quota-Remaining'], '1');
+
+        const second = await runMiddleware(perUrl, req);
+        assert.equal(second.res.statusCode, 429);
+        assert.deepEqual(second.res.body.details, { quota: 3, requested: 2 });
+
+        assert.equal((await runMiddleware(checkAnalysisQuota(), req)).passed, true);
+        assert.deepEqual(await ApiKeyService.getUsage(record.id), [{
+            usage_date: new Date().toISOString().substring(0, 10),
+            analyses: 3
+        }]);
+    });
+});
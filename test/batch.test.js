@@ -0,0 +1,91 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const { validateBatchUrls } = require('../src/middleware/validation');
+const AnalysisService = require('../src/services/analysisService');
+
+// Runs the batch validators; returns the error messages and the sanitized body
+const validate = async (body) => {
+    const req = { body };
+    for (const rule of validateBatchUrls) {
+        await rule.run(req);
+    }
+    return { errors: validationResult(req).array().map(error => error.msg), body: req.body };
+};
+
+describe('validateBatchUrls', () => {
+    it('accepts the single-analyze scrape options per item', async () => {
+        const { errors, body } = await validate({
+            urls: [
+                { url: 'https://a.example', seoAudit: 'true', crawl: true, crawlMaxPages: '3', captureScreenshot: 'viewport' },
+                { url: 'https://b.example', enhanceDescription: 'false', mode: 'static' }
+            ]
+        });
+
+        assert.deepEqual(errors, []);
+        assert.equal(body.urls[0].seoAudit, true);
+        assert.equal(body.urls[0].crawlMaxPages, 3);
+        assert.equal(body.urls[1].enhanceDescription, false);
+    });
+
+    it('rejects invalid item options', async () => {
+        const { errors } = await validate({
+            urls: [{ url: 'https://a.example', seoAudit: 'sometimes', crawlMaxDepth: 9 }]
+        });
+
+        assert.deepEqual(errors, ['crawlMaxDepth must be an integer between 0 and 3', 'seoAudit must be a boolean']);
+    });
+
+    it('rejects screenshots for items scraped statically, including by the batch default', async () => {
+        const itemMode = await validate({ urls: [{ url: 'https://a.example', captureScreenshot: 'both', mode: 'static' }] });
+        const batchMode = await validate({ urls: [{ url: 'https://a.example', captureScreenshot: 'true' }], mode: 'static' });
+        const overridden = await validate({ urls: [{ url: 'https://a.example', mode: 'browser' }], mode: 'static', captureScreenshot: 'viewport' });
+
+        assert.match(itemMode.errors.join(), /captureScreenshot requires browser rendering/);
+        assert.match(batchMode.errors.join(), /captureScreenshot requires browser rendering/);
+        assert.deepEqual(overridden.errors, []);
+    });
+});
+
+describe('AnalysisService.analyzeBatch', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lets items override the batch options', async () => {
+        const calls = [];
+        mock.method(AnalysisService, 'analyzeAndStore', async (url, options) => {
+            calls.push({ url, options });
+            return { success: true, record: { id: calls.length, url }, scrapingResult: { enhanced: false, strategy: 'static' } };
+        });
+
+        const report = await AnalysisService.analyzeBatch([
+            { url: 'https://a.example', seoAudit: true, captureScreenshot: 'fullPage' },
+            { url: 'https://b.example', enhanceDescription: false, crawl: true, crawlMaxPages: 2 }
+        ], { enhanceDescription: true, mode: 'auto', seoAudit: false, tenantId: 'acme', concurrency: 1 });
+
+        assert.equal(report.succeeded, 2);
+        assert.deepEqual(calls.map(({ options }) => [options.enhanceDescription, options.seoAudit, options.captureScreenshot, options.crawl, options.crawlMaxPages]), [
+            [true, true, 'fullPage', undefined, undefined],
+            [false, false, undefined, true, 2]
+        ]);
+        assert.ok(calls.every(({ options }) => options.mode === 'auto' && options.tenantId === 'acme'));
+    });
+
+    it('reports storage failures with an existing category', async () => {
+        mock.method(AnalysisService, 'analyzeAndStore', async () => ({
+            success: false,
+            scrapingResult: { success: true },
+            storageError: new Error('connection reset')
+        }));
+
+        const { results } = await AnalysisService.analyzeBatch([{ url: 'https://a.example' }]);
+
+        assert.deepEqual(results, [{
+            url: 'https://a.example',
+            success: false,
+            error: 'Failed to store analysis result',
+            errorCategory: 'UNKNOWN_ERROR'
+        }]);
+    });
+});
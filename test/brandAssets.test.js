@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { extractBrandAssets, applyManifest } = require('../src/extractors/brandAssets');
+
+const extract = (html, structuredData) => extractBrandAssets(cheerio.load(html), 'https://acme.example/products/', structuredData);
+
+describe('extractBrandAssets', () => {
+    it('ranks logo candidates: structured data, og:image, touch icon, header image', () => {
+        const assets = extract(`
+            <meta property="og:image" content="/og.png">
+            <link rel="apple-touch-icon" sizes="180x180" href="/touch.png">
+            <header><img class="site-Logo" src="header-logo.svg"></header>
+        `, { logo: 'https://cdn.acme.example/logo.png' });
+
+        assert.deepEqual(assets.logoCandidates, [
+            { url: 'https://cdn.acme.example/logo.png', source: 'json-ld' },
+            { url: 'https://acme.example/og.png', source: 'og:image' },
+            { url: 'https://acme.example/touch.png', source: 'apple-touch-icon' },
+            { url: 'https://acme.example/products/header-logo.svg', source: 'header-img' }
+        ]);
+        assert.equal(assets.logo, 'https://cdn.acme.example/logo.png');
+    });
+
+    it('skips URLs that are not http(s) and repeats of the same URL', () => {
+        const assets = extract(`
+            <meta property="og:image" content="javascript:alert(1)">
+            <link rel="apple-touch-icon" href="/touch.png">
+            <header><img class="logo" src="/touch.png"></header>
+        `);
+
+        assert.deepEqual(assets.logoCandidates.map(candidate => candidate.source), ['apple-touch-icon']);
+    });
+
+    it('falls back to /favicon.ico when no icon is declared', () => {
+        assert.deepEqual(extract('<title>Acme</title>').favicons, [
+            { url: 'https://acme.example/favicon.ico', rel: 'icon', sizes: null, type: null }
+        ]);
+    });
+
+    it('reads theme colors and lets the manifest fill in what the page lacks', () => {
+        const assets = extract(`
+            <link rel="icon" type="image/png" sizes="32x32" href="/icon-32.png">
+            <link rel="manifest" href="/static/site.webmanifest">
+            <meta name="msapplication-TileColor" content="#ff0000">
+        `);
+        assert.equal(assets.colors.themeColor, null);
+        assert.equal(assets.colors.tileColor, '#ff0000');
+        assert.equal(assets.manifestUrl, 'https://acme.example/static/site.webmanifest');
+
+        applyManifest(assets, {
+            theme_color: '#123456',
+            background_color: '#ffffff',
+            icons: [{ src: 'icon-512.png', sizes: '512x512', type: 'image/png' }, { src: '/icon-32.png' }]
+        });
+
+        assert.equal(assets.colors.themeColor, '#123456');
+        assert.equal(assets.colors.manifestBackgroundColor, '#ffffff');
+        assert.deepEqual(assets.favicons.map(favicon => [favicon.url, favicon.rel]), [
+            ['https://acme.example/icon-32.png', 'icon'],
+            ['https://acme.example/static/icon-512.png', 'manifest']
+        ]);
+    });
+
+    it('keeps the page theme color over the manifest one', () => {
+        const assets = applyManifest(extract('<meta name="theme-color" content="#000000" media="(prefers-color-scheme: dark)">'), { theme_color: '#123456' });
+
+        assert.equal(assets.colors.themeColor, '#000000');
+        assert.deepEqual(assets.colors.themeColors, [{ color: '#000000', media: '(prefers-color-scheme: dark)' }]);
+    });
+});
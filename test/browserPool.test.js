@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../src/services/browserPool');
+
+// Stand-in for a puppeteer browser; closing it disconnects it like the real one
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.pages = [];
+    }
+
+    async createBrowserContext() {
+        return {
+            newPage: async () => {
+                const page = new EventEmitter();
+                this.pages.push(page);
+                return page;
+            },
+            close: async () => {}
+        };
+    }
+
+    async close() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+describe('BrowserPool', () => {
+    let browsers;
+
+    beforeEach(() => {
+        browsers = [];
+        mock.method(puppeteer, 'launch', async () => {
+            const browser = new FakeBrowser();
+            browsers.push(browser);
+            return browser;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const usePage = async (pool) => {
+        const { release } = await pool.acquirePage();
+        await release();
+    };
+
+    it('serves pages from one browser until it has served maxPagesPerBrowser', async () => {
+        const pool = new BrowserPool({ maxPagesPerBrowser: 2 });
+
+        await usePage(pool);
+        await usePage(pool);
+        assert.equal(browsers.length, 1);
+        assert.equal(browsers[0].connected, false);
+
+        await usePage(pool);
+        assert.equal(browsers.length, 2);
+        assert.deepEqual({ launched: pool.counters.launched, recycled: pool.counters.recycled, pagesServed: pool.counters.pagesServed }, { launched: 2, recycled: 1, pagesServed: 3 });
+        await pool.close();
+    });
+
+    it('makes callers wait for a free page and hands it over on release', async () => {
+        const pool = new BrowserPool({ maxConcurrentPages: 1 });
+        const first = await pool.acquirePage();
+
+        let secondServed = false;
+        const second = pool.acquirePage().then(lease => { secondServed = true; return lease; });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(secondServed, false);
+        assert.equal(pool.getStats().waiting, 1);
+
+        await first.release();
+        await (await second).release();
+        assert.equal(secondServed, true);
+        assert.equal(pool.getStats().activePages, 0);
+        await pool.close();
+    });
+
+    it('gives up after acquireTimeoutMs', async () => {
+        const pool = new BrowserPool({ maxConcurrentPages: 1, acquireTimeoutMs: 10 });
+        const first = await pool.acquirePage();
+
+        await assert.rejects(pool.acquirePage(), /Browser pool acquire timeout/);
+        assert.equal(pool.getStats().waiting, 0);
+
+        await first.release();
+        await pool.close();
+    });
+
+    it('replaces a browser that disconnects on its own', async () => {
+        const pool = new BrowserPool();
+        await usePage(pool);
+
+        browsers[0].connected = false;
+        browsers[0].emit('disconnected');
+        assert.equal(pool.counters.crashed, 1);
+        assert.equal(pool.entries.length, 0);
+
+        await usePage(pool);
+        assert.equal(browsers.length, 2);
+        await pool.close();
+    });
+
+    it('recycles the browser once a crashed page is released', async () => {
+        const pool = new BrowserPool();
+        const { page, release } = await pool.acquirePage();
+
+        page.emit('error', new Error('renderer crashed'));
+        await release();
+
+        assert.equal(browsers[0].connected, false);
+        assert.equal(pool.counters.recycled, 1);
+    });
+
+    it('closes browsers that sit idle', async () => {
+        const pool = new BrowserPool({ idleTimeoutMs: 10 });
+        await usePage(pool);
+        assert.equal(browsers[0].connected, true);
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(browsers[0].connected, false);
+        assert.equal(pool.entries.length, 0);
+        assert.equal(pool.counters.recycled, 0);
+    });
+});
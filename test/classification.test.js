@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CLASSIFICATION_SCHEMA,
+    validateSchema,
+    parseClassification,
+    normalizeKeywords,
+    fallbackClassification
+} = require('../src/ai/classification');
+const AIEnhancementService = require('../src/services/aiEnhancementService');
+const MemoryCache = require('../src/cache/memoryCache');
+
+const VALID = {
+    industry: 'software_saas',
+    keywords: ['accounting', 'payroll'],
+    audience: 'Small businesses',
+    businessModel: 'B2B'
+};
+
+const TEXT = 'Online accounting software for small business owners. Automate invoices and payroll from one dashboard.';
+
+describe('validateSchema', () => {
+    it('accepts a valid classification', () => {
+        assert.deepEqual(validateSchema(VALID, CLASSIFICATION_SCHEMA), []);
+    });
+
+    it('lists every problem with its path', () => {
+        const errors = validateSchema({
+            industry: 'bakery',
+            keywords: ['ok', 'x'],
+            businessModel: 'B2B',
+            confidence: 0.9
+        }, CLASSIFICATION_SCHEMA);
+
+        assert.deepEqual(errors, [
+            '$.audience is required',
+            '$.industry must be one of: ' + CLASSIFICATION_SCHEMA.properties.industry.enum.join(', '),
+            '$.keywords[1] is shorter than 2 characters',
+            '$.confidence is not allowed'
+        ]);
+    });
+
+    it('checks types before anything else', () => {
+        assert.deepEqual(validateSchema({ ...VALID, keywords: 'accounting' }, CLASSIFICATION_SCHEMA), ['$.keywords must be of type array']);
+        assert.deepEqual(validateSchema([], CLASSIFICATION_SCHEMA), ['$ must be of type object']);
+    });
+
+    it('limits the number of keywords', () => {
+        const keywords = Array.from({ length: 11 }, (_, index) => `keyword${index}`);
+        assert.deepEqual(validateSchema({ ...VALID, keywords }, CLASSIFICATION_SCHEMA), ['$.keywords allows at most 10 items']);
+    });
+});
+
+describe('parseClassification', () => {
+    it('finds the object inside code fences and prose', () => {
+        assert.deepEqual(parseClassification(`Here you go:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``), VALID);
+    });
+
+    it('returns null when there is no JSON object', () => {
+        assert.equal(parseClassification(''), null);
+        assert.equal(parseClassification('no idea'), null);
+        assert.equal(parseClassification('{ industry: software }'), null);
+    });
+});
+
+describe('normalizeKeywords', () => {
+    it('lowercases, trims and drops duplicates and blanks', () => {
+        assert.deepEqual(normalizeKeywords([' Payroll', 'payroll', 'SaaS ', ' ']), ['payroll', 'saas']);
+    });
+});
+
+describe('fallbackClassification', () => {
+    it('picks the industry with the most keyword hits', () => {
+        const result = fallbackClassification(TEXT);
+
+        assert.equal(result.industry, 'software_saas');
+        assert.equal(result.businessModel, 'B2B');
+        assert.equal(result.audience, 'Small and medium-sized businesses');
+        assert.ok(result.keywords.includes('accounting'));
+        assert.ok(!result.keywords.includes('from'));
+    });
+
+    it('uses a detected shop platform as evidence of retail', () => {
+        const text = 'Handmade candles and gifts. Free shipping on every order.';
+        assert.equal(fallbackClassification(text, [{ name: 'Shopify', category: 'E-commerce' }]).industry, 'ecommerce_retail');
+    });
+
+    it('detects marketplaces and falls back to "other"', () => {
+        const result = fallbackClassification('A place where buyers and sellers meet.');
+
+        assert.equal(result.industry, 'other');
+        assert.equal(result.businessModel, 'marketplace');
+        assert.equal(result.audience, 'Buyers and sellers');
+    });
+
+    it('handles empty input', () => {
+        assert.deepEqual(fallbackClassification(), { industry: 'other', keywords: [], audience: 'Consumers', businessModel: 'B2C' });
+    });
+});
+
+describe('AIEnhancementService.classify', () => {
+    const serviceAnswering = (answers) => {
+        const provider = {
+            name: 'scripted',
+            defaultModel: 'scripted-1',
+            prompts: [],
+            async generate(prompt) {
+                this.prompts.push(prompt);
+                return answers.shift() || '';
+            }
+        };
+        return { provider, service: new AIEnhancementService({ providers: [provider], cache: new MemoryCache() }) };
+    };
+
+    it('returns a valid answer with normalized keywords', async () => {
+        const { service } = serviceAnswering([JSON.stringify({ ...VALID, keywords: ['Accounting', 'accounting ', 'Payroll'] })]);
+        const result = await service.classify(TEXT, 'Acme');
+
+        assert.deepEqual(result.keywords, ['accounting', 'payroll']);
+        assert.equal(result.source, 'ai');
+        assert.equal(result.provider, 'scripted');
+    });
+
+    it('sends the validation errors with the second attempt', async () => {
+        const { provider, service } = serviceAnswering([JSON.stringify({ ...VALID, businessModel: 'B2G' }), JSON.stringify(VALID)]);
+        const result = await service.classify(TEXT, 'Acme');
+
+        assert.equal(result.source, 'ai');
+        assert.ok(provider.prompts[1].includes('Your previous answer was invalid: $.businessModel must be one of: B2B, B2C, marketplace'));
+    });
+
+    it('falls back to keywords after two invalid answers', async () => {
+        const { provider, service } = serviceAnswering(['not json', '{"industry": "software_saas"}']);
+        const result = await service.classify(TEXT, 'Acme');
+
+        assert.equal(provider.prompts.length, 2);
+        assert.equal(result.source, 'fallback');
+        assert.equal(result.industry, 'software_saas');
+        assert.equal(result.provider, null);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvField, csvRow, parseCsv } = require('../src/utils/csv');
+const ExportService = require('../src/services/exportService');
+
+async function* fromArray(records) {
+    yield* records;
+}
+
+const render = async (format, records, columns) => {
+    let output = '';
+    for await (const chunk of ExportService.render(format, fromArray(records), columns)) {
+        output += chunk;
+    }
+    return output;
+};
+
+describe('csvField', () => {
+    it('quotes fields with commas, quotes and line breaks', () => {
+        assert.equal(csvField('plain'), 'plain');
+        assert.equal(csvField('a,b'), '"a,b"');
+        assert.equal(csvField('say "hi"'), '"say ""hi"""');
+        assert.equal(csvField('two\nlines'), '"two\nlines"');
+    });
+
+    it('writes empty fields for null and undefined and JSON for nested values', () => {
+        assert.equal(csvField(null), '');
+        assert.equal(csvField(undefined), '');
+        assert.equal(csvField(0), '0');
+        assert.equal(csvField(false), 'false');
+        assert.equal(csvField(['seo', 'saas']), '"[""seo"",""saas""]"');
+    });
+
+    it('prefixes text that a spreadsheet would run as a formula', () => {
+        assert.equal(csvField('=HYPERLINK("http://evil.example")'), '"\'=HYPERLINK(""http://evil.example"")"');
+        assert.equal(csvField('+1 555 0100'), "'+1 555 0100");
+        assert.equal(csvField('-2+3'), "'-2+3");
+        assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(csvField('\tcmd'), "'\tcmd");
+        assert.equal(csvField('\rcmd'), '"\'\rcmd"');
+    });
+
+    it('leaves numbers and text with formula characters further in alone', () => {
+        assert.equal(csvField(-5), '-5');
+        assert.equal(csvField('a=b'), 'a=b');
+        assert.equal(csvField('mail@example.com'), 'mail@example.com');
+    });
+});
+
+describe('csvRow', () => {
+    it('joins fields and ends with CRLF', () => {
+        assert.equal(csvRow([1, 'Acme, Inc.', null, '=1+1']), '1,"Acme, Inc.",,\'=1+1\r\n');
+    });
+
+    it('reads back with parseCsv', () => {
+        const values = ['multi\r\nline', 'quote "x"', ',', ''];
+        assert.deepEqual(parseCsv(csvRow(values) + csvRow(['next'])), [values, ['next']]);
+    });
+});
+
+describe('ExportService.render', () => {
+    const records = [
+        { id: 1, url: 'https://a.example', brand_name: '=cmd', keywords: ['one', 'two'] },
+        { id: 2, url: 'https://b.example', brand_name: 'B, Ltd' }
+    ];
+
+    it('writes a header and one row per record as CSV', async () => {
+        const output = await render('csv', records, ['id', 'brand_name', 'keywords']);
+        assert.equal(output, 'id,brand_name,keywords\r\n1,\'=cmd,"[""one"",""two""]"\r\n2,"B, Ltd",\r\n');
+    });
+
+    it('writes a JSON array, empty when there are no records', async () => {
+        assert.deepEqual(JSON.parse(await render('json', records, ['id', 'keywords'])), [
+            { id: 1, keywords: ['one', 'two'] },
+            { id: 2, keywords: null }
+        ]);
+        assert.equal(await render('json', [], null), '[]');
+    });
+
+    it('writes one JSON object per line as NDJSON', async () => {
+        const lines = (await render('ndjson', records, null)).split('\n');
+        assert.equal(lines.pop(), '');
+        assert.deepEqual(lines.map(line => JSON.parse(line)), records);
+    });
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+// Serve one router on an ephemeral port as the given API key would see it.
+// principal is req.apiKey; its tenantId becomes req.tenantId.
+const startApp = async (path, router, principal = { id: 1, tenantId: null, scopes: ['admin'] }) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.apiKey = principal;
+        req.tenantId = principal.tenantId;
+        next();
+    });
+    app.use(path, router);
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}${path}`;
+
+    return {
+        async request(method, url, body) {
+            const response = await fetch(`${base}${url}`, {
+                method,
+                headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            const text = await response.text();
+            return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = {
+    startApp
+};
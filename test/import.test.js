@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../src/utils/csv');
+const { validateImportFile } = require('../src/middleware/validation');
+
+// Runs the middleware and returns either the parsed rows or the response
+const importFile = async (body) => {
+    const req = { body };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+    let passed = false;
+
+    await validateImportFile(req, res, () => { passed = true; });
+    return passed ? { rows: req.importRows } : { status: res.statusCode, body: res.body };
+};
+
+describe('parseCsv', () => {
+    it('splits rows and fields', () => {
+        assert.deepEqual(parseCsv('url,brand\nhttps://a.example,A\n'), [['url', 'brand'], ['https://a.example', 'A']]);
+    });
+
+    it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+        assert.deepEqual(parseCsv('"a,b","say ""hi""","two\r\nlines"'), [['a,b', 'say "hi"', 'two\r\nlines']]);
+    });
+
+    it('accepts CRLF, a byte order mark and skips blank lines', () => {
+        assert.deepEqual(parseCsv('\ufeffurl\r\n\r\nhttps://a.example\r\n\n'), [['url'], ['https://a.example']]);
+    });
+
+    it('keeps empty fields and a last line without a line break', () => {
+        assert.deepEqual(parseCsv('a,,c\n,'), [['a', '', 'c'], ['', '']]);
+    });
+
+    it('returns no rows for empty input', () => {
+        assert.deepEqual(parseCsv(''), []);
+    });
+});
+
+describe('validateImportFile', () => {
+    it('rejects bodies that are not CSV text', async () => {
+        assert.equal((await importFile({ url: 'https://a.example' })).status, 415);
+    });
+
+    it('rejects files without data rows or a url column', async () => {
+        const empty = await importFile('url\n');
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.details[0].message, 'CSV needs a header row and at least one data row');
+
+        const noUrl = await importFile('brand,tags\nAcme,saas\n');
+        assert.equal(noUrl.body.details[0].message, 'CSV header needs a url column');
+    });
+
+    it('maps header aliases in any order and case', async () => {
+        const { rows } = await importFile('Tag, Brand ,Website\n"SaaS; b2b|SaaS",Acme,https://acme.example\n');
+
+        assert.deepEqual(rows, [{
+            rowNumber: 1,
+            url: 'https://acme.example',
+            brandName: 'Acme',
+            tags: ['saas', 'b2b'],
+            status: 'queued',
+            errors: null
+        }]);
+    });
+
+    it('reports invalid rows and duplicates per row', async () => {
+        const { rows } = await importFile([
+            'url,brand_name,tags',
+            'https://acme.example/?utm_source=mail,Acme,',
+            'not a url,,',
+            'HTTPS://ACME.example/,Acme again,',
+            `https://b.example,,${Array.from({ length: 11 }, (_, index) => `t${index}`).join(';')}`
+        ].join('\n'));
+
+        assert.deepEqual(rows.map(row => row.status), ['queued', 'invalid', 'duplicate', 'invalid']);
+        assert.deepEqual(rows[1].errors, ['Valid HTTP/HTTPS URL is required']);
+        assert.deepEqual(rows[2].errors, ['Same page as row 1']);
+        assert.deepEqual(rows[3].errors, ['At most 10 tags are allowed']);
+        assert.equal(rows[1].brandName, null);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { JobQueue, analysisQueue } = require('../src/services/jobQueue');
+const AnalysisService = require('../src/services/analysisService');
+
+// Resolves once the job has succeeded or failed
+const settled = (queue, job) => new Promise(resolve => {
+    const check = () => (['succeeded', 'failed'].includes(queue.get(job.id).status) ? resolve(queue.get(job.id)) : setTimeout(check, 5));
+    check();
+});
+
+describe('JobQueue', () => {
+    it('runs a job and keeps its result for polling', async () => {
+        const queue = new JobQueue(async ({ url }) => ({ success: true, result: { url } }));
+        const job = queue.enqueue({ url: 'https://example.com' });
+        assert.equal(job.status, 'queued');
+
+        const done = await settled(queue, job);
+        assert.equal(done.status, 'succeeded');
+        assert.equal(done.attempts, 1);
+        assert.deepEqual(queue.toJSON(done).result, { url: 'https://example.com' });
+        assert.equal(queue.getStats().succeeded, 1);
+    });
+
+    it('retries retryable failures with a doubling delay until maxAttempts', async () => {
+        const startedAt = [];
+        const queue = new JobQueue(async () => {
+            startedAt.push(Date.now());
+            return { success: false, error: 'Timed out', errorCategory: 'TIMEOUT' };
+        }, { maxAttempts: 3, retryDelayMs: 20 });
+
+        const done = await settled(queue, queue.enqueue({ url: 'https://slow.example' }));
+
+        assert.equal(done.status, 'failed');
+        assert.equal(done.attempts, 3);
+        assert.equal(done.errorCategory, 'TIMEOUT');
+        assert.ok(startedAt[1] - startedAt[0] >= 19);
+        assert.ok(startedAt[2] - startedAt[1] >= 39);
+    });
+
+    it('succeeds on a later attempt', async () => {
+        let calls = 0;
+        const queue = new JobQueue(async () => (++calls < 2
+            ? { success: false, error: 'Refused', errorCategory: 'CONNECTION_REFUSED' }
+            : { success: true, result: { ok: true } }), { retryDelayMs: 1 });
+
+        const done = await settled(queue, queue.enqueue({ url: 'https://flaky.example' }));
+        assert.equal(done.status, 'succeeded');
+        assert.equal(done.attempts, 2);
+        assert.equal(done.error, null);
+    });
+
+    it('fails at once on categories that are not retryable', async () => {
+        const queue = new JobQueue(async () => ({ success: false, error: 'Not found', errorCategory: 'NOT_FOUND' }), { retryDelayMs: 1 });
+        const done = await settled(queue, queue.enqueue({ url: 'https://gone.example' }));
+
+        assert.equal(done.status, 'failed');
+        assert.equal(done.attempts, 1);
+        assert.equal(queue.willRetry({ attempts: 1, maxAttempts: 3 }, 'NOT_FOUND'), false);
+        assert.equal(queue.willRetry({ attempts: 3, maxAttempts: 3 }, 'TIMEOUT'), false);
+    });
+
+    it('reports a handler that throws as UNKNOWN_ERROR', async () => {
+        const queue = new JobQueue(async () => { throw new Error('boom'); });
+        const done = await settled(queue, queue.enqueue({ url: 'https://example.com' }));
+
+        assert.equal(done.status, 'failed');
+        assert.equal(done.error, 'boom');
+        assert.equal(done.errorCategory, 'UNKNOWN_ERROR');
+    });
+
+    it('runs no more jobs at once than its concurrency', async () => {
+        let running = 0;
+        let peak = 0;
+        const queue = new JobQueue(async () => {
+            peak = Math.max(peak, ++running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+            return { success: true };
+        }, { concurrency: 2 });
+
+        const jobs = [1, 2, 3, 4, 5].map(index => queue.enqueue({ url: `https://example.com/${index}` }));
+        await Promise.all(jobs.map(job => settled(queue, job)));
+
+        assert.equal(peak, 2);
+    });
+
+    it('refuses new jobs while maxQueued are waiting', () => {
+        const queue = new JobQueue(async () => ({ success: true }), { maxQueued: 2 });
+
+        assert.notEqual(queue.enqueue({ url: 'https://a.example' }), null);
+        assert.notEqual(queue.enqueue({ url: 'https://b.example' }), null);
+        assert.equal(queue.enqueue({ url: 'https://c.example' }), null);
+    });
+});
+
+describe('analysisQueue', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('answers with a fresh record instead of analyzing again', async () => {
+        mock.method(AnalysisService, 'findFreshRecord', async () => ({ id: 7, url: 'https://example.com', created_at: '2025-01-01T00:00:00Z' }));
+        const analyze = mock.method(AnalysisService, 'analyzeAndStore', async () => assert.fail('analyzed again'));
+
+        const done = await settled(analysisQueue, analysisQueue.enqueue({ url: 'https://example.com', options: {} }));
+
+        assert.equal(done.status, 'succeeded');
+        assert.equal(done.result.id, 7);
+        assert.equal(done.result.cached, true);
+        assert.equal(analyze.mock.callCount(), 0);
+    });
+
+    it('analyzes again with force', async () => {
+        const lookup = mock.method(AnalysisService, 'findFreshRecord', async () => ({ id: 7 }));
+        mock.method(AnalysisService, 'analyzeAndStore', async () => ({ success: true, record: { id: 8 }, scrapingResult: { enhanced: false, strategy: 'static' } }));
+
+        const done = await settled(analysisQueue, analysisQueue.enqueue({ url: 'https://example.com', options: { force: true } }));
+
+        assert.equal(done.status, 'succeeded');
+        assert.equal(done.result.id, 8);
+        assert.equal(done.result.strategy, 'static');
+        assert.equal(lookup.mock.callCount(), 0);
+    });
+});
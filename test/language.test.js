@@ -0,0 +1,102 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { detectLanguage, detectTextLanguage } = require('../src/extractors/language');
+const { normalizeLanguageTag, languageName } = require('../src/utils/languages');
+const MockProvider = require('../src/ai/mockProvider');
+const AIEnhancementService = require('../src/services/aiEnhancementService');
+const MemoryCache = require('../src/cache/memoryCache');
+
+const GERMAN = 'Wir sind ein Familienunternehmen und die Qualität unserer Produkte ist für uns das Wichtigste. Sie finden bei uns eine große Auswahl mit der besten Beratung.';
+const ENGLISH = 'We are a family business and the quality of our products is what matters most to you and to us. You will find the best advice for your home with our team.';
+
+const page = (html) => cheerio.load(html);
+
+describe('normalizeLanguageTag', () => {
+    it('normalizes separators and case, and rejects invalid tags', () => {
+        assert.equal(normalizeLanguageTag('de_de'), 'de-DE');
+        assert.equal(normalizeLanguageTag(' EN-us '), 'en-US');
+        assert.equal(normalizeLanguageTag('zh-hant'), 'zh-hant');
+        assert.equal(normalizeLanguageTag('english'), null);
+        assert.equal(normalizeLanguageTag(''), null);
+    });
+
+    it('names languages for prompts, including unknown tags', () => {
+        assert.equal(languageName('de'), 'German');
+        assert.equal(languageName('pt-BR'), 'Portuguese (pt-BR)');
+        assert.equal(languageName('xx'), 'the language with code "xx"');
+    });
+});
+
+describe('detectTextLanguage', () => {
+    it('recognizes languages by their stopwords', () => {
+        assert.equal(detectTextLanguage(GERMAN).language, 'de');
+        assert.equal(detectTextLanguage(ENGLISH).language, 'en');
+    });
+
+    it('recognizes Japanese by kana even among kanji', () => {
+        assert.equal(detectTextLanguage('東京の会社です。私たちは高品質な製品を提供します。').language, 'ja');
+        assert.equal(detectTextLanguage('Добро пожаловать в наш магазин').language, 'ru');
+    });
+
+    it('gives no answer for too little text', () => {
+        assert.equal(detectTextLanguage('Acme GmbH'), null);
+        assert.equal(detectTextLanguage('12345'), null);
+    });
+});
+
+describe('detectLanguage', () => {
+    it('prefers <html lang>, then Content-Language, then og:locale', () => {
+        const $ = page('<html lang="de_AT"><head><meta property="og:locale" content="en_GB"></head><body>Hallo</body></html>');
+
+        assert.deepEqual(detectLanguage($, { 'content-language': 'fr-FR, en' }), {
+            language: 'de-AT',
+            source: 'htmlLang',
+            declared: { htmlLang: 'de-AT', contentLanguage: 'fr-FR', ogLocale: 'en-GB' },
+            detected: null
+        });
+        assert.equal(detectLanguage(page('<body>Hallo</body>'), { 'content-language': 'es' }).source, 'contentLanguage');
+    });
+
+    it('keeps a declaration the text agrees with', () => {
+        const result = detectLanguage(page(`<html lang="de-DE"><body><p>${GERMAN}</p></body></html>`));
+
+        assert.equal(result.language, 'de-DE');
+        assert.equal(result.source, 'htmlLang');
+    });
+
+    it('overrides a stale declaration when the text clearly says otherwise', () => {
+        const result = detectLanguage(page(`<html lang="en"><body><p>${GERMAN}</p><script>var the = "and of to";</script></body></html>`));
+
+        assert.equal(result.language, 'de');
+        assert.equal(result.source, 'text');
+        assert.equal(result.declared.htmlLang, 'en');
+    });
+
+    it('falls back to the text when nothing is declared', () => {
+        const result = detectLanguage(page('<body><p>ようこそ、私たちのお店へ。</p></body>'));
+
+        assert.deepEqual([result.language, result.source], ['ja', 'text']);
+    });
+});
+
+describe('AIEnhancementService.localizeDescriptions', () => {
+    it('writes one description per target language and records the provider', async () => {
+        const provider = new MockProvider({ response: 'Localized description.' });
+        const generate = mock.method(provider, 'generate');
+        const service = new AIEnhancementService({ providers: [provider], cache: new MemoryCache() });
+
+        const localized = await service.localizeDescriptions('Acme makes anvils.', 'Acme', ['de', 'ja-JP']);
+
+        assert.deepEqual(Object.keys(localized), ['de', 'ja-JP']);
+        assert.deepEqual(localized.de, { description: 'Localized description.', provider: 'mock', model: 'mock-1' });
+        assert.match(generate.mock.calls[0].arguments[0], /German/);
+        assert.match(generate.mock.calls[1].arguments[0], /Japanese \(ja-JP\)/);
+    });
+
+    it('leaves out languages no provider could write', async () => {
+        const service = new AIEnhancementService({ providers: [new MockProvider({ fail: true })], cache: new MemoryCache() });
+
+        assert.deepEqual(await service.localizeDescriptions('Acme makes anvils.', 'Acme', ['de']), {});
+    });
+});
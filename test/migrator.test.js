@@ -0,0 +1,127 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../src/database/migrator');
+
+const writeMigrations = (dir, files) => {
+    fs.mkdirSync(dir);
+    for (const [file, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), contents);
+    }
+    return dir;
+};
+
+const migration = (up, down) => `module.exports = ${JSON.stringify({ up, down })};\n`;
+
+describe('Migrator.loadMigrations', () => {
+    let root;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('orders files by version number, not by name', () => {
+        const dir = writeMigrations(path.join(root, 'ordered'), {
+            '10_add_index.js': migration('CREATE INDEX'),
+            '002_add_column.js': migration('ALTER TABLE', 'ALTER TABLE DROP'),
+            '1_initial.js': migration('CREATE TABLE'),
+            'README.md': '# notes',
+            'helper.js': 'module.exports = {};'
+        });
+
+        assert.deepEqual(Migrator.loadMigrations(dir).map(({ version, name }) => `${version}:${name}`), [
+            '1:initial',
+            '2:add_column',
+            '10:add_index'
+        ]);
+    });
+
+    it('rejects two files with the same version', () => {
+        const dir = writeMigrations(path.join(root, 'duplicate'), {
+            '003_one.js': migration('SELECT 1'),
+            '3_two.js': migration('SELECT 2')
+        });
+
+        assert.throws(() => Migrator.loadMigrations(dir), /Duplicate migration version 3/);
+    });
+
+    it('rejects a migration without up SQL', () => {
+        const dir = writeMigrations(path.join(root, 'no-up'), {
+            '001_broken.js': 'module.exports = { down: "DROP TABLE x" };'
+        });
+
+        assert.throws(() => Migrator.loadMigrations(dir), /Migration 1_broken has no up SQL/);
+    });
+
+    it('loads the migrations shipped with the service in sequence', () => {
+        const versions = Migrator.loadMigrations().map(({ version }) => version);
+        assert.deepEqual(versions, versions.map((_, index) => index + 1));
+    });
+
+    it('can roll back every migration shipped with the service', () => {
+        const irreversible = Migrator.loadMigrations().filter(({ down }) => typeof down !== 'string' || down.trim() === '');
+        assert.deepEqual(irreversible, []);
+    });
+});
+
+describe('Migrator.up and Migrator.down', () => {
+    const migrations = [1, 2, 3, 4].map(version => ({ version, name: `step${version}`, up: `UP ${version}`, down: `DOWN ${version}` }));
+    let applied;
+
+    const useDatabase = (appliedVersions) => {
+        applied = [];
+        mock.method(Migrator, 'loadMigrations', () => migrations);
+        mock.method(Migrator, 'appliedVersions', async () => appliedVersions.map(version => ({ version, name: `step${version}` })));
+        mock.method(Migrator, 'apply', async (item, direction) => { applied.push(`${direction} ${item.version}`); });
+    };
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('applies pending migrations oldest first', async () => {
+        useDatabase([1]);
+        const result = await Migrator.up();
+
+        assert.deepEqual(applied, ['up 2', 'up 3', 'up 4']);
+        assert.deepEqual(result.map(item => item.version), [2, 3, 4]);
+    });
+
+    it('stops at the target version', async () => {
+        useDatabase([]);
+        await Migrator.up({ to: 2 });
+        assert.deepEqual(applied, ['up 1', 'up 2']);
+    });
+
+    it('rolls back newest first', async () => {
+        useDatabase([1, 2, 3]);
+        await Migrator.down({ steps: 2 });
+        assert.deepEqual(applied, ['down 3', 'down 2']);
+
+        useDatabase([1, 2, 3, 4]);
+        await Migrator.down({ to: 1 });
+        assert.deepEqual(applied, ['down 4', 'down 3', 'down 2']);
+    });
+
+    it('reports pending and unknown versions', async () => {
+        useDatabase([1, 2, 7]);
+        const status = await Migrator.status();
+
+        assert.equal(status.current, 7);
+        assert.equal(status.latest, 4);
+        assert.deepEqual(status.pending.map(item => item.version), [3, 4]);
+        assert.deepEqual(status.unknown.map(item => item.version), [7]);
+    });
+
+    it('refuses to roll back an applied migration without a file', async () => {
+        useDatabase([1, 7]);
+        await assert.rejects(Migrator.down(), /Migration 7_step7 is applied but its file is missing/);
+        assert.deepEqual(applied, []);
+    });
+});
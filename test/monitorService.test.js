@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const MonitorService = require('../src/services/monitorService');
+const AnalysisService = require('../src/services/analysisService');
+const SiteService = require('../src/services/siteService');
+const ApiKeyService = require('../src/services/apiKeyService');
+const { MonitorScheduler } = require('../src/services/monitorScheduler');
+const { eventBus } = require('../src/services/eventBus');
+const { websiteRepository } = require('../src/repositories');
+
+describe('monitors', () => {
+    let pages;
+    let analyze;
+
+    // Every analysis stores a snapshot of what pages[url] currently shows
+    beforeEach(() => {
+        pages = {};
+        analyze = mock.method(AnalysisService, 'analyzeAndStore', async (url, options) => {
+            if (!pages[url]) {
+                return { success: false, scrapingResult: { error: 'Request timed out', errorCategory: 'TIMEOUT' } };
+            }
+            const site = await SiteService.resolveSite(url);
+            const record = await websiteRepository.insertRecord({ url, site_id: site.id, tenant_id: options.tenantId, ...pages[url] });
+            return { success: true, record, scrapingResult: {} };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const createMonitor = (url, fields = {}, apiKey = { id: null, tenantId: 'acme' }) =>
+        MonitorService.create({ url, intervalMinutes: 60, ...fields }, apiKey);
+
+    it('records a baseline first and a change event when a watched field changes', async () => {
+        const url = 'https://change.example';
+        const monitor = await createMonitor(url);
+
+        pages[url] = { brand_name: 'Acme', raw_description: 'Anvils' };
+        assert.equal(await MonitorService.run(monitor), null);
+        assert.equal((await MonitorService.get(monitor.id, 'acme')).last_status, 'succeeded');
+
+        pages[url] = { brand_name: 'Acme', raw_description: 'Anvils and rockets' };
+        const event = await MonitorService.run(monitor);
+
+        assert.deepEqual(event.changed_fields, ['raw_description']);
+        assert.equal(event.tenant_id, 'acme');
+        assert.deepEqual((await MonitorService.listEvents({ monitorId: monitor.id, tenantId: 'acme' })).map(item => item.id), [event.id]);
+    });
+
+    it('ignores changes to fields it does not watch', async () => {
+        const url = 'https://unwatched.example';
+        const monitor = await createMonitor(url, { watchFields: ['brand_name'] });
+
+        pages[url] = { brand_name: 'Acme', raw_description: 'Anvils' };
+        await MonitorService.run(monitor);
+        pages[url] = { brand_name: 'Acme', raw_description: 'Rockets' };
+
+        assert.equal(await MonitorService.run(monitor), null);
+    });
+
+    it('records a failed run with its error category', async () => {
+        const monitor = await createMonitor('https://down.example');
+
+        assert.equal(await MonitorService.run(monitor), null);
+        const stored = await MonitorService.get(monitor.id, 'acme');
+        assert.equal(stored.last_status, 'failed');
+        assert.equal(stored.last_error, 'TIMEOUT: Request timed out');
+    });
+
+    it('stops running once the owning API key is revoked', async () => {
+        const { record: key } = await ApiKeyService.create({ name: 'monitors', tenantId: 'acme', scopes: ['analyze'] });
+        const url = 'https://revoked.example';
+        const monitor = await createMonitor(url, {}, { id: key.id, tenantId: 'acme' });
+        pages[url] = { brand_name: 'Acme' };
+        await ApiKeyService.revoke(key.id, 'acme');
+
+        assert.equal(await MonitorService.run(monitor), null);
+        assert.match((await MonitorService.get(monitor.id, 'acme')).last_error, /^API_KEY_REVOKED/);
+        assert.equal(analyze.mock.callCount(), 0);
+    });
+
+    it('runs a due monitor once when two schedulers poll at the same time and announces changes', async () => {
+        const url = 'https://scheduled.example';
+        pages[url] = { brand_name: 'Acme' };
+        const monitor = await createMonitor(url, {}, { id: null, tenantId: 'scheduled' });
+        await MonitorService.run(monitor);
+        pages[url] = { brand_name: 'Acme Rockets' };
+
+        const runsBefore = analyze.mock.callCount();
+        const announced = [];
+        const listener = data => data.tenantId === 'scheduled' && announced.push(data);
+        eventBus.on('monitor.changed', listener);
+
+        const first = new MonitorScheduler();
+        const second = new MonitorScheduler();
+        await Promise.all([first.tick(), second.tick()]);
+        eventBus.off('monitor.changed', listener);
+
+        const runs = analyze.mock.calls.slice(runsBefore).filter(call => call.arguments[0] === url);
+        assert.equal(runs.length, 1);
+        assert.equal(announced.length, 1);
+        assert.deepEqual(announced[0].event.changed_fields, ['brand_name']);
+        assert.ok(Date.parse((await MonitorService.get(monitor.id, 'scheduled')).next_run_at) > Date.now());
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { encodeCursor, decodeCursor } = require('../src/utils/pagination');
+const { websiteRepository } = require('../src/repositories');
+const AnalysisService = require('../src/services/analysisService');
+
+const encodeJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('cursors', () => {
+    it('round-trip through an opaque string', () => {
+        const position = { sort: 'brandName', order: 'asc', value: 'Acme', id: 42, direction: 'next' };
+        const cursor = encodeCursor(position);
+
+        assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeCursor(cursor), position);
+    });
+
+    it('keep a missing sort value as null', () => {
+        const cursor = encodeCursor({ sort: 'seoScore', order: 'desc', value: undefined, id: 7, direction: 'prev' });
+        assert.deepEqual(decodeCursor(cursor), { sort: 'seoScore', order: 'desc', value: null, id: 7, direction: 'prev' });
+    });
+
+    it('decode malformed input to null', () => {
+        assert.equal(decodeCursor('not a cursor'), null);
+        assert.equal(decodeCursor(encodeJson(['array'])), null);
+        assert.equal(decodeCursor(encodeJson({ s: 'createdAt', o: 'sideways', v: null, id: 1, d: 'next' })), null);
+        assert.equal(decodeCursor(encodeJson({ s: 'createdAt', o: 'asc', v: null, id: '1', d: 'next' })), null);
+        assert.equal(decodeCursor(encodeJson({ s: 'createdAt', o: 'asc', v: null, id: 1, d: 'up' })), null);
+    });
+});
+
+describe('AnalysisService.list', () => {
+    before(async () => {
+        const site = await websiteRepository.upsertSite('https://example.com/');
+        for (const brand of ['Delta', 'Alpha', 'Echo', 'Charlie', 'Bravo']) {
+            await websiteRepository.insertRecord({ url: 'https://example.com', site_id: site.id, brand_name: brand });
+        }
+    });
+
+    it('pages forward and back with the cursors it returns', async () => {
+        const params = { sort: 'brandName', order: 'asc', limit: 2 };
+        const brands = page => page.records.map(record => record.brand_name);
+
+        const first = await AnalysisService.list(params, null);
+        assert.deepEqual(brands(first), ['Alpha', 'Bravo']);
+        assert.equal(first.total, 5);
+        assert.equal(first.prevCursor, null);
+
+        const second = await AnalysisService.list({ ...params, cursor: decodeCursor(first.nextCursor) }, null);
+        assert.deepEqual(brands(second), ['Charlie', 'Delta']);
+
+        const third = await AnalysisService.list({ ...params, cursor: decodeCursor(second.nextCursor) }, null);
+        assert.deepEqual(brands(third), ['Echo']);
+        assert.equal(third.nextCursor, null);
+
+        const back = await AnalysisService.list({ ...params, cursor: decodeCursor(third.prevCursor) }, null);
+        assert.deepEqual(brands(back), ['Charlie', 'Delta']);
+    });
+
+    it('does not skip or repeat rows inserted between pages', async () => {
+        const params = { sort: 'createdAt', order: 'desc', limit: 3 };
+        const first = await AnalysisService.list(params, null);
+
+        const site = await websiteRepository.upsertSite('https://example.com/');
+        await websiteRepository.insertRecord({ url: 'https://example.com', site_id: site.id, brand_name: 'Foxtrot' });
+
+        const second = await AnalysisService.list({ ...params, cursor: decodeCursor(first.nextCursor) }, null);
+        const seen = [...first.records, ...second.records].map(record => record.brand_name);
+
+        assert.equal(new Set(seen).size, 5);
+        assert.ok(!seen.includes('Foxtrot'));
+    });
+
+    it('leaves out only records whose SEO audit found errors with noSeoErrors', async () => {
+        const tenantId = 'seo-tenant';
+        const audit = errors => ({ summary: { error: errors, warning: 1 } });
+        await websiteRepository.insertRecord({ url: 'https://clean.example', tenant_id: tenantId, brand_name: 'Clean', seo_audit: audit(0) });
+        await websiteRepository.insertRecord({ url: 'https://broken.example', tenant_id: tenantId, brand_name: 'Broken', seo_audit: audit(2) });
+        await websiteRepository.insertRecord({ url: 'https://unaudited.example', tenant_id: tenantId, brand_name: 'Unaudited' });
+
+        const page = await AnalysisService.list({ sort: 'brandName', order: 'asc', noSeoErrors: true }, tenantId);
+        assert.deepEqual(page.records.map(record => record.brand_name), ['Clean', 'Unaudited']);
+    });
+});
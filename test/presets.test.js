@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ENHANCEMENT_PRESETS,
+    checkPresetLimits,
+    describePresetLimits,
+    trimToPresetLimits
+} = require('../src/ai/presets');
+const AIEnhancementService = require('../src/services/aiEnhancementService');
+const MemoryCache = require('../src/cache/memoryCache');
+
+const SOURCE = 'Acme builds accounting software for small businesses. It automates invoices, payroll and tax filing so owners can focus on their customers.';
+
+// Answers prompts in order from a list and records them
+const scriptedProvider = (answers) => ({
+    name: 'scripted',
+    defaultModel: 'scripted-1',
+    prompts: [],
+    async generate(prompt) {
+        this.prompts.push(prompt);
+        return answers.shift() || '';
+    }
+});
+
+const serviceWith = (provider) => new AIEnhancementService({ providers: [provider], cache: new MemoryCache() });
+
+describe('preset limits', () => {
+    it('reports each violated rule', () => {
+        const { violations } = checkPresetLimits('Too short\nfor a meta', ENHANCEMENT_PRESETS.seoMeta);
+        assert.deepEqual(violations, ['shorter than 70 characters', 'more than one line']);
+    });
+
+    it('treats the bounds as inclusive', () => {
+        const check = checkPresetLimits('x'.repeat(80), ENHANCEMENT_PRESETS.tagline);
+        assert.equal(check.chars, 80);
+        assert.deepEqual(check.violations, []);
+    });
+
+    it('describes the rules for prompts', () => {
+        assert.equal(describePresetLimits(ENHANCEMENT_PRESETS.seoMeta), 'between 70 and 160 characters, a single line');
+        assert.equal(describePresetLimits(ENHANCEMENT_PRESETS.tagline), 'at most 80 characters, at most 12 words, a single line');
+    });
+
+    it('trims to the maximums at a word boundary', () => {
+        const trimmed = trimToPresetLimits('one two three four five six seven eight nine ten eleven twelve thirteen', ENHANCEMENT_PRESETS.tagline);
+        assert.equal(trimmed, 'one two three four five six seven eight nine ten eleven twelve');
+
+        const long = trimToPresetLimits(`${'word '.repeat(40)}end`, ENHANCEMENT_PRESETS.seoMeta);
+        assert.ok(long.length <= 160);
+        assert.ok(long.endsWith('word'));
+    });
+});
+
+describe('AIEnhancementService.generateVariants', () => {
+    it('writes the requested number of variants for each preset', async () => {
+        const meta = 'Acme is accounting software for small businesses that automates invoices, payroll and tax filing.';
+        const provider = scriptedProvider(['Books that balance themselves', 'Accounting on autopilot', meta]);
+        const results = await serviceWith(provider).generateVariants(SOURCE, 'Acme', 'https://acme.example', [
+            { preset: 'tagline', variants: 2 },
+            { preset: 'seoMeta' }
+        ]);
+
+        assert.deepEqual(results.tagline.map(variant => variant.text), ['Books that balance themselves', 'Accounting on autopilot']);
+        assert.deepEqual(results.seoMeta.map(variant => variant.text), [meta]);
+        assert.ok([...results.tagline, ...results.seoMeta].every(variant => variant.valid && variant.provider === 'scripted'));
+    });
+
+    it('asks later variants to differ from the earlier ones', async () => {
+        const provider = scriptedProvider(['First tagline', 'Second tagline']);
+        await serviceWith(provider).generateVariants(SOURCE, 'Acme', '', [{ preset: 'tagline', variants: 2 }]);
+
+        assert.ok(!provider.prompts[0].includes('clearly different'));
+        assert.ok(provider.prompts[1].includes('- First tagline'));
+    });
+
+    it('retries with feedback, then trims what is still too long', async () => {
+        const tooLong = 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen';
+        const provider = scriptedProvider([tooLong, tooLong]);
+        const { tagline: [variant] } = await serviceWith(provider).generateVariants(SOURCE, 'Acme', '', [{ preset: 'tagline' }]);
+
+        assert.equal(provider.prompts.length, 2);
+        assert.ok(provider.prompts[1].includes('which is more than 12 words'));
+        assert.equal(variant.words, 12);
+        assert.equal(variant.valid, true);
+        assert.equal(variant.adjusted, true);
+    });
+
+    it('makes one fallback variant without AI', async () => {
+        const service = new AIEnhancementService({ providers: [], cache: new MemoryCache() });
+        const results = await service.generateVariants(SOURCE, 'Acme', '', [
+            { preset: 'tagline', variants: 3 },
+            { preset: 'seoMeta', variants: 2 }
+        ]);
+
+        assert.equal(results.tagline.length, 1);
+        assert.equal(results.tagline[0].text, 'Acme builds accounting software for small businesses');
+        assert.equal(results.tagline[0].provider, 'fallback');
+        assert.equal(results.seoMeta.length, 1);
+        assert.ok(results.seoMeta[0].chars <= 160);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { RobotsService, parseRobotsTxt } = require('../src/services/robotsService');
+
+const ROBOTS_TXT = `
+# Comments and blank lines are ignored
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Crawl-delay: 2
+
+User-agent: WebsiteAnalysisBot
+User-agent: OtherBot
+Disallow: /no-bots$
+Disallow: /*.pdf$
+Allow: /no-bots/*
+Crawl-delay: 1
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+const serveRobots = (status, data) => mock.method(axios, 'get', async () => ({ status, data }));
+
+describe('parseRobotsTxt', () => {
+    it('groups consecutive user-agent lines and collects sitemaps', () => {
+        const { groups, sitemaps } = parseRobotsTxt(ROBOTS_TXT);
+
+        assert.equal(groups.length, 2);
+        assert.deepEqual(groups[0].agents, ['*']);
+        assert.deepEqual(groups[1].agents, ['websiteanalysisbot', 'otherbot']);
+        assert.equal(groups[0].crawlDelay, 2);
+        assert.equal(groups[1].crawlDelay, 1);
+        assert.deepEqual(sitemaps, ['https://example.com/sitemap.xml']);
+    });
+
+    it('keeps Allow and Disallow rules in file order', () => {
+        const { groups } = parseRobotsTxt(ROBOTS_TXT);
+
+        assert.deepEqual(groups[0].rules.map(rule => [rule.allow, rule.path]), [
+            [false, '/private'],
+            [true, '/private/public']
+        ]);
+    });
+
+    it('ignores an empty Disallow, rules before any user-agent and invalid crawl delays', () => {
+        const { groups } = parseRobotsTxt('Disallow: /before\nUser-agent: *\nDisallow:\nCrawl-delay: soon\n');
+
+        assert.equal(groups.length, 1);
+        assert.deepEqual(groups[0].rules, []);
+        assert.equal(groups[0].crawlDelay, null);
+    });
+
+    it('accepts CRLF line endings', () => {
+        const { groups } = parseRobotsTxt('User-agent: *\r\nDisallow: /a\r\n');
+
+        assert.equal(groups[0].rules[0].path, '/a');
+    });
+});
+
+describe('RobotsService.check', () => {
+    afterEach(() => mock.restoreAll());
+
+    const service = () => new RobotsService({ userAgent: 'WebsiteAnalysisBot/1.0', robotsToken: 'WebsiteAnalysisBot' });
+
+    it('applies only the most specific matching group', async () => {
+        serveRobots(200, ROBOTS_TXT);
+        const robots = service();
+
+        assert.equal((await robots.check('https://example.com/private')).allowed, true);
+        assert.equal((await robots.check('https://example.com/no-bots')).allowed, false);
+        assert.equal((await robots.check('https://example.com/no-bots/page')).allowed, true);
+        assert.equal((await robots.check('https://example.com/files/report.pdf')).crawlDelay, 1);
+        assert.equal((await robots.check('https://example.com/files/report.pdf')).allowed, false);
+        assert.equal((await robots.check('https://example.com/files/report.pdf?download=1')).allowed, true);
+    });
+
+    it('falls back to the * group and lets the longest rule win', async () => {
+        serveRobots(200, ROBOTS_TXT);
+        const robots = new RobotsService({ userAgent: 'SomeBot/2.0', robotsToken: 'SomeBot' });
+
+        const blocked = await robots.check('https://example.com/private/page');
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.rule, 'Disallow: /private');
+        assert.equal((await robots.check('https://example.com/private/public/page')).allowed, true);
+        assert.equal(blocked.crawlDelay, 2);
+    });
+
+    it('allows everything on a 4xx and nothing on a 5xx', async () => {
+        serveRobots(404, 'Not found');
+        assert.equal((await service().check('https://example.com/private')).allowed, true);
+
+        mock.restoreAll();
+        serveRobots(503, 'Unavailable');
+        const result = await service().check('https://example.com/');
+        assert.equal(result.allowed, false);
+        assert.equal(result.rule, 'robots.txt returned HTTP 503');
+    });
+
+    it('fetches robots.txt once per origin while cached', async () => {
+        const get = serveRobots(200, ROBOTS_TXT);
+        const robots = service();
+
+        await robots.check('https://example.com/a');
+        await robots.check('https://example.com/b');
+        await robots.check('https://other.example/a');
+
+        assert.equal(get.mock.callCount(), 2);
+    });
+});
+
+describe('RobotsService.enforce', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('throws ROBOTS_DISALLOWED for disallowed URLs', async () => {
+        serveRobots(200, 'User-agent: *\nDisallow: /\n');
+        const robots = new RobotsService({ robotsToken: 'WebsiteAnalysisBot' });
+
+        await assert.rejects(robots.enforce('https://example.com/page'), { code: 'ROBOTS_DISALLOWED' });
+    });
+
+    it('does nothing when disabled', async () => {
+        const get = serveRobots(200, 'User-agent: *\nDisallow: /\n');
+        const robots = new RobotsService({ robotsToken: 'WebsiteAnalysisBot', enabled: false });
+
+        assert.equal(await robots.enforce('https://example.com/page'), null);
+        assert.equal(get.mock.callCount(), 0);
+    });
+
+    it('throws CRAWL_DELAYED instead of waiting longer than allowed', async () => {
+        serveRobots(200, 'User-agent: *\nCrawl-delay: 60\n');
+        const robots = new RobotsService({ robotsToken: 'WebsiteAnalysisBot', maxCrawlDelayWaitMs: 1000 });
+
+        await robots.enforce('https://example.com/a');
+        await assert.rejects(robots.enforce('https://example.com/b'), { code: 'CRAWL_DELAYED' });
+    });
+
+    it('forgets hosts whose crawl-delay slot has passed', async () => {
+        const robots = new RobotsService({ robotsToken: 'WebsiteAnalysisBot' });
+        robots.nextFetchAt.set('https://old.example', Date.now() - 1000);
+
+        await robots.waitForCrawlDelay('https://example.com', 0.001);
+
+        assert.deepEqual([...robots.nextFetchAt.keys()], ['https://example.com']);
+    });
+});
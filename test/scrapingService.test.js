@@ -0,0 +1,200 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { browserPool } = require('../src/services/browserPool');
+const { robotsService } = require('../src/services/robotsService');
+const WebsiteScrapingService = require('../src/services/scrapingService');
+
+const ROBOTS = 'User-agent: *\nDisallow: /private\n';
+const PAGE = '<html><head><title>Acme</title><meta name="description" content="Acme makes anvils for coyotes and other desert professionals."></head><body><h1>Acme</h1></body></html>';
+
+// A page whose goto walks through the given URLs like a redirect chain,
+// asking the intercepting listener about each hop
+const fakePage = (hops) => {
+    const listeners = [];
+    const page = {
+        requested: [],
+        interception: false,
+        async setRequestInterception(enabled) { page.interception = enabled; },
+        on(event, listener) { listeners.push(listener); },
+        mainFrame: () => 'main',
+        async setUserAgent() {},
+        async setViewport() {},
+        async setDefaultNavigationTimeout() {},
+        async setDefaultTimeout() {},
+        async goto() {
+            for (const hop of hops) {
+                const outcome = !page.interception ? 'continue' : await new Promise(resolve => {
+                    const request = {
+                        url: () => hop,
+                        isNavigationRequest: () => true,
+                        frame: () => 'main',
+                        isInterceptResolutionHandled: () => false,
+                        continue: async () => resolve('continue'),
+                        abort: async () => resolve('abort')
+                    };
+                    listeners.forEach(listener => listener(request));
+                });
+                if (outcome === 'abort') throw new Error(`net::ERR_BLOCKED_BY_CLIENT at ${hop}`);
+                page.requested.push(hop);
+            }
+            return { headers: () => ({ 'content-type': 'text/html' }) };
+        },
+        content: async () => PAGE,
+        evaluate: async () => null,
+        cookies: async () => []
+    };
+    return page;
+};
+
+const usePage = (page) => {
+    mock.method(browserPool, 'acquirePage', async () => ({ page, release: async () => {} }));
+};
+
+const scrape = (url, options = {}) => WebsiteScrapingService.scrapeWebsite(url, {
+    enhanceDescription: false,
+    classify: false,
+    ...options
+});
+
+describe('WebsiteScrapingService redirects', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        robotsService.cache.clear();
+        robotsService.nextFetchAt.clear();
+    });
+
+    it('stops the browser at a redirect to a disallowed path', async () => {
+        mock.method(axios, 'get', async () => ({ status: 200, data: ROBOTS }));
+        const page = fakePage(['https://redirect.example/', 'https://redirect.example/private/page']);
+        usePage(page);
+
+        const result = await scrape('https://redirect.example/', { mode: 'browser' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorCategory, 'ROBOTS_DISALLOWED');
+        assert.deepEqual(page.requested, ['https://redirect.example/']);
+    });
+
+    it('lets the browser follow allowed redirects', async () => {
+        mock.method(axios, 'get', async () => ({ status: 200, data: ROBOTS }));
+        const page = fakePage(['https://redirect.example/', 'https://redirect.example/home']);
+        usePage(page);
+
+        const result = await scrape('https://redirect.example/', { mode: 'browser' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.strategy, 'browser');
+        assert.deepEqual(page.requested, ['https://redirect.example/', 'https://redirect.example/home']);
+    });
+
+    it('does not intercept navigations for allow-listed callers', async () => {
+        mock.method(axios, 'get', async () => ({ status: 200, data: ROBOTS }));
+        const page = fakePage(['https://redirect.example/private']);
+        usePage(page);
+
+        const result = await scrape('https://redirect.example/private', { mode: 'browser', ignoreRobots: true });
+
+        assert.equal(result.success, true);
+        assert.equal(page.interception, false);
+    });
+
+    it('checks every hop the static fetcher follows', async () => {
+        const fetched = [];
+        mock.method(axios, 'get', async (url) => {
+            if (url.endsWith('/robots.txt')) return { status: 200, data: ROBOTS };
+            fetched.push(url);
+            return { status: 301, headers: { location: '/private/page' }, data: '' };
+        });
+
+        const result = await scrape('https://redirect.example/', { mode: 'static' });
+
+        assert.equal(result.errorCategory, 'ROBOTS_DISALLOWED');
+        assert.deepEqual(fetched, ['https://redirect.example/']);
+    });
+});
+
+describe('WebsiteScrapingService fetch strategy', () => {
+    const SHELL = '<html><head><title>App</title></head><body><div id="root"></div><script src="/app.js"></script></body></html>';
+
+    // Serves robots.txt plus the given page, recording the pages fetched
+    const serve = (respond) => {
+        const fetched = [];
+        mock.method(axios, 'get', async (url) => {
+            if (url.endsWith('/robots.txt')) return { status: 200, data: ROBOTS };
+            fetched.push(url);
+            return respond(url);
+        });
+        return fetched;
+    };
+    const html = (data) => () => ({ status: 200, headers: { 'content-type': 'text/html' }, data });
+
+    afterEach(() => {
+        mock.restoreAll();
+        robotsService.cache.clear();
+        robotsService.nextFetchAt.clear();
+    });
+
+    it('uses the static fetch when the server-rendered HTML is complete', async () => {
+        serve(html(PAGE));
+        const acquire = mock.method(browserPool, 'acquirePage', async () => {
+            throw new Error('browser should not be used');
+        });
+
+        const result = await scrape('https://static.example/');
+
+        assert.equal(result.success, true);
+        assert.equal(result.strategy, 'static');
+        assert.equal(result.brandName, 'Acme');
+        assert.equal(acquire.mock.callCount(), 0);
+    });
+
+    it('falls back to the browser for a client-rendered shell', async () => {
+        const fetched = serve(html(SHELL));
+        const page = fakePage(['https://shell.example/']);
+        usePage(page);
+
+        const result = await scrape('https://shell.example/');
+
+        assert.equal(result.strategy, 'browser');
+        assert.deepEqual(fetched, ['https://shell.example/']);
+        assert.deepEqual(page.requested, ['https://shell.example/']);
+    });
+
+    it('falls back to the browser when the static fetch fails', async () => {
+        serve(() => {
+            throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        });
+        usePage(fakePage(['https://flaky.example/']));
+
+        const result = await scrape('https://flaky.example/');
+
+        assert.equal(result.success, true);
+        assert.equal(result.strategy, 'browser');
+    });
+
+    it('does not retry an unknown host in the browser', async () => {
+        serve(() => {
+            throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+        });
+        const acquire = mock.method(browserPool, 'acquirePage', async () => ({ page: fakePage([]), release: async () => {} }));
+
+        const result = await scrape('https://missing.example/');
+
+        assert.equal(result.success, false);
+        assert.equal(acquire.mock.callCount(), 0);
+    });
+
+    it('honours a forced strategy', async () => {
+        serve(html(SHELL));
+        const acquire = mock.method(browserPool, 'acquirePage', async () => ({ page: fakePage(['https://forced.example/']), release: async () => {} }));
+
+        const staticResult = await scrape('https://forced.example/', { mode: 'static' });
+        assert.equal(staticResult.strategy, 'static');
+        assert.equal(acquire.mock.callCount(), 0);
+
+        const browserResult = await scrape('https://forced.example/', { mode: 'browser' });
+        assert.equal(browserResult.strategy, 'browser');
+        assert.equal(acquire.mock.callCount(), 1);
+    });
+});
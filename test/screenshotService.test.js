@@ -0,0 +1,83 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-'));
+process.env.FILE_STORAGE_BACKEND = 'local';
+process.env.FILE_STORAGE_DIR = storageDir;
+process.env.SCREENSHOT_MAX_BYTES = '100';
+
+const ScreenshotService = require('../src/services/screenshotService');
+const LocalFileStorage = require('../src/storage/localFileStorage');
+
+// Fake page whose screenshots are sizeFor(options) bytes long
+const fakePage = (sizeFor) => {
+    const calls = [];
+    return {
+        calls,
+        evaluate: async () => ({ width: 1280, height: 9000 }),
+        screenshot: async (options) => {
+            calls.push({ ...options });
+            return Buffer.alloc(sizeFor(options), 1);
+        }
+    };
+};
+
+describe('ScreenshotService', () => {
+    after(() => {
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('maps captureScreenshot to the kinds of screenshot to take', () => {
+        assert.deepEqual(ScreenshotService.resolveKinds(true), ['viewport']);
+        assert.deepEqual(ScreenshotService.resolveKinds('fullPage'), ['fullPage']);
+        assert.deepEqual(ScreenshotService.resolveKinds('both'), ['viewport', 'fullPage']);
+        assert.deepEqual(ScreenshotService.resolveKinds(false), []);
+    });
+
+    it('stores viewport and clipped full-page screenshots and removes them again', async () => {
+        const page = fakePage(() => 50);
+        const screenshots = await ScreenshotService.capture(page, { captureScreenshot: 'both', screenshotFormat: 'webp', screenshotQuality: 60 });
+
+        assert.deepEqual(screenshots.map(shot => [shot.kind, shot.format, shot.backend, shot.contentType, shot.bytes]), [
+            ['viewport', 'webp', 'local', 'image/webp', 50],
+            ['fullPage', 'webp', 'local', 'image/webp', 50]
+        ]);
+        assert.match(screenshots[1].key, /^screenshots\/[\w-]+-fullPage\.webp$/);
+        assert.deepEqual(page.calls[1].clip, { x: 0, y: 0, width: 1280, height: 5000 });
+        assert.equal(page.calls[0].quality, 60);
+
+        assert.equal((await ScreenshotService.read(screenshots[0])).length, 50);
+        await ScreenshotService.removeAll(screenshots);
+        assert.equal(await ScreenshotService.read(screenshots[0]), null);
+    });
+
+    it('retries oversized images once at lower quality', async () => {
+        const page = fakePage(options => (options.quality > 40 ? 500 : 80));
+        const [shot] = await ScreenshotService.capture(page, { captureScreenshot: true });
+
+        assert.deepEqual(page.calls.map(call => call.quality), [70, 35]);
+        assert.equal(shot.bytes, 80);
+        assert.equal(shot.format, 'jpeg');
+        assert.match(shot.key, /\.jpg$/);
+    });
+
+    it('drops screenshots that stay too large', async () => {
+        const jpeg = fakePage(() => 500);
+        assert.deepEqual(await ScreenshotService.capture(jpeg, { captureScreenshot: true }), []);
+
+        const png = fakePage(() => 500);
+        assert.deepEqual(await ScreenshotService.capture(png, { captureScreenshot: true, screenshotFormat: 'png' }), []);
+        assert.equal(png.calls.length, 1);
+        assert.equal(png.calls[0].quality, undefined);
+    });
+});
+
+describe('LocalFileStorage', () => {
+    it('refuses keys outside its directory', async () => {
+        const storage = new LocalFileStorage({ baseDir: os.tmpdir() });
+        await assert.rejects(storage.save('../escape.txt', Buffer.from('x'), 'text/plain'), /Invalid storage key/);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { auditSeo, compareSeoAudits } = require('../src/extractors/seoAudit');
+
+const PAGE_URL = 'https://www.acme.example/anvils';
+const audit = (html, headers) => auditSeo(cheerio.load(html), PAGE_URL, headers);
+const severities = (result) => Object.fromEntries(result.findings.map(finding => [finding.check, finding.severity]));
+
+const CLEAN_PAGE = `
+    <title>Acme Anvils - Drop-forged anvils since 1949</title>
+    <meta name="description" content="${'Heavy, reliable anvils for cartoon coyotes and blacksmiths alike. '.repeat(2).trim()}">
+    <link rel="canonical" href="https://acme.example/anvils">
+    <link rel="alternate" hreflang="en-US" href="https://acme.example/anvils">
+    <link rel="alternate" hreflang="x-default" href="https://acme.example/anvils">
+    <meta property="og:title" content="Acme Anvils">
+    <meta property="og:description" content="Anvils">
+    <meta property="og:image" content="https://acme.example/og.png">
+    <meta property="og:url" content="https://acme.example/anvils">
+    <meta property="og:type" content="website">
+    <h1>Anvils</h1><h2>Sizes</h2><h3>Small</h3>
+    <img src="/anvil.png" alt="An anvil">
+    <a href="/contact">Contact</a>
+    <a href="https://partner.example/" rel="nofollow sponsored">Partner</a>
+    <a href="mailto:sales@acme.example">Email</a>
+`;
+
+describe('auditSeo', () => {
+    it('scores a well-formed page 100 and records its metrics', () => {
+        const result = audit(CLEAN_PAGE);
+
+        assert.equal(result.score, 100);
+        assert.deepEqual(result.summary, { error: 0, warning: 0, notice: 0, pass: 9 });
+        assert.deepEqual(result.metrics.links, { internal: 1, external: 1, nofollow: 1 });
+        assert.deepEqual(result.metrics.headings.map(heading => heading.level), [1, 2, 3]);
+        assert.equal(result.metrics.titleLength, result.metrics.title.length);
+    });
+
+    it('deducts points per severity for each problem found', () => {
+        const result = audit(`
+            <title>Anvils</title>
+            <link rel="canonical" href="/a"><link rel="canonical" href="/b">
+            <link rel="alternate" hreflang="english" href="/en">
+            <h2>Sizes</h2><h4>Small</h4>
+            <img src="/a.png"><img src="/b.png" alt="">
+            <meta property="og:title" content="Anvils">
+            <a href="https://elsewhere.example/">Elsewhere</a>
+        `);
+
+        assert.deepEqual(severities(result), {
+            title: 'warning',
+            metaDescription: 'error',
+            canonical: 'error',
+            hreflang: 'warning',
+            headings: 'notice',
+            imageAlt: 'notice',
+            robots: 'pass',
+            openGraph: 'notice',
+            links: 'warning'
+        });
+        assert.deepEqual(result.findings.filter(finding => finding.check === 'headings').map(finding => finding.severity), ['error', 'notice']);
+        // 3 errors, 3 warnings and 3 notices
+        assert.equal(result.score, 100 - 3 * 15 - 3 * 7 - 3 * 2);
+        assert.deepEqual(result.findings.find(finding => finding.check === 'imageAlt').details.examples, ['https://www.acme.example/a.png']);
+    });
+
+    it('treats www and the bare domain as the same host', () => {
+        const canonical = audit(CLEAN_PAGE).findings.find(finding => finding.check === 'canonical');
+        assert.equal(canonical.severity, 'pass');
+
+        const elsewhere = audit('<link rel="canonical" href="https://other.example/anvils">').findings.find(finding => finding.check === 'canonical');
+        assert.equal(elsewhere.severity, 'notice');
+    });
+
+    it('reads robots directives from meta tags and the X-Robots-Tag header', () => {
+        assert.equal(severities(audit(CLEAN_PAGE, { 'x-robots-tag': 'noindex' })).robots, 'error');
+        assert.equal(severities(audit('<meta name="googlebot" content="nofollow">')).robots, 'warning');
+        assert.equal(severities(audit('<meta name="robots" content="none">')).robots, 'error');
+    });
+
+    it('never scores below zero', () => {
+        const result = audit(`
+            <link rel="canonical" href="/a"><link rel="canonical" href="/b">
+            <link rel="alternate" hreflang="english" href="/en">
+            <meta name="robots" content="noindex">
+            <h2>Sizes</h2>
+            <img src="/a.png">
+        `);
+
+        assert.deepEqual(result.summary, { error: 5, warning: 4, notice: 1, pass: 0 });
+        assert.equal(result.score, 0);
+    });
+});
+
+describe('compareSeoAudits', () => {
+    it('reports the score change and issues that appeared or were resolved', () => {
+        const previous = audit('<title>Anvils</title>' + CLEAN_PAGE.replace(/<title>.*<\/title>/, ''));
+        const current = audit(CLEAN_PAGE, { 'x-robots-tag': 'nofollow' });
+        const comparison = compareSeoAudits(current, previous);
+
+        assert.equal(comparison.previousScore, previous.score);
+        assert.equal(comparison.scoreChange, current.score - previous.score);
+        assert.deepEqual(comparison.newIssues.map(finding => finding.check), ['robots']);
+        assert.deepEqual(comparison.resolvedIssues.map(finding => finding.check), ['title']);
+    });
+
+    it('returns null without a previous audit', () => {
+        assert.equal(compareSeoAudits(audit(CLEAN_PAGE), null), null);
+    });
+});
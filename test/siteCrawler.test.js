@@ -0,0 +1,86 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { robotsService } = require('../src/services/robotsService');
+const SiteCrawler = require('../src/services/siteCrawler');
+
+const ROBOTS = [
+    'User-agent: *',
+    'Disallow: /private',
+    'Sitemap: https://crawl.example/private/sitemap.xml',
+    'Sitemap: https://crawl.example/sitemap.xml'
+].join('\n');
+
+const SITEMAP = `<?xml version="1.0"?>
+<urlset>
+  <url><loc>https://crawl.example/about</loc></url>
+  <url><loc>https://crawl.example/private/pricing</loc></url>
+  <url><loc>https://crawl.example/blog/post</loc></url>
+</urlset>`;
+
+const PAGES = {
+    'https://crawl.example/about': '<html><head><title>About Acme</title></head><body><p>Acme has made anvils for desert professionals since 1949, shipped anywhere overnight.</p></body></html>'
+};
+
+// Serves robots.txt, the sitemap and PAGES, and records every other request
+const serveSite = () => {
+    const fetched = [];
+    mock.method(axios, 'get', async (url) => {
+        if (url.endsWith('/robots.txt')) return { status: 200, data: ROBOTS };
+        fetched.push(url);
+        if (url === 'https://crawl.example/sitemap.xml') return { status: 200, data: SITEMAP };
+        throw new Error(`Unexpected fetch of ${url}`);
+    });
+    return fetched;
+};
+
+const scraper = {
+    async loadContent(url) {
+        return { $: cheerio.load(PAGES[url]) };
+    },
+    extractBrandName: $ => $('title').text(),
+    extractDescription: () => 'No description available'
+};
+
+const landing = {
+    $: cheerio.load('<html><head><title>Acme</title></head><body><a href="/private/team">Team</a></body></html>'),
+    brandName: 'Acme',
+    rawDescription: 'Acme makes anvils.',
+    structuredData: {}
+};
+
+describe('SiteCrawler', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        robotsService.cache.clear();
+        robotsService.nextFetchAt.clear();
+    });
+
+    it('skips sitemaps that robots.txt disallows', async () => {
+        const fetched = serveSite();
+        const urls = await new SiteCrawler(scraper).discoverSitemapUrls('https://crawl.example/');
+
+        assert.deepEqual(fetched, ['https://crawl.example/sitemap.xml']);
+        assert.ok(urls.includes('https://crawl.example/about'));
+    });
+
+    it('reads disallowed sitemaps for allow-listed callers', async () => {
+        const fetched = serveSite();
+        await new SiteCrawler(scraper, { ignoreRobots: true }).discoverSitemapUrls('https://crawl.example/');
+
+        assert.deepEqual(fetched, ['https://crawl.example/private/sitemap.xml', 'https://crawl.example/sitemap.xml']);
+    });
+
+    it('crawls only the high-value pages robots.txt allows', async () => {
+        serveSite();
+        const profile = await new SiteCrawler(scraper).crawl('https://crawl.example/', landing);
+
+        assert.deepEqual(profile.pages.map(page => `${page.type} ${page.url}`), [
+            'home https://crawl.example/',
+            'about https://crawl.example/about'
+        ]);
+        assert.equal(profile.fields.brandName.value, 'Acme');
+        assert.match(profile.combinedText, /since 1949/);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { websiteRepository } = require('../src/repositories');
+const SiteService = require('../src/services/siteService');
+const websiteRoutes = require('../src/routes/websiteRoutes');
+const { startApp } = require('./helpers/app');
+
+const snapshot = (id, fields) => ({ id, created_at: `2025-01-0${id}T00:00:00Z`, ...fields });
+
+describe('SiteService.diffSnapshots', () => {
+    it('reports changed text fields, structured data paths and content hashes', () => {
+        const diff = SiteService.diffSnapshots(
+            snapshot(1, {
+                brand_name: 'Acme',
+                raw_description: 'Anvils',
+                structured_data: { name: 'Acme', address: { city: 'Phoenix' } },
+                content_hashes: { title: 'a', bodyText: 'b' }
+            }),
+            snapshot(2, {
+                brand_name: 'Acme',
+                raw_description: 'Anvils and rockets',
+                structured_data: { name: 'Acme', address: { city: 'Tucson' }, telephone: '555' },
+                content_hashes: { title: 'a', bodyText: 'c', logo: 'd' }
+            })
+        );
+
+        assert.equal(diff.changed, true);
+        assert.deepEqual(diff.changedFields, ['raw_description', 'structured_data', 'content_hashes']);
+        assert.deepEqual(diff.fields.structured_data.changes, [
+            { path: 'address.city', before: 'Phoenix', after: 'Tucson' },
+            { path: 'telephone', before: null, after: '555' }
+        ]);
+        assert.deepEqual(diff.fields.content_hashes.changedKeys, ['bodyText', 'logo']);
+    });
+
+    it('judges brand names by the hash of the scraped name when both have it', () => {
+        const diff = SiteService.diffSnapshots(
+            snapshot(1, { brand_name: 'Acme', content_hashes: { brandName: 'h1' } }),
+            snapshot(2, { brand_name: 'Acme Imported', content_hashes: { brandName: 'h1' } })
+        );
+
+        assert.equal(diff.fields.brand_name.changed, false);
+        assert.equal(diff.changed, false);
+    });
+});
+
+describe('site history and diff routes', () => {
+    let acme;
+    let globex;
+    let sites;
+
+    before(async () => {
+        const shared = await SiteService.resolveSite('https://www.shared.example/?utm_source=mail');
+        const single = await SiteService.resolveSite('https://single.example');
+        sites = { shared: shared.id, single: single.id };
+
+        for (const brand of ['Acme', 'Acme Corp']) {
+            await websiteRepository.insertRecord({ url: 'https://shared.example', site_id: shared.id, tenant_id: 'acme', brand_name: brand });
+        }
+        await websiteRepository.insertRecord({ url: 'https://single.example', site_id: single.id, tenant_id: 'globex', brand_name: 'Globex' });
+
+        acme = await startApp('/api/websites', websiteRoutes, { id: 1, tenantId: 'acme', scopes: ['read'] });
+        globex = await startApp('/api/websites', websiteRoutes, { id: 2, tenantId: 'globex', scopes: ['read'] });
+    });
+
+    after(async () => {
+        await acme.close();
+        await globex.close();
+    });
+
+    it('groups analyses of the same normalized URL into one site', async () => {
+        const site = await SiteService.findSiteByUrl('http://shared.example/');
+        assert.equal(site.id, sites.shared);
+    });
+
+    it('diffs the latest two snapshots of the tenant', async () => {
+        const { status, body } = await acme.request('GET', `/sites/${sites.shared}/diff`);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.fields.brand_name, { changed: true, before: 'Acme', after: 'Acme Corp' });
+    });
+
+    it('answers 404 for a site the tenant has no snapshots of, like the history', async () => {
+        const diff = await globex.request('GET', `/sites/${sites.shared}/diff`);
+        const history = await globex.request('GET', `/sites/${sites.shared}/history`);
+
+        assert.deepEqual([diff.status, diff.body.error], [404, 'Site not found']);
+        assert.deepEqual([history.status, history.body.error], [404, 'Site not found']);
+    });
+
+    it('answers 400 when there is only one snapshot to compare', async () => {
+        const { status, body } = await globex.request('GET', `/sites/${sites.single}/diff`);
+        assert.deepEqual([status, body.error], [400, 'At least two snapshots are needed to compute a diff']);
+    });
+
+    it('answers 404 for snapshots of other tenants named in from or to', async () => {
+        const [theirs] = await websiteRepository.getSnapshots(sites.single, 'globex');
+        const { status } = await acme.request('GET', `/sites/${sites.shared}/diff?to=${theirs.id}`);
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { extractStructuredData } = require('../src/extractors/structuredData');
+
+const extract = (html) => extractStructuredData(cheerio.load(html), 'https://acme.example/about');
+
+describe('extractStructuredData', () => {
+    it('prefers the organization that publishes a WebSite in a JSON-LD graph', () => {
+        const data = extract(`
+            <script type="application/ld+json">{ not json</script>
+            <script type="application/ld+json">${JSON.stringify({
+                '@context': 'https://schema.org',
+                '@graph': [
+                    { '@type': 'BreadcrumbList', name: 'Breadcrumbs' },
+                    {
+                        '@type': 'WebSite',
+                        name: 'Acme site',
+                        publisher: {
+                            '@type': 'Corporation',
+                            name: 'Acme Corporation',
+                            logo: { '@type': 'ImageObject', url: '/logo.png' },
+                            address: { '@type': 'PostalAddress', addressLocality: 'Phoenix', addressCountry: { name: 'US' } },
+                            sameAs: ['https://twitter.com/acme', '/press']
+                        }
+                    }
+                ]
+            })}</script>
+        `);
+
+        assert.equal(data.type, 'Corporation');
+        assert.equal(data.name, 'Acme Corporation');
+        assert.equal(data.logo, 'https://acme.example/logo.png');
+        assert.deepEqual(data.address, { addressLocality: 'Phoenix', addressCountry: 'US' });
+        assert.deepEqual(data.sameAs, ['https://twitter.com/acme', 'https://acme.example/press']);
+        assert.deepEqual(data.types, ['Corporation', 'BreadcrumbList', 'WebSite']);
+        assert.deepEqual(data.sources, ['json-ld']);
+    });
+
+    it('reads microdata without mixing in the properties of nested items', () => {
+        const data = extract(`
+            <div itemscope itemtype="https://schema.org/LocalBusiness">
+                <span itemprop="name">Acme Anvils</span>
+                <a itemprop="url" href="/">Home</a>
+                <meta itemprop="telephone" content="+1 555 0100">
+                <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress">
+                    <span itemprop="name">Head office</span>
+                    <span itemprop="streetAddress">1 Desert Road</span>
+                </div>
+            </div>
+        `);
+
+        assert.equal(data.type, 'LocalBusiness');
+        assert.equal(data.name, 'Acme Anvils');
+        assert.equal(data.url, 'https://acme.example/');
+        assert.equal(data.telephone, '+1 555 0100');
+        assert.deepEqual(data.address, { streetAddress: '1 Desert Road' });
+        assert.deepEqual(data.sources, ['microdata']);
+    });
+
+    it('collects Open Graph and Twitter tags, keeping the first of each', () => {
+        const data = extract(`
+            <meta property="og:title" content="Acme">
+            <meta property="og:title" content="Ignored">
+            <meta property="og:image" content="https://acme.example/og.png">
+            <meta name="twitter:card" content="summary">
+            <meta property="og:description" content="   ">
+        `);
+
+        assert.deepEqual(data.openGraph, { title: 'Acme', image: 'https://acme.example/og.png' });
+        assert.deepEqual(data.twitter, { card: 'summary' });
+        assert.deepEqual(data.sources, ['opengraph', 'twitter']);
+        assert.equal(data.type, null);
+        assert.equal(data.name, null);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The Supabase client keeps the fetch it finds when it is created, so the
+// fake has to be in place before the repository is required
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_KEY = 'key';
+
+const realFetch = globalThis.fetch;
+let requests;
+let respond;
+globalThis.fetch = async (url, init) => {
+    const request = { method: init.method, url: new URL(url), headers: new Headers(init.headers), body: init.body ? JSON.parse(init.body) : null };
+    requests.push(request);
+    const { status = 200, body = [], total } = respond(request) || {};
+    const headers = { 'Content-Type': 'application/json' };
+    if (total !== undefined) headers['Content-Range'] = `0-${Math.max(body.length - 1, 0)}/${total}`;
+    return new Response(request.method === 'HEAD' ? null : JSON.stringify(body), { status, headers });
+};
+
+const SupabaseWebsiteRepository = require('../src/repositories/supabaseWebsiteRepository');
+
+const params = (request) => Object.fromEntries(request.url.searchParams);
+
+after(() => {
+    globalThis.fetch = realFetch;
+});
+
+describe('SupabaseWebsiteRepository', () => {
+    const repository = new SupabaseWebsiteRepository();
+
+    beforeEach(() => {
+        requests = [];
+        respond = () => ({});
+    });
+
+    describe('listRecords', () => {
+        it('applies the filters, sort and offset page in one query', async () => {
+            respond = () => ({ body: [{ id: 1, brand_name: 'Acme', site: { domain: 'acme.example' } }], total: 21 });
+            const page = await repository.listRecords({
+                sort: 'brandName',
+                order: 'asc',
+                limit: 10,
+                offset: 10,
+                technology: 'WordPress',
+                domain: 'www.acme.example',
+                noSeoErrors: true,
+                q: 'rockets'
+            }, 'acme');
+
+            assert.equal(requests.length, 1);
+            assert.deepEqual(params(requests[0]), {
+                select: '*,site:sites!inner(domain)',
+                tenant_id: 'eq.acme',
+                technologies: 'cs.[{"name":"WordPress"}]',
+                'site.domain': 'in.(acme.example,www.acme.example)',
+                or: '(seo_audit.is.null,seo_audit->summary->>error.eq.0)',
+                search_vector: 'wfts(simple).rockets',
+                order: 'brand_name.asc.nullslast,id.asc',
+                offset: '10',
+                limit: '10'
+            });
+            assert.match(requests[0].headers.get('Prefer'), /count=exact/);
+            assert.deepEqual(page, { records: [{ id: 1, brand_name: 'Acme' }], total: 21, hasNext: true, hasPrev: true });
+        });
+
+        it('pages after a cursor with a keyset condition and counts separately', async () => {
+            respond = (request) => (request.method === 'HEAD'
+                ? { total: 7 }
+                : { body: [{ id: 6, brand_name: 'Acme' }, { id: 2, brand_name: 'Bravo' }, { id: 3, brand_name: 'Charlie' }], total: 3 });
+            const page = await repository.listRecords({ sort: 'brandName', order: 'asc', limit: 2, cursor: { value: 'Acme', id: 5, direction: 'next' } }, null);
+
+            const [rows, count] = requests;
+            assert.equal(params(rows).tenant_id, 'is.null');
+            assert.equal(params(rows).or, '(brand_name.gt."Acme",and(brand_name.eq."Acme",id.gt.5),brand_name.is.null)');
+            assert.equal(params(rows).limit, '3');
+            assert.equal(count.method, 'HEAD');
+            assert.deepEqual(params(count), { select: 'id', tenant_id: 'is.null' });
+            assert.deepEqual(page.records.map(record => record.id), [6, 2]);
+            assert.deepEqual({ total: page.total, hasNext: page.hasNext, hasPrev: page.hasPrev }, { total: 7, hasNext: true, hasPrev: true });
+        });
+
+        it('pages backward in reverse order and returns rows in listing order', async () => {
+            respond = (request) => (request.method === 'HEAD' ? { total: 7 } : { body: [{ id: 4 }, { id: 3 }], total: 2 });
+            const page = await repository.listRecords({ sort: 'id', order: 'asc', limit: 2, cursor: { value: 5, id: 5, direction: 'prev' } }, 'acme');
+
+            assert.equal(params(requests[0]).order, 'id.desc.nullsfirst,id.desc');
+            assert.equal(params(requests[0]).or, '(id.lt.5)');
+            assert.deepEqual(page.records.map(record => record.id), [3, 4]);
+            assert.equal(page.hasPrev, false);
+            assert.equal(page.hasNext, true);
+        });
+    });
+
+    it('iterates every matching record page by page', async () => {
+        const pages = [[{ id: 1, brand_name: 'A' }, { id: 2, brand_name: 'B' }], [{ id: 3, brand_name: 'C' }]];
+        respond = () => ({ body: pages.shift() });
+
+        const ids = [];
+        for await (const record of repository.iterateRecords({ sort: 'brandName', order: 'asc' }, 'acme', { columns: ['url'], pageSize: 2 })) {
+            ids.push(record.id);
+        }
+
+        assert.deepEqual(ids, [1, 2, 3]);
+        assert.equal(requests.length, 2);
+        assert.equal(params(requests[0]).select, 'url,id,brand_name');
+        assert.equal(params(requests[1]).or, '(brand_name.gt."B",and(brand_name.eq."B",id.gt.2),brand_name.is.null)');
+    });
+
+    it('inserts through the configured project and returns the stored row', async () => {
+        respond = () => ({ body: [{ id: 3, url: 'https://acme.example' }] });
+        const record = await repository.insertRecord({ url: 'https://acme.example' });
+
+        assert.deepEqual(record, { id: 3, url: 'https://acme.example' });
+        assert.equal(requests[0].method, 'POST');
+        assert.equal(requests[0].url.origin, 'http://supabase.test');
+        assert.equal(requests[0].headers.get('apikey'), 'key');
+        assert.deepEqual(requests[0].body, { url: 'https://acme.example' });
+    });
+
+    it('scopes single-record reads and writes to the tenant', async () => {
+        respond = () => ({ status: 406, body: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } });
+        assert.equal(await repository.getRecord(9, 'acme'), null);
+
+        respond = () => ({ body: [] });
+        assert.equal(await repository.updateRecord(9, { brand_name: 'Globex' }, 'acme'), null);
+        assert.equal(await repository.deleteRecord(9, null), null);
+
+        assert.deepEqual(requests.map(request => [request.method, params(request).id, params(request).tenant_id]), [
+            ['GET', 'eq.9', 'eq.acme'],
+            ['PATCH', 'eq.9', 'eq.acme'],
+            ['DELETE', 'eq.9', 'is.null']
+        ]);
+        assert.deepEqual(requests[1].body, { brand_name: 'Globex' });
+    });
+
+    it('throws PostgREST errors other than a missing row', async () => {
+        respond = () => ({ status: 400, body: { code: '42703', message: 'column website_analysis.nope does not exist' } });
+        await assert.rejects(repository.getRecord(1, 'acme'), error => error.code === '42703');
+    });
+});
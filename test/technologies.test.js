@@ -0,0 +1,58 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { detectTechnologies, detectGlobals, GLOBAL_PATHS } = require('../src/extractors/technologies');
+
+const detect = (html, signals) => detectTechnologies(cheerio.load(html), html, signals);
+const byName = (detected) => Object.fromEntries(detected.map(tech => [tech.name, tech]));
+
+describe('detectTechnologies', () => {
+    it('combines evidence into a confidence and takes versions from the first match', () => {
+        const detected = byName(detect(`
+            <meta name="generator" content="WordPress 6.4.2">
+            <link rel="stylesheet" href="/wp-content/themes/acme/style.css">
+            <script src="/wp-includes/js/jquery/jquery-3.7.1.min.js"></script>
+        `, { headers: { server: 'nginx/1.25.3' } }));
+
+        assert.deepEqual(
+            { version: detected.WordPress.version, confidence: detected.WordPress.confidence, evidence: detected.WordPress.evidence.map(item => item.type) },
+            { version: '6.4.2', confidence: 100, evidence: ['meta', 'scripts', 'html'] }
+        );
+        assert.equal(detected.jQuery.version, '3.7.1');
+        assert.equal(detected.jQuery.confidence, 60);
+        assert.deepEqual([detected.Nginx.category, detected.Nginx.version], ['Web server', '1.25.3']);
+    });
+
+    it('uses cookies and browser globals gathered while loading the page', () => {
+        const detected = detect('<html></html>', {
+            cookies: ['_shopify_y', '_ga'],
+            globals: { Shopify: true, 'React.version': '18.2.0' }
+        });
+        const names = byName(detected);
+
+        assert.equal(names.Shopify.confidence, 100);
+        assert.equal(names.React.version, '18.2.0');
+        assert.deepEqual(names['Google Analytics'].evidence, [{ type: 'cookies', detail: '_ga' }]);
+        assert.deepEqual(detected.map(tech => tech.confidence), [...detected.map(tech => tech.confidence)].sort((a, b) => b - a));
+    });
+
+    it('reports nothing for a page without fingerprints', () => {
+        assert.deepEqual(detect('<p>Hello</p>', {}), []);
+    });
+});
+
+describe('detectGlobals', () => {
+    after(() => {
+        delete globalThis.window;
+    });
+
+    it('reports the window paths that exist, with string values as versions', () => {
+        globalThis.window = { jQuery: { fn: { jquery: '3.7.1' } }, Shopify: {}, next: null };
+
+        assert.deepEqual(detectGlobals(['jQuery.fn.jquery', 'Shopify', 'next.version', 'Drupal']), {
+            'jQuery.fn.jquery': '3.7.1',
+            Shopify: true
+        });
+        assert.ok(GLOBAL_PATHS.includes('jQuery.fn.jquery'));
+    });
+});
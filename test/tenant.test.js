@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+
+const { tenantScope, inTenant } = require('../src/utils/tenant');
+const { createRepository, websiteRepository, importRepository } = require('../src/repositories');
+const { startApp } = require('./helpers/app');
+
+// Query string PostgREST would receive, without sending anything
+const filterOf = (tenantId) => createClient('http://localhost:54321', 'key')
+    .from('monitors')
+    .select('*')
+    .filter(...tenantScope(tenantId))
+    .url.searchParams.get('tenant_id');
+
+describe('tenantScope', () => {
+    it('filters on the tenant', () => {
+        assert.equal(filterOf('acme'), 'eq.acme');
+    });
+
+    it('limits callers without a tenant to rows without one', () => {
+        assert.equal(filterOf(null), 'is.null');
+        assert.equal(filterOf(undefined), 'is.null');
+    });
+});
+
+describe('inTenant', () => {
+    it('matches rows of the same tenant only', () => {
+        assert.equal(inTenant({ tenant_id: 'acme' }, 'acme'), true);
+        assert.equal(inTenant({ tenant_id: 'acme' }, 'globex'), false);
+    });
+
+    it('treats a missing tenant as its own scope, not as every tenant', () => {
+        assert.equal(inTenant({ tenant_id: 'acme' }, null), false);
+        assert.equal(inTenant({ tenant_id: null }, null), true);
+        assert.equal(inTenant({}, undefined), true);
+        assert.equal(inTenant({ tenant_id: null }, 'acme'), false);
+    });
+});
+
+describe('memory repositories', () => {
+    it('keep records of one tenant away from the others', async () => {
+        const websites = createRepository('website', 'memory');
+        const site = await websites.upsertSite('https://example.com/');
+        const acme = await websites.insertRecord({ url: 'https://example.com', site_id: site.id, tenant_id: 'acme' });
+        const shared = await websites.insertRecord({ url: 'https://example.com', site_id: site.id, tenant_id: null });
+
+        assert.equal(await websites.getRecord(acme.id, null), null);
+        assert.equal(await websites.getRecord(shared.id, 'acme'), null);
+        assert.equal(await websites.updateRecord(acme.id, { brand_name: 'x' }, 'globex'), null);
+        assert.equal(await websites.deleteRecord(acme.id, null), null);
+        assert.deepEqual((await websites.listRecords({}, null)).records.map(record => record.id), [shared.id]);
+        assert.deepEqual((await websites.getSnapshots(site.id, 'acme')).map(record => record.id), [acme.id]);
+    });
+
+    it('only reuse fresh records of the same tenant', async () => {
+        const websites = createRepository('website', 'memory');
+        const site = await websites.upsertSite('https://example.com/');
+        const since = new Date(Date.now() - 60000).toISOString();
+        await websites.insertRecord({ url: 'https://example.com', site_id: site.id, tenant_id: 'acme' });
+
+        assert.equal(await websites.findLatestRecord(site.id, null, since), null);
+        assert.equal(await websites.findLatestRecord(site.id, 'globex', since), null);
+        assert.notEqual(await websites.findLatestRecord(site.id, 'acme', since), null);
+    });
+
+    it('scope monitors, change events, webhooks, imports and API keys', async () => {
+        const monitors = createRepository('monitor', 'memory');
+        const monitor = await monitors.insertMonitor({ url: 'https://example.com', interval_minutes: 60, tenant_id: 'acme' });
+        await monitors.insertChangeEvent({ monitor_id: monitor.id, url: monitor.url, tenant_id: 'acme' });
+        assert.equal(await monitors.getMonitor(monitor.id, null), null);
+        assert.deepEqual(await monitors.listMonitors('globex'), []);
+        assert.deepEqual(await monitors.listChangeEvents({ tenantId: null, limit: 10 }), []);
+        assert.equal((await monitors.listChangeEvents({ tenantId: 'acme', limit: 10 })).length, 1);
+
+        const webhooks = createRepository('webhook', 'memory');
+        await webhooks.insertWebhook({ url: 'https://hooks.example.com', secret: 's', tenant_id: 'acme' });
+        await webhooks.insertWebhook({ url: 'https://ops.example.com', secret: 's', tenant_id: null });
+        assert.deepEqual((await webhooks.listWebhooks(null, { activeOnly: true })).map(hook => hook.url), ['https://ops.example.com']);
+        assert.deepEqual((await webhooks.listWebhooks('acme')).map(hook => hook.url), ['https://hooks.example.com']);
+
+        const imports = createRepository('import', 'memory');
+        const importRecord = await imports.insertImport({ tenant_id: 'acme' });
+        assert.equal(await imports.getImport(importRecord.id, null), null);
+        assert.notEqual(await imports.getImport(importRecord.id, 'acme'), null);
+
+        const apiKeys = createRepository('apiKey', 'memory');
+        const key = await apiKeys.insertKey({ name: 'ci', tenant_id: 'acme', key_hash: 'h', key_prefix: 'wa_' });
+        assert.equal(await apiKeys.getKey(key.id, null), null);
+        assert.equal(await apiKeys.updateKey(key.id, { active: false }, 'globex'), null);
+        assert.deepEqual(await apiKeys.listKeys(null), []);
+    });
+});
+
+describe('routes', () => {
+    const api = express.Router();
+    api.use('/websites', require('../src/routes/importRoutes'));
+    api.use('/websites', require('../src/routes/websiteRoutes'));
+    api.use('/monitors', require('../src/routes/monitorRoutes'));
+    api.use('/webhooks', require('../src/routes/webhookRoutes'));
+    api.use('/keys', require('../src/routes/apiKeyRoutes'));
+
+    const owned = {};
+    let acme;
+    let globex;
+
+    before(async () => {
+        acme = await startApp('/api', api, { id: 1, tenantId: 'acme', scopes: ['admin'] });
+        globex = await startApp('/api', api, { id: 2, tenantId: 'globex', scopes: ['admin'] });
+
+        owned.record = (await websiteRepository.insertRecord({ url: 'https://acme.example', brand_name: 'Acme', tenant_id: 'acme' })).id;
+        owned.import = (await importRepository.insertImport({ tenant_id: 'acme', status: 'completed' })).id;
+        owned.monitor = (await acme.request('POST', '/monitors', { url: 'https://acme.example', intervalMinutes: 60 })).body.data.id;
+        owned.webhook = (await acme.request('POST', '/webhooks', { url: 'https://hooks.acme.example' })).body.data.id;
+        owned.key = (await acme.request('POST', '/keys', { name: 'ci' })).body.data.id;
+    });
+
+    after(async () => {
+        await acme.close();
+        await globex.close();
+    });
+
+    it('answer 404 for every resource of another tenant', async () => {
+        const attempts = [
+            ['GET', `/websites/${owned.record}`],
+            ['PUT', `/websites/${owned.record}`, { brand_name: 'Globex' }],
+            ['DELETE', `/websites/${owned.record}`],
+            ['GET', `/websites/imports/${owned.import}`],
+            ['GET', `/monitors/${owned.monitor}`],
+            ['PUT', `/monitors/${owned.monitor}`, { intervalMinutes: 30 }],
+            ['DELETE', `/monitors/${owned.monitor}`],
+            ['GET', `/webhooks/${owned.webhook}`],
+            ['DELETE', `/webhooks/${owned.webhook}`],
+            ['GET', `/keys/${owned.key}`],
+            ['PUT', `/keys/${owned.key}`, { active: false }],
+            ['DELETE', `/keys/${owned.key}`]
+        ];
+
+        for (const [method, url, body] of attempts) {
+            const response = await globex.request(method, url, body);
+            assert.equal(response.status, 404, `${method} ${url}`);
+        }
+    });
+
+    it('leave other tenants out of listings', async () => {
+        for (const url of ['/websites', '/monitors', '/webhooks', '/keys']) {
+            assert.equal((await globex.request('GET', url)).body.count, 0, url);
+            assert.equal((await acme.request('GET', url)).body.count, 1, url);
+        }
+    });
+
+    it('leave the owner\'s resources unchanged', async () => {
+        const record = await acme.request('GET', `/websites/${owned.record}`);
+        assert.equal(record.body.data.brand_name, 'Acme');
+
+        const monitor = await acme.request('GET', `/monitors/${owned.monitor}`);
+        assert.equal(monitor.body.data.interval_minutes, 60);
+
+        const key = await acme.request('GET', `/keys/${owned.key}`);
+        assert.equal(key.body.data.active, true);
+    });
+});
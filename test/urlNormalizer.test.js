@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUrl } = require('../src/utils/urlNormalizer');
+
+describe('normalizeUrl', () => {
+    it('uses https and drops www., default ports and the fragment', () => {
+        assert.equal(normalizeUrl('http://WWW.Example.com:80/About#team'), 'https://example.com/About');
+        assert.equal(normalizeUrl('https://www.example.com:443/'), 'https://example.com/');
+    });
+
+    it('keeps other ports and subdomains', () => {
+        assert.equal(normalizeUrl('http://shop.example.com:8080/'), 'https://shop.example.com:8080/');
+    });
+
+    it('removes trailing slashes but keeps the root path', () => {
+        assert.equal(normalizeUrl('https://example.com/pricing//'), 'https://example.com/pricing');
+        assert.equal(normalizeUrl('https://example.com'), 'https://example.com/');
+    });
+
+    it('drops tracking parameters regardless of case', () => {
+        assert.equal(
+            normalizeUrl('https://example.com/?utm_source=news&UTM_Medium=mail&gclid=abc&fbclid=def'),
+            'https://example.com/'
+        );
+    });
+
+    it('sorts the remaining query parameters and keeps repeated values in order', () => {
+        assert.equal(
+            normalizeUrl('https://example.com/search?q=shoes&page=2&utm_campaign=x&color=red&color=blue'),
+            'https://example.com/search?color=red&color=blue&page=2&q=shoes'
+        );
+    });
+
+    it('groups variants of the same page together', () => {
+        const variants = [
+            'http://www.example.com/blog/?b=2&a=1',
+            'https://example.com/blog?a=1&b=2#comments',
+            'https://EXAMPLE.com/blog/?a=1&b=2&utm_source=twitter'
+        ];
+
+        assert.equal(new Set(variants.map(normalizeUrl)).size, 1);
+    });
+
+    it('throws on invalid URLs', () => {
+        assert.throws(() => normalizeUrl('not a url'), TypeError);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+
+process.env.REPOSITORY_BACKEND = 'memory';
+process.env.WEBHOOK_RETRY_DELAY_MS = '1';
+
+const { WebhookService } = require('../src/services/webhookService');
+const { webhookRepository } = require('../src/repositories');
+
+// Resolves with the webhook's only delivery once it is no longer in flight
+const deliveryOf = (webhook, tenantId) => new Promise(resolve => {
+    const check = async () => {
+        const [delivery] = await WebhookService.listDeliveries(webhook.id);
+        if (delivery && ['succeeded', 'failed'].includes(delivery.status)) {
+            resolve(await WebhookService.getDelivery(delivery.id, tenantId));
+        } else {
+            setTimeout(check, 5);
+        }
+    };
+    check();
+});
+
+describe('WebhookService', () => {
+    let requests;
+    let statuses;
+
+    beforeEach(() => {
+        requests = [];
+        statuses = [];
+        mock.method(axios, 'post', async (url, body, config) => {
+            requests.push({ url, body, headers: config.headers });
+            return { status: statuses.shift() || 200, data: 'ok' };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('signs the timestamp and body with the webhook secret', async () => {
+        const webhook = await WebhookService.create({ url: 'https://hooks.example.com/a', secret: 'shh' }, 'signing');
+        await WebhookService.dispatch('analysis.completed', { tenantId: 'signing', id: 1 });
+        const delivery = await deliveryOf(webhook, 'signing');
+
+        assert.equal(delivery.status, 'succeeded');
+        const [{ body, headers }] = requests;
+        const { t, v1 } = Object.fromEntries(headers['X-Webhook-Signature'].split(',').map(part => part.split('=')));
+        assert.equal(t, headers['X-Webhook-Timestamp']);
+        assert.equal(v1, crypto.createHmac('sha256', 'shh').update(`${t}.${body}`).digest('hex'));
+        assert.equal(headers['X-Webhook-Event'], 'analysis.completed');
+        assert.equal(headers['X-Webhook-Id'], JSON.parse(body).id);
+        assert.deepEqual(JSON.parse(body).data, { tenantId: 'signing', id: 1 });
+    });
+
+    it('delivers only to active webhooks of the tenant that subscribe to the event', async () => {
+        await WebhookService.create({ url: 'https://hooks.example.com/all' }, 'subscriptions');
+        await WebhookService.create({ url: 'https://hooks.example.com/deleted', events: ['record.deleted'] }, 'subscriptions');
+        await WebhookService.create({ url: 'https://hooks.example.com/off', active: false }, 'subscriptions');
+        await WebhookService.create({ url: 'https://hooks.example.com/other' }, 'someone-else');
+
+        await WebhookService.dispatch('record.updated', { tenantId: 'subscriptions', id: 2 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.deepEqual(requests.map(request => request.url), ['https://hooks.example.com/all']);
+    });
+
+    it('retries server errors and logs every attempt', async () => {
+        statuses.push(503, 500);
+        const webhook = await WebhookService.create({ url: 'https://hooks.example.com/flaky' }, 'retries');
+        await WebhookService.dispatch('analysis.failed', { tenantId: 'retries' });
+        const delivery = await deliveryOf(webhook, 'retries');
+
+        assert.equal(delivery.status, 'succeeded');
+        assert.equal(delivery.attempts, 3);
+        assert.deepEqual(delivery.attempt_log.map(attempt => [attempt.attempt, attempt.response_status]), [[1, 503], [2, 500], [3, 200]]);
+        assert.equal(new Set(requests.map(request => request.headers['X-Webhook-Id'])).size, 1);
+    });
+
+    it('does not retry a receiver that rejects the payload', async () => {
+        statuses.push(400);
+        const webhook = await WebhookService.create({ url: 'https://hooks.example.com/strict' }, 'rejects');
+        await WebhookService.dispatch('analysis.completed', { tenantId: 'rejects' });
+        const delivery = await deliveryOf(webhook, 'rejects');
+
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.last_error, 'Receiver responded with HTTP 400');
+    });
+
+    it('replays a delivery with its original payload and event id', async () => {
+        statuses.push(400);
+        const webhook = await WebhookService.create({ url: 'https://hooks.example.com/replay' }, 'replays');
+        await WebhookService.dispatch('monitor.changed', { tenantId: 'replays', monitorId: 3 });
+        const failed = await deliveryOf(webhook, 'replays');
+
+        assert.equal(await WebhookService.replay(failed.id, 'someone-else'), null);
+
+        const replayed = await WebhookService.replay(failed.id, 'replays');
+        assert.equal(replayed.status, 'pending');
+        const delivery = await deliveryOf(webhook, 'replays');
+
+        assert.equal(delivery.status, 'succeeded');
+        assert.equal(delivery.attempts, 2);
+        assert.equal(requests.length, 2);
+        assert.equal(requests[1].body, requests[0].body);
+        assert.equal(requests[1].headers['X-Webhook-Id'], requests[0].headers['X-Webhook-Id']);
+        assert.equal((await webhookRepository.listAttempts(failed.id)).length, 2);
+    });
+});